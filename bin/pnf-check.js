@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { Translator } from '../src/scripts/i18n/Translator.js';
+import { checkAnswers } from '../src/scripts/model/answerChecks.js';
+import { ClaimLogic } from '../src/scripts/model/ClaimLogic.js';
+import { datesToISOStrings, parseDateInput, todayUTC, toUTC } from '../src/scripts/utils/dateUtils.js';
+
+/**
+ * Exit codes, so scripts can branch on the outcome. Node exits with 1 on an uncaught error and uses 3 to 14 for its own
+ * failures, so the outcomes that are not 0 are kept clear of those.
+ */
+const EXIT_NO_PNF_REQUIRED = 0;
+const EXIT_INVALID_INPUT = 2;
+const EXIT_PNF_REQUIRED = 20;
+const EXIT_INCOMPLETE = 21;
+
+/** Command-line flag for each answer; JSON input uses the answer names themselves. */
+const ANSWER_FLAGS = {
+    claimedBefore: 'claimed-before',
+    lastFilingDate: 'last-filing',
+    cpStart: 'cp-start',
+    cpEnd: 'cp-end',
+    submissionType: 'submission',
+    everClaimedBefore: 'earlier-claims',
+    asOfDate: 'as-of',
+};
+
+/** Repeatable flag that gives one claim of a claim history, and the order of its comma-separated parts. */
+const CLAIM_FLAG = 'claim';
+const CLAIM_PARTS = ['filingDate', 'periodStart', 'periodEnd', 'submissionType'];
+
+const USAGE = `Usage: pnf-check [options]
+       pnf-check --claim FILED,START,END,TYPE [--claim ...] [options]
+       echo '{"claimedBefore": true, "lastFilingDate": "2024-01-01", ...}' | pnf-check [--json]
+       echo '{"claims": [{"filingDate": "2024-01-01", "periodStart": ..., "periodEnd": ..., "submissionType": ...}]}' | pnf-check
+
+Checks whether the next R&D claim needs a claim notification (PNF), with the same rules as the widget.
+
+Answers (dates are YYYY-MM-DD, DD/MM/YYYY or 31 Mar 2024):
+  --claimed-before yes|no       Has the company claimed R&D relief before?
+  --last-filing DATE            Date the last claim was filed
+  --cp-start DATE               Start of the last claim's period of account
+  --cp-end DATE                 End of the last claim's period of account
+  --submission original|amended How the last claim was filed
+  --earlier-claims yes|no       Was a claim made before the amended one?
+  --as-of DATE                  Judge deadlines as of this date instead of today
+
+Claim history, instead of --last-filing to --earlier-claims:
+  --claim FILED,START,END,TYPE  One earlier claim: its filing date, the start and end of its period of account, and
+                                original or amended. Repeat it for every claim, in any order, e.g.
+                                --claim 2023-06-01,2022-04-01,2023-03-31,amended
+                                --claim 2022-05-01,2021-04-01,2022-03-31,original
+
+Options:
+  --json                        Print the outcome as JSON
+  --locale LOCALE               Language of the output, e.g. en-GB or cy-GB (default en-GB)
+  -h, --help                    Show this help
+
+Without answer flags, the answers are read as JSON from standard input.
+
+Exit codes:
+  ${EXIT_NO_PNF_REQUIRED}  No PNF required
+  ${EXIT_INVALID_INPUT}  Invalid input
+  ${EXIT_PNF_REQUIRED} PNF required
+  ${EXIT_INCOMPLETE} More answers are needed
+  Any other code, usually 1, means the check itself failed.
+`;
+
+/**
+ * @brief                   Reads a yes/no answer
+ * @param {*} value         true/false, or 'yes'/'no' in any case
+ * @returns {boolean | null} The answer, or null if the value is neither
+ */
+function parseYesNo(value) {
+    if (value === true || value === false) return value;
+    const text = String(value).trim().toLowerCase();
+    if (text === 'yes') return true;
+    if (text === 'no') return false;
+    return null;
+}
+
+/**
+ * @brief                   Reads a date answer
+ * @param {*} value         The date as typed
+ * @returns {Date | null}   The UTC date, or null if the value is not a date
+ */
+function parseDateAnswer(value) {
+    const localDate = typeof value === 'string' ? parseDateInput(value, 'en-GB').date : null;
+    return localDate ? toUTC(localDate) : null;
+}
+
+/**
+ * @brief                   Reads a claim history from --claim flags or the JSON claims list
+ * @param {*} value         'FILED,START,END,TYPE' strings from the flags, or objects with the PriorClaim names
+ * @param {string[]} errors Receives the problems found
+ * @returns {import('../src/scripts/model/ClaimLogic.js').PriorClaim[]} The claims that could be read
+ */
+function readClaims(value, errors) {
+    if (!Array.isArray(value) || value.length === 0) {
+        errors.push('claims must be a list of one or more claims.');
+        return [];
+    }
+
+    const claims = [];
+    value.forEach((item, index) => {
+        const fromFlag = typeof item === 'string';
+        const raw = fromFlag ? Object.fromEntries(item.split(',').map((part, i) => [CLAIM_PARTS[i], part.trim()])) : item;
+        const name = fromFlag ? `--${CLAIM_FLAG} "${item}"` : `claims[${index}]`;
+        if (!raw || typeof raw !== 'object' || (fromFlag && item.split(',').length !== CLAIM_PARTS.length)) {
+            errors.push(`${name} must give ${CLAIM_PARTS.join(', ')}.`);
+            return;
+        }
+
+        const claim = { submissionType: raw.submissionType };
+        for (const part of CLAIM_PARTS.slice(0, 3)) {
+            claim[part] = parseDateAnswer(raw[part]);
+            if (!claim[part])
+                errors.push(`${name}: ${part} must be a date such as 2024-03-31 or 31/03/2024, not "${raw[part]}".`);
+        }
+        if (claim.submissionType !== 'original' && claim.submissionType !== 'amended')
+            errors.push(`${name}: submissionType must be original or amended, not "${raw.submissionType}".`);
+        claims.push(claim);
+    });
+    return claims;
+}
+
+/**
+ * @brief                   Checks raw answers from flags or JSON and converts them for ClaimLogic.evaluate
+ * @param {Object.<string, *>} raw Raw answers by answer name
+ * @param {Translator} t    Translator for the messages of answers that conflict with each other
+ * @returns {{answers: import('../src/scripts/model/ClaimLogic.js').ClaimAnswers, errors: string[], warnings: string[]}}
+ *                          The answers, the problems found and the answers that look unlikely but are accepted
+ */
+function readAnswers(raw, t) {
+    /** @type {import('../src/scripts/model/ClaimLogic.js').ClaimAnswers} */
+    const answers = {};
+    const errors = [];
+
+    for (const name of Object.keys(ANSWER_FLAGS)) {
+        const value = raw[name];
+        if (value === undefined || value === null || value === '') continue;
+
+        if (name === 'claimedBefore' || name === 'everClaimedBefore') {
+            answers[name] = parseYesNo(value);
+            if (answers[name] === null) errors.push(`--${ANSWER_FLAGS[name]} must be yes or no, not "${value}".`);
+        } else if (name === 'submissionType') {
+            if (value === 'original' || value === 'amended') answers.submissionType = value;
+            else errors.push(`--${ANSWER_FLAGS[name]} must be original or amended, not "${value}".`);
+        } else {
+            answers[name] = parseDateAnswer(value);
+            if (!answers[name])
+                errors.push(`--${ANSWER_FLAGS[name]} must be a date such as 2024-03-31 or 31/03/2024, not "${value}".`);
+        }
+    }
+
+    if (raw.claims !== undefined && raw.claims !== null) {
+        answers.claims = readClaims(raw.claims, errors);
+        // A claim history means the company has claimed before.
+        if (answers.claimedBefore === undefined) answers.claimedBefore = true;
+        else if (answers.claimedBefore === false)
+            errors.push(`--${CLAIM_FLAG} cannot be given with --${ANSWER_FLAGS.claimedBefore} no.`);
+    }
+
+    const warnings = [];
+    if (errors.length === 0) {
+        for (const issue of checkAnswers(answers, answers.asOfDate || todayUTC())) {
+            (issue.severity === 'error' ? errors : warnings).push(t.t(issue.message, issue.params));
+        }
+    }
+    return { answers, errors, warnings };
+}
+
+/**
+ * @brief                   Reads all of standard input
+ * @returns {Promise<string>} The input text
+ */
+async function readStdin() {
+    let text = '';
+    for await (const chunk of process.stdin) text += chunk;
+    return text;
+}
+
+/**
+ * @brief                   Describes how long is left until a deadline
+ * @param {import('../src/scripts/model/ClaimLogic.js').DeadlineStatus} deadline The deadline
+ * @param {Translator} t    Translator for the output language
+ * @returns {string}        The text
+ */
+function formatDeadlineStatus(deadline, t) {
+    if (deadline.hasPassed) return t.t('result.deadline.passed');
+    if (deadline.daysLeft === 0) return t.t('result.deadline.today');
+    return t.t('result.deadline.daysLeft', { days: deadline.daysLeft });
+}
+
+/**
+ * @brief                   Formats an outcome as readable text
+ * @param {import('../src/scripts/model/ClaimLogic.js').ClaimOutcome} outcome The final outcome
+ * @param {Translator} t    Translator for the output language
+ * @returns {string}        The text
+ */
+function formatOutcome(outcome, t) {
+    const { deadline } = outcome;
+    const lines = [t.t(outcome.isPNFRequired ? 'result.pnfRequired.title' : 'result.noPnfRequired.title')];
+
+    if (outcome.cnpStart && outcome.cnpEnd)
+        lines.push(
+            `${t.t('batch.column.cnp')}: ${t.t('batch.cnpRange', { cnpStart: outcome.cnpStart, cnpEnd: outcome.cnpEnd })}`
+        );
+    if (deadline)
+        lines.push(`${t.t('result.deadline.lastDay', { deadline: deadline.deadline })} ${formatDeadlineStatus(deadline, t)}`);
+
+    if (outcome.asOf) lines.push(t.t('result.asOf', { date: outcome.asOf }));
+
+    if (outcome.periods && outcome.periods.length > 1) {
+        lines.push('', t.t('result.periods.intro'));
+        for (const period of outcome.periods) {
+            const outcomeText = t.t(period.isPNFRequired ? 'batch.outcome.pnfRequired' : 'batch.outcome.noPnfRequired');
+            const status = period.isPNFRequired ? ` ${formatDeadlineStatus(period.deadline, t)}` : '';
+            lines.push(
+                `  - ${t.t('result.periods.item', { start: period.periodStart, end: period.periodEnd, outcome: outcomeText })} ${t.t('result.periods.window', { cnpStart: period.cnpStart, cnpEnd: period.cnpEnd })}${status}`
+            );
+        }
+    }
+
+    const { trace } = outcome;
+    const ruleKey = `trace.rule.${trace.rule}`;
+    lines.push('', `${t.t('trace.why')} ${t.has(ruleKey) ? t.t(ruleKey) : trace.summary}`);
+    if (trace.claimIndex !== undefined)
+        lines.push(
+            t.t('trace.decidingClaim', { number: String(trace.claimIndex + 1), filingDate: trace.dates.lastFilingDate })
+        );
+    for (const key of ['lastFilingDate', 'cnpEnd', 'lookBackStart', 'april2023Cutoff']) {
+        if (trace.dates[key]) lines.push(`  ${t.t(`trace.date.${key}`)}: ${t.formatDate(trace.dates[key])}`);
+    }
+    for (const comparison of trace.comparisons) {
+        const checkKey = `trace.check.${comparison.check}`;
+        const detail =
+            comparison.left && comparison.right
+                ? ` (${t.formatDate(comparison.left)} ${t.t(`trace.operator.${comparison.operator}`)} ${t.formatDate(comparison.right)})`
+                : '';
+        lines.push(
+            `  - ${t.has(checkKey) ? t.t(checkKey) : comparison.description}${detail}: ${t.t(comparison.holds ? 'trace.yes' : 'trace.no')}`
+        );
+    }
+    return lines.join('\n');
+}
+
+/**
+ * @brief                   Runs the checker
+ * @param {string[]} argv   The command-line arguments, without node and the script
+ * @returns {Promise<number>} The exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: {
+                ...Object.fromEntries(Object.values(ANSWER_FLAGS).map((flag) => [flag, { type: 'string' }])),
+                [CLAIM_FLAG]: { type: 'string', multiple: true },
+                json: { type: 'boolean', default: false },
+                locale: { type: 'string', default: Translator.DEFAULT_LOCALE },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return EXIT_INVALID_INPUT;
+    }
+
+    const { values } = parsed;
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return EXIT_NO_PNF_REQUIRED;
+    }
+    if (!Translator.isValidLocale(values.locale)) {
+        process.stderr.write(`pnf-check: --locale must be a language tag such as en-GB or cy-GB, not "${values.locale}".\n`);
+        return EXIT_INVALID_INPUT;
+    }
+
+    let raw = Object.fromEntries(Object.entries(ANSWER_FLAGS).map(([name, flag]) => [name, values[flag]]));
+    raw.claims = values[CLAIM_FLAG];
+    // --as-of only sets the date; the answers can still come from standard input.
+    const hasFlags = Object.entries(raw).some(([name, value]) => name !== 'asOfDate' && value !== undefined);
+    if (!hasFlags) {
+        if (process.stdin.isTTY) {
+            process.stderr.write(USAGE);
+            return EXIT_INVALID_INPUT;
+        }
+        try {
+            raw = JSON.parse(await readStdin());
+            if (raw && typeof raw === 'object' && values['as-of'] !== undefined) raw.asOfDate = values['as-of'];
+        } catch (error) {
+            process.stderr.write(`pnf-check: Standard input is not valid JSON. ${error.message}\n`);
+            return EXIT_INVALID_INPUT;
+        }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            process.stderr.write('pnf-check: Standard input must be a JSON object of answers.\n');
+            return EXIT_INVALID_INPUT;
+        }
+    }
+
+    const t = new Translator(values.locale);
+    const { answers, errors, warnings } = readAnswers(raw, t);
+    if (errors.length > 0) {
+        if (values.json) process.stdout.write(`${JSON.stringify({ errors }, null, 2)}\n`);
+        else process.stderr.write(`${errors.map((error) => `pnf-check: ${error}`).join('\n')}\n`);
+        return EXIT_INVALID_INPUT;
+    }
+
+    const outcome = ClaimLogic.evaluate(answers);
+    if (!outcome) {
+        process.stderr.write('pnf-check: The answers could not be evaluated.\n');
+        return EXIT_INVALID_INPUT;
+    }
+
+    // everClaimedBefore = yes asks for the earlier claim, which a claim history gives.
+    if (outcome.nextQuestionIndex === ClaimLogic.QUESTION_LAST_FILING && answers.everClaimedBefore === true) {
+        if (values.json) process.stdout.write(`${JSON.stringify({ missing: ['claims'], claim: 'earlier' }, null, 2)}\n`);
+        else
+            process.stderr.write(
+                'pnf-check: The claim made before the amended one decides. Give every claim instead, each as ' +
+                    `--${CLAIM_FLAG} FILED,START,END,TYPE (or as "claims" in JSON).\n`
+            );
+        return EXIT_INCOMPLETE;
+    }
+
+    if (outcome.nextQuestionIndex !== undefined) {
+        const missing = ClaimLogic.QUESTION_FIELDS[outcome.nextQuestionIndex];
+        if (values.json) process.stdout.write(`${JSON.stringify({ missing }, null, 2)}\n`);
+        else
+            process.stderr.write(
+                `pnf-check: More answers are needed: ${missing.map((name) => `--${ANSWER_FLAGS[name]}`).join(', ')}.\n`
+            );
+        return EXIT_INCOMPLETE;
+    }
+
+    if (values.json) {
+        const output = warnings.length > 0 ? { ...outcome, warnings } : outcome;
+        process.stdout.write(`${JSON.stringify(datesToISOStrings(output), null, 2)}\n`);
+    } else {
+        if (warnings.length > 0)
+            process.stderr.write(`${warnings.map((warning) => `pnf-check: Warning: ${warning}`).join('\n')}\n`);
+        process.stdout.write(`${formatOutcome(outcome, t)}\n`);
+    }
+
+    return outcome.isPNFRequired ? EXIT_PNF_REQUIRED : EXIT_NO_PNF_REQUIRED;
+}
+
+process.exitCode = await main(process.argv.slice(2));
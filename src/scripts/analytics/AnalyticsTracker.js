@@ -0,0 +1,224 @@
+import { getNodeFields } from '../model/questionFlow.js';
+import { datesToISOStrings } from '../utils/dateUtils.js';
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} type              The event type (one of the EVENT_* values).
+ * @property {string} session           Random ID of this visit to the widget, so its events can be put together. It is
+ *                                      made when the widget starts, is never stored and says nothing about the user.
+ * @property {number} elapsedMs         Milliseconds since the widget started.
+ * @property {string | null} step       The flow node ID, 'summary' or 'result' the event happened on.
+ * @property {string | null} [previousStep] step_viewed: the step shown before, or null for the first step.
+ * @property {string} [answer]          answer_chosen: the value of the chosen button, for choice nodes.
+ * @property {number} [claims]          answer_chosen: the number of claims given, for claims nodes.
+ * @property {Object.<string, *>} [values] answer_chosen: the answers given, dates as YYYY-MM-DD, only with includeDates.
+ * @property {string | null} [field]    validation_failed: the input or answer field the problem was shown against.
+ * @property {string} [reason]          validation_failed: key of the message shown (see i18n/messages), never its text.
+ * @property {'error' | 'warning'} [severity] validation_failed: whether the problem stopped the user.
+ * @property {'pnfRequired' | 'noPnfRequired'} [outcome] result_reached: the outcome.
+ * @property {string | null} [rule]     result_reached: the rule that decided it (one of the ClaimLogic.RULE_* values).
+ * @property {number} [periods]         result_reached: the number of accounting periods.
+ * @property {boolean | null} [deadlinePassed] result_reached: whether the notification deadline has passed, when
+ *                                      there is one.
+ * @property {number | null} [decidingClaimIndex] result_reached: index of the claim in the claim history that decided it.
+ * @property {number} [durationMs]      time_on_step: how long the step was shown for, while the page was visible.
+ * @property {'step' | 'hidden'} [left] time_on_step: 'step' when another step was shown, 'hidden' when the page was
+ *                                      hidden or closed on it, e.g. by a user giving up.
+ */
+
+/**
+ * @typedef {(event: AnalyticsEvent) => void} AnalyticsSink
+ */
+
+/**
+ * Records anonymised events of how the widget is used, for funnel and drop-off measurement, and hands them to one or
+ * more sinks. No event holds a date the user entered unless includeDates is set, and none is sent without consent.
+ */
+export class AnalyticsTracker {
+    static EVENT_STEP_VIEWED = 'step_viewed';
+    static EVENT_ANSWER_CHOSEN = 'answer_chosen';
+    static EVENT_VALIDATION_FAILED = 'validation_failed';
+    static EVENT_RESULT_REACHED = 'result_reached';
+    static EVENT_TIME_ON_STEP = 'time_on_step';
+
+    /** @type {AnalyticsSink[]} */
+    sinks;
+    /** @type {boolean | (() => boolean)} Whether the user has agreed to analytics, or a function that says so. */
+    consent;
+    /** @type {boolean} Whether this visit was picked by the sample rate. */
+    isSampled;
+    /** @type {boolean} Whether answer_chosen events carry the answers, including dates. */
+    includeDates;
+    /** @type {string} */
+    session;
+    /** @type {() => number} Gives the current time in milliseconds; replace it to control timings. */
+    now;
+    /** @type {number} */
+    startedAt;
+    /** @type {string | null} The step shown. */
+    currentStep = null;
+    /** @type {number | null} When the current step was shown, or the page last became visible on it. */
+    stepShownAt = null;
+    /** @type {(() => void) | null} */
+    visibilityListener = null;
+
+    /**
+     * @param {Object} options
+     * @param {AnalyticsSink | AnalyticsSink[]} options.sink Where the events go, e.g. createBeaconSink(url) or a host
+     *                                          callback
+     * @param {boolean | (() => boolean)} [options.consent=false] Whether the user has agreed to analytics. A function
+     *                                          is asked before every event, e.g. to read a consent manager.
+     * @param {number} [options.sampleRate=1]   Share of visits to record, from 0 to 1
+     * @param {boolean} [options.includeDates=false] Add the answers, with their dates, to answer_chosen events
+     * @param {() => number} [options.random=Math.random] Gives a number from 0 up to 1, for sampling and the session ID
+     * @param {() => number} [options.now=Date.now] Gives the current time in milliseconds
+     */
+    constructor({ sink, consent = false, sampleRate = 1, includeDates = false, random = Math.random, now = Date.now } = {}) {
+        this.sinks = (Array.isArray(sink) ? sink : [sink]).filter((item) => typeof item === 'function');
+        if (this.sinks.length === 0) console.warn('AnalyticsTracker: No sink given. No events will be sent.');
+        this.consent = consent;
+        this.isSampled = random() < Math.min(Math.max(Number(sampleRate) || 0, 0), 1);
+        this.includeDates = includeDates;
+        this.session = Math.floor(random() * 2 ** 52).toString(36);
+        this.now = now;
+        this.startedAt = now();
+    }
+
+    /**
+     * @brief                   Records consent given or withdrawn, e.g. from a cookie banner
+     * @param {boolean} granted Whether the user agrees to analytics
+     * @returns {void}
+     */
+    setConsent(granted) {
+        this.consent = granted;
+    }
+
+    /**
+     * @brief               Tells whether events are sent: there is a sink, the visit is in the sample and the user has
+     *                      agreed
+     * @returns {boolean}   True if events are sent
+     */
+    isEnabled() {
+        if (this.sinks.length === 0 || !this.isSampled) return false;
+        try {
+            return typeof this.consent === 'function' ? this.consent() === true : this.consent === true;
+        } catch (error) {
+            console.error('AnalyticsTracker: The consent function threw an error. No event is sent.', error);
+            return false;
+        }
+    }
+
+    /**
+     * @brief Starts timing the page's visibility, so time on a step left by hiding or closing the page is recorded.
+     * @returns {void}
+     */
+    start() {
+        if (this.visibilityListener || typeof document === 'undefined') return;
+        this.visibilityListener = () => {
+            if (document.visibilityState === 'hidden') this._endStep('hidden');
+            else if (this.currentStep) this.stepShownAt = this.now();
+        };
+        document.addEventListener('visibilitychange', this.visibilityListener);
+    }
+
+    /**
+     * @brief Stops listening to the page's visibility.
+     * @returns {void}
+     */
+    stop() {
+        if (this.visibilityListener) document.removeEventListener('visibilitychange', this.visibilityListener);
+        this.visibilityListener = null;
+    }
+
+    /**
+     * @brief                   Sends an event to every sink, if events are sent
+     * @param {string} type     The event type (one of the EVENT_* values)
+     * @param {string | null} step The step the event happened on
+     * @param {Object.<string, *>} [data] The event's own fields
+     * @returns {void}
+     */
+    track(type, step, data = {}) {
+        if (!this.isEnabled()) return;
+
+        /** @type {AnalyticsEvent} */
+        const event = { type, session: this.session, elapsedMs: this.now() - this.startedAt, step, ...data };
+        for (const sink of this.sinks) {
+            try {
+                sink(event);
+            } catch (error) {
+                console.error('AnalyticsTracker: A sink threw an error.', error);
+            }
+        }
+    }
+
+    /**
+     * @brief                   Records that a step was shown, and the time spent on the step before it
+     * @param {string} step     The step shown
+     * @param {string | null} previousStep The step shown before, or null for the first step
+     * @returns {void}
+     */
+    stepViewed(step, previousStep) {
+        this._endStep('step');
+        this.currentStep = step;
+        this.stepShownAt = this.now();
+        this.track(AnalyticsTracker.EVENT_STEP_VIEWED, step, { previousStep });
+    }
+
+    /**
+     * @brief                   Records the answer to a question. Only the chosen button's value and the number of
+     *                          claims are recorded, unless includeDates is set.
+     * @param {import('../model/questionFlow.js').FlowNode} node The node answered
+     * @param {Object.<string, *>} answers The answers with the node's new values
+     * @param {import('../model/questionFlow.js').FlowChoice | null} [choice] The choice made, for choice nodes
+     * @returns {void}
+     */
+    answerChosen(node, answers, choice = null) {
+        const data = {};
+        if (choice) data.answer = choice.value;
+        if (node.type === 'claims') data.claims = Array.isArray(answers[node.field]) ? answers[node.field].length : 0;
+        if (this.includeDates && node.type !== 'choice')
+            data.values = datesToISOStrings(Object.fromEntries(getNodeFields(node).map((field) => [field, answers[field]])));
+        this.track(AnalyticsTracker.EVENT_ANSWER_CHOSEN, node.id, data);
+    }
+
+    /**
+     * @brief                   Records a problem with an answer
+     * @param {string | null} step The step the problem was shown on
+     * @param {string | null} field The input or answer field it was shown against, or null for the whole step
+     * @param {string} reason   Key of the message shown
+     * @param {'error' | 'warning'} [severity='error'] Whether the problem stopped the user
+     * @returns {void}
+     */
+    validationFailed(step, field, reason, severity = 'error') {
+        this.track(AnalyticsTracker.EVENT_VALIDATION_FAILED, step, { field, reason, severity });
+    }
+
+    /**
+     * @brief                   Records the outcome reached, without its dates
+     * @param {import('../model/ClaimLogic.js').ClaimOutcome} outcome The outcome
+     * @returns {void}
+     */
+    resultReached(outcome) {
+        this.track(AnalyticsTracker.EVENT_RESULT_REACHED, this.currentStep, {
+            outcome: outcome.isPNFRequired ? 'pnfRequired' : 'noPnfRequired',
+            rule: outcome.trace ? outcome.trace.rule : null,
+            periods: outcome.periods ? outcome.periods.length : 1,
+            deadlinePassed: outcome.deadline ? outcome.deadline.hasPassed : null,
+            decidingClaimIndex: outcome.decidingClaimIndex ?? null,
+        });
+    }
+
+    /**
+     * @brief                   Records the time spent on the current step since it was shown or the page became
+     *                          visible on it
+     * @param {'step' | 'hidden'} left How the step was left
+     * @returns {void}
+     * @private
+     */
+    _endStep(left) {
+        if (!this.currentStep || this.stepShownAt === null) return;
+        const durationMs = this.now() - this.stepShownAt;
+        this.stepShownAt = null;
+        this.track(AnalyticsTracker.EVENT_TIME_ON_STEP, this.currentStep, { durationMs, left });
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * @brief                   Makes a sink that writes each analytics event to the console, for checking what is sent
+ * @param {{info: (...args: *[]) => void}} [logger=console] Where to write the events
+ * @returns {import('./AnalyticsTracker.js').AnalyticsSink} The sink
+ */
+export function createConsoleSink(logger = console) {
+    return (event) => logger.info('pnf analytics:', event);
+}
+
+/**
+ * @brief                   Makes a sink that posts each analytics event as JSON to an endpoint with
+ *                          navigator.sendBeacon, so events sent while the page is closing still arrive. Where beacons
+ *                          are not available, or the browser refuses one, fetch with keepalive is used instead.
+ * @param {string} url      The endpoint URL. The body is sent as text/plain, so a cross-origin endpoint needs no
+ *                          CORS preflight.
+ * @returns {import('./AnalyticsTracker.js').AnalyticsSink | null} The sink, or null if no URL was given
+ */
+export function createBeaconSink(url) {
+    if (!url) {
+        console.error('createBeaconSink: No endpoint URL given.');
+        return null;
+    }
+    return (event) => {
+        const body = JSON.stringify(event);
+        if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(url, body))
+            return;
+        if (typeof fetch === 'function')
+            fetch(url, { method: 'POST', body, keepalive: true }).catch((error) =>
+                console.warn('createBeaconSink: An event could not be sent.', error)
+            );
+    };
+}
@@ -0,0 +1,5 @@
+import { mountBatchEvaluator } from './mount.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    mountBatchEvaluator(document.getElementById('pnfBatch'), { idPrefix: '' });
+});
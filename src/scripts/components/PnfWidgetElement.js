@@ -0,0 +1,153 @@
+import { WidgetController } from '../controller/WidgetController.js';
+import { Translator } from '../i18n/Translator.js';
+import { mountWidget, nextIdPrefix } from '../mount.js';
+import { applyTheme } from '../utils/themeUtils.js';
+
+const STYLESHEET_URL = new URL('../../css/styles.css', import.meta.url).href;
+
+/**
+ * @typedef {Object} WidgetState
+ * @property {import('../model/ClaimLogic.js').ClaimAnswers} answers    The answers given so far.
+ * @property {Date | null} asOfDate                                     The "assess as of" date, if one was set.
+ */
+
+/**
+ * `<pnf-widget>`: the whole widget in one tag. Styles live in Shadow DOM so the host page's CSS cannot break it.
+ *
+ * Attributes:
+ * - `cta-href`: URL the call-to-action links in the result point to.
+ * - `locale`:   Language of the messages and date format (e.g. `en-GB`, `cy-GB` or `auto`). An invalid tag gives
+ *               `en-GB`.
+ * - `theme`:    Built-in theme (`light`, `dark`, `high-contrast` or `auto` to follow the user's preferences). Brand
+ *               colours can be set as CSS custom properties on the element (see css/variables.css).
+ * - `no-web-font`: When present, the Poppins web font is not loaded and the host page's fonts are used.
+ * - `persist`:  When present, in-progress answers are saved to localStorage.
+ * - `as-of-field`: When present, the widget has an "assess as of" date field for advisers.
+ * - `date-input`: How dates are entered (`native`, `text` or `fields`).
+ *
+ * The widget is built with `persist`, `as-of-field` and `date-input`, so changing one of them mounts it again, with the
+ * answers given so far.
+ */
+export class PnfWidgetElement extends HTMLElement {
+    static observedAttributes = ['cta-href', 'locale', 'theme', 'persist', 'as-of-field', 'date-input'];
+    /** Attributes the widget is built with; changing one mounts the widget again. */
+    static REMOUNT_ATTRIBUTES = ['persist', 'as-of-field', 'date-input'];
+
+    /** @type {import('../mount.js').MountedWidget | null} */
+    widget = null;
+    /** @type {HTMLElement | null} */
+    wrapper = null;
+    /** @type {string | null} ID prefix, chosen on the first connect and kept, so saved progress is found after a move. */
+    idPrefix = null;
+    /** @type {WidgetState | null} What the user had entered when the element was disconnected. */
+    savedState = null;
+
+    /**
+     * @brief Mounts the widget into the element's shadow root when it is connected, with the answers it had if it was
+     *        connected before.
+     * @returns {void}
+     */
+    connectedCallback() {
+        if (this.widget) return;
+        this.mount(this.savedState);
+        this.savedState = null;
+    }
+
+    /**
+     * @brief Stops listening to the browser history when the element is removed. The answers are kept, as moving the
+     *        element disconnects and connects it again.
+     * @returns {void}
+     */
+    disconnectedCallback() {
+        if (!this.widget) return;
+        this.savedState = this.getState();
+        this.widget.controller.destroy();
+        this.widget = null;
+    }
+
+    /**
+     * @brief                           Applies attribute changes to the mounted widget
+     * @param {string} name             The attribute name
+     * @param {string | null} oldValue  The previous value
+     * @param {string | null} newValue  The new value
+     * @returns {void}
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        if (name === 'theme') this.applyTheme();
+        if (!this.widget) return;
+
+        if (PnfWidgetElement.REMOUNT_ATTRIBUTES.includes(name)) {
+            const state = this.getState();
+            // Without persist, no answers may stay behind in localStorage.
+            if (name === 'persist' && newValue === null) this.widget.controller.clearProgress();
+            this.widget.controller.destroy();
+            this.mount(state);
+            return;
+        }
+
+        if (name === 'cta-href') this.widget.view.ctaHref = newValue || '#';
+        // A removed or malformed tag, e.g. 'en_GB', gives Translator.DEFAULT_LOCALE.
+        if (name === 'locale') this.widget.view.setLocale(Translator.resolveLocale(newValue));
+        this.widget.controller.rerender();
+    }
+
+    /**
+     * @brief                           Renders the shadow root and mounts the widget with the current attributes
+     * @param {WidgetState | null} state What the user had entered in the previous mount, if any
+     * @returns {void}
+     */
+    mount(state) {
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `<link rel="stylesheet" href="${STYLESHEET_URL}" /><div></div>`;
+        this.wrapper = /** @type {HTMLElement} */ (shadow.querySelector('div'));
+        this.applyTheme();
+        if (!this.idPrefix) this.idPrefix = nextIdPrefix();
+
+        this.widget = mountWidget(this.wrapper, {
+            idPrefix: this.idPrefix,
+            ctaHref: this.getAttribute('cta-href') || undefined,
+            locale: this.getAttribute('locale') || undefined,
+            persist: this.hasAttribute('persist'),
+            asOfField: this.hasAttribute('as-of-field'),
+            dateInput: this.getAttribute('date-input') || undefined,
+            webFont: !this.hasAttribute('no-web-font'),
+            // A shareable link is only read on the first mount, or it would replace the user's own answers.
+            readShareLinks: !state,
+            ...(state && { asOfDate: state.asOfDate }),
+        });
+        if (!this.widget || !state) return;
+
+        // Saved progress, when there is any, has been restored. Otherwise the answers are walked through again.
+        const { controller } = this.widget;
+        const hasAnswers = Object.values(state.answers).some((value) => value !== null && value !== undefined);
+        if (hasAnswers && controller.historyPosition === 0) controller.loadAnswers(state.answers);
+    }
+
+    /**
+     * @brief                   Collects what the user has entered, to carry over to the next mount
+     * @returns {WidgetState}   The answers and the "assess as of" date
+     */
+    getState() {
+        const { controller } = /** @type {import('../mount.js').MountedWidget} */ (this.widget);
+        return { answers: controller.getAnswers(), asOfDate: controller.asOfDate };
+    }
+
+    /**
+     * @brief Reflects the `theme` attribute onto the wrapper the theme styles hook into.
+     * @returns {void}
+     */
+    applyTheme() {
+        if (this.wrapper) applyTheme(this.wrapper, this.getAttribute('theme'));
+    }
+
+    /**
+     * @brief                                   The widget's controller, for hosts that need its state
+     * @returns {WidgetController | null}       The controller, or null before the element is connected
+     */
+    get controller() {
+        return this.widget ? this.widget.controller : null;
+    }
+}
+
+if (!customElements.get('pnf-widget')) customElements.define('pnf-widget', PnfWidgetElement);
@@ -0,0 +1,94 @@
+import { batchResultsToCsv, evaluateBatch, sortByDeadline } from '../model/batchEvaluator.js';
+import { systemClock, todayUTC, toISODateString } from '../utils/dateUtils.js';
+
+export class BatchController {
+    /** @type {import('../view/BatchView.js').BatchView} */
+    view;
+    /** @type {import('../model/batchEvaluator.js').BatchRow[]} The rows in file order. */
+    rows = [];
+    /** @type {'ascending' | 'descending' | null} How the table is sorted by deadline, or null for file order. */
+    sortDirection = null;
+    /** @type {import('../utils/dateUtils.js').Clock} Gives the date deadlines are counted from; replace it to pin the date. */
+    clock;
+
+    /**
+     * @brief                                           Constructs a BatchController
+     * @param {import('../view/BatchView.js').BatchView} view The view to control
+     * @param {{clock?: import('../utils/dateUtils.js').Clock}} [options={}] The clock deadlines are counted from
+     */
+    constructor(view, { clock = systemClock } = {}) {
+        this.view = view;
+        this.clock = clock;
+    }
+
+    /**
+     * @brief Binds the file input, the deadline sort button and the export button.
+     * @returns {void}
+     */
+    init() {
+        const container = this.view.table ? this.view.table.parentElement : null;
+
+        if (this.view.fileInput)
+            this.view.fileInput.addEventListener('change', () => {
+                const file = this.view.fileInput.files ? this.view.fileInput.files[0] : null;
+                if (file) this.loadFile(file);
+            });
+        this.view.on(container, 'click', 'button[data-action="sort-deadline"]', () => this.toggleSort());
+        this.view.on(container, 'click', 'button[data-action="export-csv"]', () => this.exportCsv());
+    }
+
+    /**
+     * @brief               Reads and evaluates a CSV file chosen by the user
+     * @param {Blob} file   The file
+     * @returns {Promise<void>}
+     */
+    async loadFile(file) {
+        try {
+            this.evaluate(await file.text());
+        } catch (error) {
+            console.error('BatchController: The file could not be read.', error);
+            this.view.showFileErrors([this.view.translator.t('batch.readError')]);
+        }
+    }
+
+    /**
+     * @brief                   Evaluates CSV text and shows the results in file order
+     * @param {string} csvText  The CSV text
+     * @returns {void}
+     */
+    evaluate(csvText) {
+        const { rows, errors } = evaluateBatch(csvText, this.clock);
+        this.rows = rows;
+        this.sortDirection = null;
+        this.view.showFileErrors(errors.map((error) => this.view.formatMessage(error)));
+        this.render();
+    }
+
+    /**
+     * @brief Sorts by deadline, earliest first, then latest first on the next call.
+     * @returns {void}
+     */
+    toggleSort() {
+        this.sortDirection = this.sortDirection === 'ascending' ? 'descending' : 'ascending';
+        this.render();
+    }
+
+    /**
+     * @brief Shows the rows in the current sort order.
+     * @returns {void}
+     */
+    render() {
+        const rows = this.sortDirection ? sortByDeadline(this.rows, this.sortDirection) : this.rows;
+        this.view.renderRows(rows, this.sortDirection);
+    }
+
+    /**
+     * @brief Downloads the results, in the order shown, as CSV.
+     * @returns {void}
+     */
+    exportCsv() {
+        const rows = this.sortDirection ? sortByDeadline(this.rows, this.sortDirection) : this.rows;
+        const csv = batchResultsToCsv(rows, (message) => this.view.formatMessage(message));
+        this.view.downloadFile(`pnf-batch-${toISODateString(todayUTC(this.clock))}.csv`, csv, 'text/csv');
+    }
+}
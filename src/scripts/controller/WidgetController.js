@@ -1,64 +1,300 @@
 import { ClaimLogic } from '../model/ClaimLogic.js';
-import { addMonthsUTC, subtractYearsUTC, toUTC } from '../utils/dateUtils.js';
+import { buildDeterminationReport, reportToJson } from '../model/determinationReport.js';
+import {
+    findNodeForQuestion,
+    FLOW_EVALUATE,
+    getChosenChoice,
+    getFlowNode,
+    getNodeFields,
+    getValidationIssues,
+    validateFlow,
+} from '../model/questionFlow.js';
+import { buildShareUrl, deserializeAnswers, parseShareParams, serializeAnswers } from '../utils/answerCodec.js';
+import { buildCalendar } from '../utils/calendarUtils.js';
+import { systemClock, todayUTC, toISODateString, toUTC } from '../utils/dateUtils.js';
+import { loadWithExpiry, removeStored, saveWithExpiry } from '../utils/storageUtils.js';
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} step                                                      Flow node ID, or RESULT_STEP.
+ * @property {import('../model/ClaimLogic.js').ClaimAnswers} before             Answers when the step was shown.
+ * @property {import('../model/ClaimLogic.js').ClaimAnswers | null} after       Answers when the step was left, if it was.
+ */
+
+/**
+ * @typedef {Object} StepChangeDetail
+ * @property {string} step                  The flow node ID or RESULT_STEP now shown.
+ * @property {string | null} previousStep   The step shown before, or null for the first step.
+ * @property {number} position              Position of the step in the history.
+ */
+
+/**
+ * @typedef {Object} ValidationErrorDetail
+ * @property {string} step                  The flow node ID the error (or warning) occurred on.
+ * @property {string | null} inputKey       Logical key of the invalid input, or null for errors spanning several inputs.
+ * @property {string} message               The message shown to the user.
+ */
+
+/**
+ * @typedef {Object} ResultDetail
+ * @property {string} result                                        PNF_REQUIRED or NO_PNF_REQUIRED.
+ * @property {boolean} isPNFRequired                                Whether PNF is required.
+ * @property {Date | null} cnpStart                                 Start of the Claim Notification Period.
+ * @property {Date | null} cnpEnd                                   End of the Claim Notification Period.
+ * @property {import('../model/ClaimLogic.js').ReasoningTrace} trace Why the outcome was reached.
+ * @property {import('../model/ClaimLogic.js').DeadlineStatus | null} deadline The notification deadline, when PNF is
+ *                                                                  required for a known claim period.
+ * @property {import('../model/ClaimLogic.js').PeriodOutcome[]} periods The accounting periods the period of account was
+ *                                                                  split into, each with its own outcome and deadline.
+ * @property {Date} asOf                                            The date the deadlines were judged against.
+ * @property {boolean | null} isLastFilingOverThreeYearsOld         Whether the last claim was filed more than 3 years
+ *                                                                  before asOf.
+ * @property {number | null} decidingClaimIndex                     Index in answers.claims of the claim that decided
+ *                                                                  the outcome, when a claim history was given.
+ * @property {import('../model/ClaimLogic.js').ClaimAnswers} answers The answers that led to the result.
+ */
 
 export class WidgetController {
+    static RESULT_STEP = 'result';
+    static SUMMARY_STEP = 'summary';
+    static HISTORY_STATE_KEY = 'pnfStep';
+    static PROGRESS_VERSION = 3;
+    static EVENT_STEP_CHANGE = 'pnf:step-change';
+    static EVENT_VALIDATION_ERROR = 'pnf:validation-error';
+    static EVENT_VALIDATION_WARNING = 'pnf:validation-warning';
+    static EVENT_RESULT = 'pnf:result';
+
     /** @type {import('../view/WidgetView.js').WidgetView} */
     view;
-    /** @type {Object.<string, string>} */
-    inputIds;
-    /** @type {Date | null} */
-    lastFilingDate = null;
-    /** @type {Date | null} */
-    cpStartDate = null;
-    /** @type {Date | null} */
-    cpEndDate = null;
-
-    constructor(view, { inputIds = { lastFiling: 'lastClaimFilingDate', cpStart: 'cpStartDate', cpEnd: 'cpEndDate' } } = {}) {
+    /** @type {import('../model/questionFlow.js').QuestionFlow} */
+    flow;
+    /** @type {import('../model/ClaimLogic.js').ClaimAnswers & Object.<string, *>} Answers by field name. */
+    answers = {};
+    /** @type {import('../model/ClaimLogic.js').ClaimOutcome | null} */
+    outcome = null;
+    /** @type {HistoryEntry[]} */
+    history = [];
+    /** @type {number} */
+    historyPosition = -1;
+    /** @type {boolean} */
+    useHistoryApi;
+    /** @type {boolean} Whether the "check your answers" summary is shown before the result. */
+    useSummary;
+    /** @type {boolean} Whether a Change button on the summary opened the current step, so answering it goes back there. */
+    returnToSummary = false;
+    /** @type {string} Key of this widget's position in the browser history state, shared with other widgets. */
+    historyStateKey;
+    /** @type {number} Earliest history position that has a browser history entry of its own. */
+    historyApiFloor = 0;
+    /** @type {boolean} */
+    persist;
+    /** @type {string} */
+    storageKey;
+    /** @type {number} */
+    persistTtlMs;
+    /** @type {boolean} */
+    readShareLinks;
+    /** @type {((event: PopStateEvent) => void) | null} */
+    popStateListener = null;
+    /** @type {number} History position of the step currently rendered. */
+    renderedPosition = -1;
+    /** @type {EventTarget | null} Where the widget's DOM events are dispatched. */
+    eventTarget;
+    /** @type {Object.<string, ((detail: *) => void) | undefined>} Host callbacks by event name. */
+    callbacks;
+    /** @type {number[]} Days before the deadline the calendar file reminds the user. */
+    reminderLeadDays;
+    /** @type {import('../utils/dateUtils.js').Clock} Gives today's date; replace it to pin the date. */
+    clock;
+    /** @type {Date | null} UTC date to assess as of instead of today, e.g. from the "assess as of" field. */
+    asOfDate = null;
+    /** @type {string | null} The step and values whose warnings were last shown; Next with the same values confirms them. */
+    shownWarnings = null;
+    /** @type {import('../analytics/AnalyticsTracker.js').AnalyticsTracker | null} Records anonymised usage events. */
+    analytics;
+
+    constructor(
+        view,
+        {
+            flow = view.flow,
+            useHistoryApi = true,
+            useSummary = true,
+            historyStateKey = WidgetController.HISTORY_STATE_KEY,
+            persist = false,
+            storageKey = 'pnfWidgetProgress',
+            persistTtlMs = 7 * 24 * 60 * 60 * 1000,
+            readShareLinks = true,
+            eventTarget = view.root || null,
+            reminderLeadDays = [30, 7, 1],
+            clock = systemClock,
+            asOfDate = null,
+            analytics = null,
+            onStepChange,
+            onValidationError,
+            onValidationWarning,
+            onResult,
+        } = {}
+    ) {
         this.view = view;
-        this.inputIds = inputIds;
+        this.flow = flow;
+        this.useHistoryApi = useHistoryApi && typeof window !== 'undefined' && !!window.history;
+        this.useSummary = useSummary;
+        this.historyStateKey = historyStateKey;
+        this.persist = persist;
+        this.storageKey = storageKey;
+        this.persistTtlMs = persistTtlMs;
+        this.readShareLinks = readShareLinks;
+        this.eventTarget = eventTarget;
+        this.reminderLeadDays = reminderLeadDays;
+        this.clock = clock;
+        this.asOfDate = asOfDate;
+        this.analytics = analytics;
+        this.callbacks = {
+            [WidgetController.EVENT_STEP_CHANGE]: onStepChange,
+            [WidgetController.EVENT_VALIDATION_ERROR]: onValidationError,
+            [WidgetController.EVENT_VALIDATION_WARNING]: onValidationWarning,
+            [WidgetController.EVENT_RESULT]: onResult,
+        };
     }
 
     /**
-     * @brief Initalises the view and binds event handlers.
+     * @brief Initalises the view and binds event handlers. Answers from a shareable link take precedence over saved progress.
      * @returns {void}
      */
     init() {
         this.view.initialRender();
-        this.view.showQuestion(0);
+        if (!validateFlow(this.flow)) {
+            console.error('WidgetController: The question flow is invalid. The widget cannot start.');
+            return;
+        }
+
         this.bindEventHandlers();
+        if (this.analytics) this.analytics.start();
+        this.answers = {};
+        this.history = [];
+        this.historyPosition = -1;
+        this.historyApiFloor = 0;
+        this.renderedPosition = -1;
+
+        const sharedAnswers =
+            this.readShareLinks && typeof window !== 'undefined' ? parseShareParams(window.location.search) : null;
+        if (sharedAnswers && sharedAnswers.asOfDate) this.asOfDate = sharedAnswers.asOfDate;
+        this.view.setAsOfDateValue(this.asOfDate);
+        if (sharedAnswers) {
+            this.loadAnswers(sharedAnswers);
+            return;
+        }
+        if (this.persist && this.restoreProgress()) return;
+
+        this.goToStep(this.flow.start);
     }
 
     /**
-     * @brief Binds event handlers to the questions.
+     * @brief Binds event handlers to the questions and the result panel.
      * @returns {void}
      */
     bindEventHandlers() {
-        if (this.view.questions[0]) {
-            this.view.on(this.view.questions[0], 'click', '[data-answer]', (e) => {
-                const answer = /** @type {HTMLElement} */ (e.target).dataset.answer;
-                this.handleQ1Answer(answer);
-            });
-        }
+        const container = this.view.questionContainer;
 
-        if (this.view.questions.length > 1 && this.view.questions[1])
-            this.view.on(this.view.questions[1], 'click', 'button[data-action="next"]', () => this.handleQ2Next());
+        this.view.onValidationError = (inputKey, message, messageKey) => {
+            const entry = this.history[this.historyPosition];
+            const step = entry ? entry.step : null;
+            this.emit(WidgetController.EVENT_VALIDATION_ERROR, { step, inputKey, message });
+            if (this.analytics) this.analytics.validationFailed(step, inputKey, messageKey);
+        };
 
-        if (this.view.questions.length > 2 && this.view.questions[2])
-            this.view.on(this.view.questions[2], 'click', 'button[data-action="next"]', () => this.handleQ3Next());
+        this.view.on(container, 'click', 'button[data-choice]', (e) => {
+            const button = /** @type {HTMLElement} */ (e.target);
+            const nodeId = this.view.getNodeIdFor(button);
+            if (nodeId) this.handleChoice(nodeId, button.dataset.choice);
+        });
 
-        if (this.view.questions.length > 3 && this.view.questions[3]) {
-            this.view.on(this.view.questions[3], 'click', '[data-submission]', (e) => {
-                const submissionType = /** @type {HTMLElement} */ (e.target).dataset.submission;
-                this.handleQ4Next(submissionType);
-            });
+        this.view.on(container, 'click', 'button[data-action="next"]', (e) => {
+            const nodeId = this.view.getNodeIdFor(e.target);
+            if (nodeId) this.handleNext(nodeId);
+        });
+
+        this.view.on(container, 'click', 'button[data-action="add-claim"]', (e) => {
+            const node = getFlowNode(this.flow, this.view.getNodeIdFor(e.target) || '');
+            if (node) this.view.addClaim(node);
+        });
+
+        this.view.on(container, 'click', 'button[data-action="remove-claim"]', (e) => {
+            const button = /** @type {HTMLElement} */ (e.target);
+            const node = getFlowNode(this.flow, this.view.getNodeIdFor(button) || '');
+            if (node) this.view.removeClaim(node, Number(button.dataset.claimIndex));
+        });
+
+        // Enter in a date field answers the question, as the Next button does.
+        this.view.on(container, 'keydown', 'input', (e) => {
+            const event = /** @type {KeyboardEvent} */ (e);
+            if (event.key !== 'Enter' || event.isComposing) return;
+            event.preventDefault();
+            const nodeId = this.view.getNodeIdFor(event.target);
+            if (nodeId) this.handleNext(nodeId);
+        });
+
+        if (this.view.asOfInput) this.view.asOfInput.addEventListener('change', () => this.handleAsOfChange());
+
+        this.view.on(this.view.resultEl, 'click', 'button[data-action="copy-link"]', () => this.copyShareLink());
+        this.view.on(this.view.resultEl, 'click', 'button[data-action="download-calendar"]', () => this.downloadCalendar());
+        this.view.on(this.view.resultEl, 'click', 'button[data-action="print-report"]', () => this.printReport());
+        this.view.on(this.view.resultEl, 'click', 'button[data-action="download-report"]', () => this.downloadReport());
+
+        this.view.on(this.view.summaryEl, 'click', 'button[data-action="change"]', (e) =>
+            this.handleChange(/** @type {HTMLElement} */ (e.target).dataset.step)
+        );
+        this.view.on(this.view.summaryEl, 'click', 'button[data-action="confirm-answers"]', () =>
+            this.goToStep(WidgetController.RESULT_STEP)
+        );
+
+        [container, this.view.summaryEl, this.view.resultEl].forEach((element) =>
+            this.view.on(element, 'click', 'button[data-action="back"]', () => this.handleBack())
+        );
+
+        if (this.useHistoryApi) {
+            this.popStateListener = (e) => this.handlePopState(e);
+            window.addEventListener('popstate', this.popStateListener);
         }
+    }
 
-        if (this.view.questions.length > 4 && this.view.questions[4]) {
-            this.view.on(this.view.questions[4], 'click', '[data-everclaimed]', (e) => {
-                const everClaimed = /** @type {HTMLElement} */ (e.target).dataset.everclaimed;
-                this.handleQ5Next(everClaimed);
-            });
+    /**
+     * @brief                   Notifies the host through the matching callback option and a bubbling DOM CustomEvent
+     * @param {string} name     The event name (one of the EVENT_* values)
+     * @param {StepChangeDetail | ValidationErrorDetail | ResultDetail} detail The event payload
+     * @returns {void}
+     */
+    emit(name, detail) {
+        const callback = this.callbacks[name];
+        if (typeof callback === 'function') {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`WidgetController: The ${name} callback threw an error.`, error);
+            }
         }
+
+        if (this.eventTarget && typeof CustomEvent === 'function')
+            this.eventTarget.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+    }
+
+    /**
+     * @brief Removes the listeners added outside the widget's own elements.
+     * @returns {void}
+     */
+    destroy() {
+        if (this.popStateListener) window.removeEventListener('popstate', this.popStateListener);
+        this.popStateListener = null;
+        if (this.analytics) this.analytics.stop();
+    }
+
+    /**
+     * @brief Renders the current step again, e.g. after a view option has changed.
+     * @returns {void}
+     */
+    rerender() {
+        const entry = this.history[this.historyPosition];
+        if (entry) this.renderStep(entry.step);
     }
 
     /**
@@ -73,110 +309,724 @@ export class WidgetController {
     }
 
     /**
-     * @brief                               Handles the answer to Question 1
-     * @param {string | undefined} answer   The user's answer ('yes' or 'no')
+     * @brief                                       Evaluates the answers given so far, as of the assessment date
+     * @param {import('../model/ClaimLogic.js').ClaimAnswers} [answers] The answers to evaluate; the current ones by default
+     * @returns {import('../model/ClaimLogic.js').ClaimOutcome | null} The next question or final outcome, or null if an
+     *                                              error occurs
+     */
+    evaluate(answers = this.getAnswers()) {
+        return ClaimLogic.evaluate({ ...answers, asOfDate: this.asOfDate }, this.clock);
+    }
+
+    /**
+     * @brief                   Gives what the answers are validated against
+     * @returns {import('../model/questionFlow.js').ValidationContext} The assessment date as "today"
+     */
+    getValidationContext() {
+        return { today: this.asOfDate || todayUTC(this.clock) };
+    }
+
+    /**
+     * @brief Reads the "assess as of" field after the user changes it. An invalid date is shown as an error and ignored.
      * @returns {void}
      */
-    handleQ1Answer(answer) {
-        if (answer === 'yes') {
-            this.lastFilingDate = null;
-            this.cpStartDate = null;
-            this.cpEndDate = null;
-            this.view.resetInputs(['lastFiling', 'cpStart', 'cpEnd']);
-            this.view.showQuestion(1);
-            return;
+    handleAsOfChange() {
+        const localDate = this.view.readAsOfDate();
+        if (localDate === undefined) return;
+        this.setAsOfDate(localDate ? toUTC(localDate) : null);
+    }
+
+    /**
+     * @brief                   Sets the date to assess as of and shows the current step again
+     * @param {Date | null} utcDate The UTC date, or null for today
+     * @returns {void}
+     */
+    setAsOfDate(utcDate) {
+        this.asOfDate = utcDate;
+        this.view.setAsOfDateValue(utcDate);
+        this.rerender();
+    }
+
+    /**
+     * @brief                   Collects the answers given so far for the decision engine
+     * @returns {import('../model/ClaimLogic.js').ClaimAnswers} A copy of the current answers
+     */
+    getAnswers() {
+        return { ...this.answers };
+    }
+
+    /**
+     * @brief                                                   Restores previously given answers
+     * @param {import('../model/ClaimLogic.js').ClaimAnswers} answers The answers to restore
+     * @returns {void}
+     */
+    applyAnswers(answers) {
+        this.answers = { ...answers };
+    }
+
+    /**
+     * @brief                   Clears some answers, including any date inputs they were entered in
+     * @param {string[]} fields The answer fields to clear
+     * @returns {void}
+     */
+    clearAnswers(fields) {
+        fields.forEach((field) => (this.answers[field] = null));
+        for (const node of this.flow.nodes) {
+            (node.inputs || [])
+                .filter((input) => fields.includes(input.field))
+                .forEach((input) => this.view.setDateInputValue(input.key, null));
+            if (node.type === 'claims' && fields.includes(node.field)) this.view.setClaims(node, []);
         }
-        this.view.showResult(true);
     }
 
     /**
-     * @brief Handle Question 2 anwer
+     * @brief                   Handles a choice button in a choice node
+     * @param {string} nodeId   The flow node the button belongs to
+     * @param {string | undefined} value The choice's value
      * @returns {void}
      */
-    handleQ2Next() {
-        const lastFilingDateRaw = this.getValidatedUTCDate('lastFiling', 'Please enter the date you filed the last claim.');
-        if (!lastFilingDateRaw) return;
+    handleChoice(nodeId, value) {
+        const node = getFlowNode(this.flow, nodeId);
+        if (!node || node.type !== 'choice') return;
+
+        const choice = (node.choices || []).find((c) => c.value === value);
+        if (!choice) return;
 
-        this.lastFilingDate = lastFilingDateRaw;
-        this.view.showQuestion(2);
+        if (node.field) this.answers[node.field] = choice.answer !== undefined ? choice.answer : choice.value;
+        if (choice.clears) this.clearAnswers(choice.clears);
+        if (this.analytics) this.analytics.answerChosen(node, this.answers, choice);
+
+        this.advanceFrom(node, choice);
+        if (choice.notice) this.view.showNotification(choice.notice, 'info');
     }
 
     /**
-     * @brief           Handles the logic for Question 3: Claim Period (CP) dates. Determines if a PNF is required based on
-     *                  the CP start date relative to April 1, 2023.
+     * @brief                   Handles the Next button of a date, claims or info node, validating its inputs first
+     * @param {string} nodeId   The flow node the button belongs to
      * @returns {void}
      */
-    handleQ3Next() {
-        const cpStartDateRaw = this.getValidatedUTCDate('cpStart', 'Please enter the claim period start date.');
-        const cpEndDateRaw = this.getValidatedUTCDate('cpEnd', 'Please enter the claim period end date.');
+    handleNext(nodeId) {
+        const node = getFlowNode(this.flow, nodeId);
+        if (!node) return;
 
-        if (!cpStartDateRaw || !cpEndDateRaw) return;
+        const candidate = this.getAnswers();
+        let isComplete = true;
+        for (const input of node.inputs || []) {
+            const date = this.getValidatedUTCDate(input.key, input.errorMessage);
+            if (!date) isComplete = false;
+            candidate[input.field] = date;
+        }
+        if (node.type === 'claims') {
+            const claims = this.view.readClaims(node);
+            if (!claims) isComplete = false;
+            else
+                candidate[node.field] = claims.map((claim) => ({
+                    ...claim,
+                    filingDate: toUTC(claim.filingDate),
+                    periodStart: toUTC(claim.periodStart),
+                    periodEnd: toUTC(claim.periodEnd),
+                }));
+        }
+        if (!isComplete) return;
 
-        if (!ClaimLogic.isValidClaimPeriod(cpStartDateRaw, cpEndDateRaw)) {
-            this.view.showAlert('The claim period start date must be before the end date.');
+        const issues = getValidationIssues(node, candidate, this.getValidationContext());
+        const errors = issues.filter((issue) => issue.severity === 'error');
+        if (errors.length > 0) {
+            this.showIssues(node, errors);
             return;
         }
 
-        this.cpStartDate = cpStartDateRaw;
-        this.cpEndDate = cpEndDateRaw;
+        // Warnings are shown once; Next with the same values again confirms them.
+        const warnings = issues.filter((issue) => issue.severity !== 'error');
+        const values = JSON.stringify([node.id, getNodeFields(node).map((field) => candidate[field])]);
+        if (warnings.length > 0 && this.shownWarnings !== values) {
+            this.shownWarnings = values;
+            this.showIssues(node, warnings);
+            this.view.showNotification('notice.confirmWarnings', 'warning', {
+                button: this.view.translator.t(node.nextLabel || 'button.next'),
+            });
+            return;
+        }
 
-        const cnpStart = this.cpStartDate;
-        const cnpEnd = addMonthsUTC(this.cpEndDate, 6);
-        const lastFilingDate = this.lastFilingDate;
-        const april1_2023 = ClaimLogic.APRIL_1_2023_UTC;
-        const threeYearsPriorToCnpEnd = subtractYearsUTC(cnpEnd, 3);
+        this.applyAnswers(candidate);
+        if (this.analytics) this.analytics.answerChosen(node, candidate);
+        this.advanceFrom(node, null);
+    }
 
-        if (!lastFilingDate || !cnpEnd || !threeYearsPriorToCnpEnd) {
-            this.view.showAlert('Internal error: date calculation failed.');
-            return;
+    /**
+     * @brief                                                       Shows validation issues next to the inputs they
+     *                                                              concern and reports them to the host page
+     * @param {import('../model/questionFlow.js').FlowNode} node    The node the issues were found on
+     * @param {import('../model/questionFlow.js').AnswerIssue[]} issues The issues, all errors or all warnings
+     * @returns {void}
+     */
+    showIssues(node, issues) {
+        const shownInputs = new Set();
+        // The inputs of a claims node are rendered for each claim, so they are found by the claim's answer fields.
+        const inputs =
+            node.type === 'claims'
+                ? Array.from({ length: this.view.getClaimCount(node.id) }, (_, index) =>
+                      this.view.getClaimInputs(node, index)
+                  ).flat()
+                : node.inputs || [];
+        for (const issue of issues) {
+            // An issue is shown next to the first of its fields this node has an input for, or above the question.
+            const input = (issue.fields || [])
+                .map((field) => inputs.find((candidate) => candidate.field === field))
+                .find(Boolean);
+            if (input && shownInputs.has(input.key)) continue;
+
+            const message = this.view.translator.t(issue.message, issue.params);
+            if (input) {
+                const focus = issue.severity === 'error' && shownInputs.size === 0;
+                this.view.showInputIssue(input.key, message, issue.severity, focus);
+                shownInputs.add(input.key);
+            } else {
+                this.view.showNotification(message, issue.severity);
+            }
+
+            const event =
+                issue.severity === 'error'
+                    ? WidgetController.EVENT_VALIDATION_ERROR
+                    : WidgetController.EVENT_VALIDATION_WARNING;
+            this.emit(event, { step: node.id, inputKey: input ? input.key : null, message });
+            if (this.analytics)
+                this.analytics.validationFailed(
+                    node.id,
+                    input ? input.key : (issue.fields || [])[0] || null,
+                    issue.message,
+                    issue.severity
+                );
         }
+    }
 
-        
-        if (lastFilingDate < cnpStart) {
-            this.view.showResult(true, cnpStart, cnpEnd);
+    /**
+     * @brief                                                       Follows the transition out of a node
+     * @param {import('../model/questionFlow.js').FlowNode} node    The node that was answered
+     * @param {import('../model/questionFlow.js').FlowChoice | null} choice The choice made, for choice nodes
+     * @returns {void}
+     */
+    advanceFrom(node, choice) {
+        // After a change from the summary, the next question is the first one the new answers leave open, if any.
+        if (this.returnToSummary) {
+            const { next } = this.traceAnsweredPath();
+            if (next) this.goToStep(next);
             return;
         }
+        this.goToStep((choice && choice.next) || node.next || FLOW_EVALUATE);
+    }
+
+    /**
+     * @brief                   Reopens an answered step from the summary; once it is answered, the summary is shown again
+     * @param {string | undefined} nodeId The flow node to change the answer of
+     * @returns {void}
+     */
+    handleChange(nodeId) {
+        if (!nodeId || !getFlowNode(this.flow, nodeId)) return;
+        this.returnToSummary = true;
+        this.goToStep(nodeId);
+    }
+
+    /**
+     * @brief                   Shows a step, recording it in the history. The result is preceded by the summary
+     *                          when the summary is in use.
+     * @param {string} target   A node ID, RESULT_STEP, or FLOW_EVALUATE to let ClaimLogic.evaluate decide
+     * @returns {void}
+     */
+    goToStep(target) {
+        let step = this.resolveStep(target);
+        if (!step) return;
+
+        const current = this.history[this.historyPosition];
+        const isFromSummary = !!current && current.step === WidgetController.SUMMARY_STEP;
+        if (step === WidgetController.RESULT_STEP && this.hasSummary() && !isFromSummary) step = WidgetController.SUMMARY_STEP;
+
+        this.pushHistory(step);
+        this.renderStep(step);
+    }
+
+    /**
+     * @brief               Tells whether the summary is shown before the result
+     * @returns {boolean}   True if it is enabled and the markup has a summary panel
+     */
+    hasSummary() {
+        return this.useSummary && !!this.view.summaryEl;
+    }
+
+    /**
+     * @brief                   Resolves a transition target to the step to show
+     * @param {string} target   A node ID, or FLOW_EVALUATE
+     * @param {import('../model/ClaimLogic.js').ClaimAnswers} [answers] The answers to decide on; the current ones by default
+     * @returns {string | null} The node ID or RESULT_STEP, or null if the answers could not be evaluated
+     */
+    resolveStep(target, answers = this.answers) {
+        if (target !== FLOW_EVALUATE) return target;
+
+        const outcome = this.evaluate(answers);
+        if (!outcome) {
+            this.view.showNotification('error.dateCalculation', 'error');
+            return null;
+        }
+        if (outcome.nextQuestionIndex === undefined) return WidgetController.RESULT_STEP;
+
+        const node = findNodeForQuestion(this.flow, outcome.nextQuestionIndex);
+        if (!node) {
+            console.error(`WidgetController: No flow node collects the answers for question ${outcome.nextQuestionIndex}.`);
+            this.view.showNotification('error.flowIncomplete', 'error');
+            return null;
+        }
+        return node.id;
+    }
+
+    /**
+     * @brief Follows the flow from the start with the current answers, as far as they go. Answers left over from
+     *        another path, e.g. dates kept after the first question was changed to "No", are not on it.
+     * @returns {{nodes: string[], next: string | null}} The answered nodes on the path in order, and the step after
+     *          them: the first question still to answer, RESULT_STEP, or null if the answers could not be evaluated
+     */
+    traceAnsweredPath() {
+        /** @type {Object.<string, *>} */
+        const given = {};
+        const nodes = [];
+        let step = this.flow.start;
 
-        if (lastFilingDate > cnpEnd || lastFilingDate < threeYearsPriorToCnpEnd) {
-            this.view.showResult(true, cnpStart, cnpEnd);
+        while (step && step !== WidgetController.RESULT_STEP) {
+            const node = getFlowNode(this.flow, step);
+            const fields = node ? getNodeFields(node) : [];
+            const isAnswered = fields.length > 0 && fields.every((field) => this.answers[field] != null);
+            if (!node || !isAnswered || fields.some((field) => given[field] != null)) break;
+
+            fields.forEach((field) => (given[field] = this.answers[field]));
+            nodes.push(node.id);
+
+            const choice = getChosenChoice(node, given);
+            if (node.type === 'choice' && (!choice || choice.clears)) break;
+            step = this.resolveStep((choice && choice.next) || node.next || FLOW_EVALUATE, given);
+        }
+        return { nodes, next: step };
+    }
+
+    /**
+     * @brief                   Lists the steps of the progress stepper: the answered questions on the user's path, the
+     *                          current one, and the summary and result still to come
+     * @param {string} step     The step shown
+     * @returns {import('../view/WidgetView.js').ProgressItem[]} The steps, in order
+     */
+    getProgress(step) {
+        const { nodes } = this.traceAnsweredPath();
+        const finalSteps = this.hasSummary()
+            ? [WidgetController.SUMMARY_STEP, WidgetController.RESULT_STEP]
+            : [WidgetController.RESULT_STEP];
+        const finalPosition = finalSteps.indexOf(step);
+
+        // Going back to an answered question shows the path up to it; later answers may no longer apply.
+        const position = nodes.indexOf(step);
+        const done = finalPosition === -1 && position !== -1 ? nodes.slice(0, position) : nodes;
+        const label = (nodeId) => {
+            const node = getFlowNode(this.flow, nodeId);
+            return node ? node.title || node.text : nodeId;
+        };
+
+        /** @type {import('../view/WidgetView.js').ProgressItem[]} */
+        const items = done.map((nodeId) => ({ label: label(nodeId), state: 'complete' }));
+        if (finalPosition === -1) items.push({ label: label(step), state: 'current' });
+        finalSteps.forEach((finalStep, index) => {
+            let state = 'upcoming';
+            if (index === finalPosition) state = 'current';
+            else if (index < finalPosition) state = 'complete';
+            items.push({ label: `step.${finalStep}`, state });
+        });
+        return items;
+    }
+
+    /**
+     * @brief                   Shows a question, or evaluates the answers and shows the result
+     * @param {string} step     The node ID or RESULT_STEP
+     * @returns {void}
+     */
+    renderStep(step) {
+        this.view.setBackVisible(this.historyPosition > 0);
+        this.shownWarnings = null;
+
+        const isNewStep = this.renderedPosition !== this.historyPosition;
+        const previousEntry = this.history[this.renderedPosition];
+        this.renderedPosition = this.historyPosition;
+
+        // The focus follows the user from step to step, but is not taken from the page when the widget first shows.
+        const moveFocus = isNewStep && !!previousEntry;
+        this.view.renderProgress(this.getProgress(step));
+
+        if (step === WidgetController.SUMMARY_STEP) {
+            this.outcome = null;
+            this.returnToSummary = false;
+            const { nodes } = this.traceAnsweredPath();
+            // Answers a change has taken off the path do not count towards the result. Their inputs keep the values,
+            // so changing the answer back offers them again.
+            const fieldsOnPath = nodes.flatMap((nodeId) => getNodeFields(getFlowNode(this.flow, nodeId)));
+            this.flow.nodes
+                .flatMap((node) => getNodeFields(node))
+                .filter((field) => !fieldsOnPath.includes(field))
+                .forEach((field) => (this.answers[field] = null));
+            this.view.showSummary(nodes, this.answers);
+            if (moveFocus) this.view.focusCurrentPanel();
+            if (isNewStep) this.emitStepChange(step, previousEntry);
             return;
         }
-        
-        if (lastFilingDate >= threeYearsPriorToCnpEnd && lastFilingDate <= cnpEnd) {
-            this.view.showResult(false, cnpStart, cnpEnd);
+
+        if (step !== WidgetController.RESULT_STEP) {
+            this.outcome = null;
+            this.view.showQuestion(step);
+            if (moveFocus) this.view.focusCurrentPanel();
+            if (isNewStep) this.emitStepChange(step, previousEntry);
             return;
         }
 
-        if (cnpStart < april1_2023) {
-            this.view.showQuestion(3);
+        const outcome = this.evaluate();
+        if (!outcome || outcome.nextQuestionIndex !== undefined) {
+            this.view.showNotification('error.dateCalculation', 'error');
             return;
         }
+        this.outcome = outcome;
+        const deadline = outcome.deadline ?? null;
+        const periods = outcome.periods || [];
+        this.view.showResult(
+            outcome.isPNFRequired === true,
+            outcome.cnpStart,
+            outcome.cnpEnd,
+            outcome.trace,
+            deadline,
+            periods,
+            this.asOfDate
+        );
+        if (moveFocus) this.view.focusCurrentPanel();
+        if (!isNewStep) return;
 
-        this.view.showResult(false, cnpStart, cnpEnd);
+        this.emitStepChange(step, previousEntry);
+        this.emit(WidgetController.EVENT_RESULT, {
+            result: outcome.result,
+            isPNFRequired: outcome.isPNFRequired === true,
+            cnpStart: outcome.cnpStart ?? null,
+            cnpEnd: outcome.cnpEnd ?? null,
+            trace: outcome.trace,
+            deadline,
+            periods,
+            asOf: outcome.asOf,
+            isLastFilingOverThreeYearsOld: outcome.isLastFilingOverThreeYearsOld ?? null,
+            decidingClaimIndex: outcome.decidingClaimIndex ?? null,
+            answers: this.getAnswers(),
+        });
+        if (this.analytics) this.analytics.resultReached(outcome);
+    }
+
+    /**
+     * @brief                                   Emits the step-change event
+     * @param {string} step                     The step now shown
+     * @param {HistoryEntry | undefined} previousEntry The history entry shown before, if any
+     * @returns {void}
+     */
+    emitStepChange(step, previousEntry) {
+        if (this.analytics) this.analytics.stepViewed(step, previousEntry ? previousEntry.step : null);
+        this.emit(WidgetController.EVENT_STEP_CHANGE, {
+            step,
+            previousStep: previousEntry ? previousEntry.step : null,
+            position: this.historyPosition,
+        });
     }
 
     /**
-     * @brief                                       Handles submission type for Original Question 4.
-     * @param {string | undefined} submissionType   ('original' or 'amended').
+     * @brief                   Records a newly shown step, discarding any steps that had been gone back over
+     * @param {string} step     The node ID or RESULT_STEP
      * @returns {void}
      */
-    handleQ4Next(submissionType) {
-        if (submissionType === 'amended') this.view.showQuestion(4);
-        if (submissionType === 'original') this.view.showResult(false);
+    pushHistory(step) {
+        const answers = this.getAnswers();
+        const current = this.history[this.historyPosition];
+        if (current) current.after = answers;
+
+        this.history.length = this.historyPosition + 1;
+        this.history.push({ step, before: answers, after: null });
+        this.historyPosition = this.history.length - 1;
+
+        if (this.useHistoryApi) {
+            const state = { ...window.history.state, [this.historyStateKey]: this.historyPosition };
+            if (this.historyPosition === this.historyApiFloor) window.history.replaceState(state, '');
+            else window.history.pushState(state, '');
+        }
+        this.saveProgress();
     }
 
     /**
-     * @brief                               Handles answer for Original Question 5.
-     * @param {string | undefined} answer   ('yes' or 'no').
+     * @brief Makes the current browser history entry point at the current step, for steps without their own entry.
      * @returns {void}
      */
-    handleQ5Next(answer) {
-        if (answer === 'yes') {
-            this.view.showAlert('Please enter the date for the claim made before the one you just described');
-            this.view.resetInputs(['lastFiling', 'cpStart', 'cpEnd']);
-            this.view.showQuestion(2);
+    replaceHistoryState() {
+        if (!this.useHistoryApi) return;
+        this.historyApiFloor = this.historyPosition;
+        window.history.replaceState({ ...window.history.state, [this.historyStateKey]: this.historyPosition }, '');
+    }
+
+    /**
+     * @brief                                                   Fills the date inputs and claim lists from a set of answers,
+     *                                                          leaving inputs for unanswered dates as they are
+     * @param {import('../model/ClaimLogic.js').ClaimAnswers} answers The answers to show
+     * @returns {void}
+     */
+    fillDateInputs(answers) {
+        for (const node of this.flow.nodes) {
+            for (const input of node.inputs || []) {
+                if (answers[input.field]) this.view.setDateInputValue(input.key, answers[input.field]);
+            }
+            if (node.type === 'claims' && Array.isArray(answers[node.field])) this.view.setClaims(node, answers[node.field]);
+        }
+    }
+
+    /**
+     * @brief                   Moves to an earlier or later step in the history, restoring the answers given there
+     * @param {number} position The position in the history to move to
+     * @returns {void}
+     */
+    goToHistoryPosition(position) {
+        const entry = this.history[position];
+        if (!entry) return;
+
+        this.historyPosition = position;
+        this.applyAnswers(entry.before);
+
+        this.fillDateInputs(entry.after || entry.before);
+        this.saveProgress();
+        this.renderStep(entry.step);
+    }
+
+    /**
+     * @brief Handles the Back button, going through the browser history when the History API is in use.
+     * @returns {void}
+     */
+    handleBack() {
+        if (this.historyPosition <= 0) return;
+
+        if (this.useHistoryApi && this.historyPosition > this.historyApiFloor) {
+            window.history.back();
             return;
         }
-        this.view.showResult(true);
+        this.goToHistoryPosition(this.historyPosition - 1);
+        this.replaceHistoryState();
+    }
+
+    /**
+     * @brief                       Handles browser back/forward between widget steps
+     * @param {PopStateEvent} event The popstate event
+     * @returns {void}
+     */
+    handlePopState(event) {
+        const position = event.state ? event.state[this.historyStateKey] : undefined;
+        if (typeof position !== 'number' || position === this.historyPosition) return;
+        this.goToHistoryPosition(position);
+    }
+
+    /**
+     * @brief                                                   Walks through the flow with a complete or partial set of answers,
+     *                                                          recording each step so Back still works afterwards
+     * @param {import('../model/ClaimLogic.js').ClaimAnswers} answers The answers to load, e.g. from a shareable link
+     * @returns {void}
+     */
+    loadAnswers(answers) {
+        this.applyAnswers({});
+        let step = this.flow.start;
+        this.pushHistory(step);
+
+        while (step !== WidgetController.RESULT_STEP) {
+            const node = getFlowNode(this.flow, step);
+            const fields = node ? getNodeFields(node) : [];
+            const isAnswered =
+                fields.length > 0 && fields.every((field) => answers[field] !== undefined && answers[field] !== null);
+            // Info nodes need the user, and a question asked again after being answered (the earlier-claim loop)
+            // cannot be replayed.
+            if (!node || !isAnswered || fields.some((field) => this.answers[field] != null)) break;
+
+            const previous = this.getAnswers();
+            fields.forEach((field) => (this.answers[field] = answers[field]));
+
+            const choice = getChosenChoice(node, answers);
+            // Warnings were confirmed when the answers were first given, so only errors stop the replay.
+            const isValid =
+                node.type === 'choice'
+                    ? !!choice && !choice.clears
+                    : !getValidationIssues(node, this.answers, this.getValidationContext()).some(
+                          (issue) => issue.severity === 'error'
+                      );
+            const next = isValid ? this.resolveStep((choice && choice.next) || node.next || FLOW_EVALUATE) : null;
+            if (!next) {
+                this.applyAnswers(previous);
+                break;
+            }
+
+            step = next;
+            this.pushHistory(step);
+        }
+
+        this.fillDateInputs(answers);
+        this.renderStep(step);
+    }
+
+    /**
+     * @brief Saves the history and current step to localStorage, if persistence is enabled.
+     * @returns {void}
+     */
+    saveProgress() {
+        if (!this.persist) return;
+
+        const history = this.history.map((entry) => ({
+            step: entry.step,
+            before: serializeAnswers(entry.before),
+            after: entry.after ? serializeAnswers(entry.after) : null,
+        }));
+        saveWithExpiry(
+            this.storageKey,
+            { version: WidgetController.PROGRESS_VERSION, position: this.historyPosition, history },
+            this.persistTtlMs
+        );
+    }
+
+    /**
+     * @brief               Restores progress saved by saveProgress and shows the step the user was on
+     * @returns {boolean}   True if progress was restored, false if there was none or it could not be used
+     */
+    restoreProgress() {
+        const saved = loadWithExpiry(this.storageKey);
+        if (!saved || saved.version !== WidgetController.PROGRESS_VERSION || !Array.isArray(saved.history)) return false;
+        if (typeof saved.position !== 'number' || !saved.history[saved.position]) return false;
+
+        const isKnownStep = (step) =>
+            step === WidgetController.RESULT_STEP || step === WidgetController.SUMMARY_STEP || !!getFlowNode(this.flow, step);
+        if (!saved.history.every((entry) => entry && isKnownStep(entry.step))) return false;
+
+        this.history = saved.history.map((entry) => ({
+            step: entry.step,
+            before: deserializeAnswers(entry.before),
+            after: entry.after ? deserializeAnswers(entry.after) : null,
+        }));
+        this.goToHistoryPosition(saved.position);
+        this.replaceHistoryState();
+        return true;
+    }
+
+    /**
+     * @brief Removes any saved progress.
+     * @returns {void}
+     */
+    clearProgress() {
+        removeStored(this.storageKey);
+    }
+
+    /**
+     * @brief Starts again from the first question, discarding the answers, the history and any saved progress.
+     * @param {import('../model/ClaimLogic.js').ClaimAnswers | null} [answers=null] Answers to walk through as from a
+     *                                                          shareable link, instead of starting with none
+     * @returns {void}
+     */
+    restart(answers = null) {
+        this.clearProgress();
+        this.clearAnswers(this.flow.nodes.flatMap((node) => getNodeFields(node)));
+        this.answers = {};
+        this.outcome = null;
+        this.returnToSummary = false;
+        this.history = [];
+        this.historyPosition = -1;
+        this.historyApiFloor = 0;
+        this.renderedPosition = -1;
+
+        if (answers) this.loadAnswers(answers);
+        else this.goToStep(this.flow.start);
+    }
+
+    /**
+     * @brief                   Copies a link that reopens the widget with the current answers to the clipboard
+     * @returns {Promise<void>}
+     */
+    async copyShareLink() {
+        const url = buildShareUrl(window.location.href, { ...this.getAnswers(), asOfDate: this.asOfDate });
+        try {
+            await navigator.clipboard.writeText(url);
+            this.view.markLinkCopied();
+        } catch {
+            this.view.showNotification('notice.copyLink', 'info', { url });
+        }
+    }
+
+    /**
+     * @brief Gives the notification deadline of the current outcome, counted from the assessment date.
+     * @returns {import('../model/ClaimLogic.js').DeadlineStatus | null} The deadline, or null when no PNF is required or
+     *                                                                  the claim period is unknown
+     */
+    getDeadline() {
+        return (this.outcome && this.outcome.deadline) || null;
+    }
+
+    /**
+     * @brief Offers the notification deadline as an iCalendar file, with reminders reminderLeadDays before it.
+     * @returns {void}
+     */
+    downloadCalendar() {
+        const deadline = this.getDeadline();
+        if (!deadline) return;
+
+        const t = this.view.translator;
+        const date = toISODateString(deadline.deadline);
+        const calendar = buildCalendar(
+            [
+                {
+                    uid: `pnf-deadline-${date}@pnf-widget`,
+                    date: deadline.deadline,
+                    summary: t.t('calendar.summary'),
+                    description: t.t('calendar.description', { cnpStart: this.outcome.cnpStart }),
+                    reminderDays: this.reminderLeadDays.filter((days) => days <= deadline.daysLeft),
+                    reminderText: t.t('calendar.reminder', { deadline: deadline.deadline }),
+                },
+            ],
+            this.clock()
+        );
+        if (calendar) this.view.downloadFile(`pnf-deadline-${date}.ics`, calendar, 'text/calendar');
+    }
+
+    /**
+     * @brief Builds the determination report of the result shown: the questions on the path to it with their answers, the outcome and
+     *        how it was reached.
+     * @returns {import('../model/determinationReport.js').DeterminationReport | null} The report, or null when no
+     *                                                                  result is shown
+     */
+    buildReport() {
+        if (!this.outcome) return null;
+        // The history keeps answers superseded by a change from the summary; the report lists only the path they lead to.
+        const answers = this.getAnswers();
+        return buildDeterminationReport(
+            {
+                flow: this.flow,
+                steps: this.traceAnsweredPath().nodes.map((step) => ({ step, after: answers })),
+                answers,
+                outcome: this.outcome,
+                generatedAt: this.clock(),
+            },
+            this.view.translator
+        );
+    }
+
+    /**
+     * @brief Opens the print dialog for the determination report, so it can be printed or saved as PDF.
+     * @returns {void}
+     */
+    printReport() {
+        const report = this.buildReport();
+        if (report) this.view.printDocument(this.view.generateReportDocument(report));
+    }
+
+    /**
+     * @brief Downloads the determination report as JSON.
+     * @returns {void}
+     */
+    downloadReport() {
+        const report = this.buildReport();
+        if (!report) return;
+        const fileName = `pnf-determination-${report.generatedAt.slice(0, 10)}.json`;
+        this.view.downloadFile(fileName, reportToJson(report), 'application/json');
     }
 }
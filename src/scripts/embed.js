@@ -0,0 +1,15 @@
+import { IframeBridge } from './embed/IframeBridge.js';
+import { DEFAULT_FLOW } from './model/questionFlow.js';
+import { mountWidget } from './mount.js';
+
+/** Origins of the pages allowed to embed the widget. Add each partner's origin before deploying. */
+const ALLOWED_ORIGINS = ['http://localhost:3000'];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const widget = mountWidget(document.getElementById('pnfWidget'), {
+        flow: DEFAULT_FLOW,
+        idPrefix: '',
+        useHistoryApi: false,
+    });
+    if (widget) new IframeBridge(widget, { allowedOrigins: ALLOWED_ORIGINS }).start();
+});
@@ -0,0 +1,270 @@
+import { WidgetController } from '../controller/WidgetController.js';
+import { Translator } from '../i18n/Translator.js';
+import { deserializeAnswers } from '../utils/answerCodec.js';
+import { datesToISOStrings } from '../utils/dateUtils.js';
+import { isSafeLinkHref } from '../utils/htmlUtils.js';
+import { applyTheme } from '../utils/themeUtils.js';
+
+/**
+ * @typedef {Object} BridgeMessage
+ * @property {string} source    WIDGET_SOURCE for messages from the widget, HOST_SOURCE for commands from the host page.
+ * @property {number} version   The bridge protocol version of the sender.
+ * @property {string} type      The message or command type (one of the MESSAGE_* or COMMAND_* values).
+ * @property {*} [payload]      Data for the message or command.
+ */
+
+/**
+ * @typedef {Object} ConfigurePayload
+ * @property {string} [locale]                          The locale to switch to; an invalid language tag is ignored.
+ * @property {string | import('../utils/themeUtils.js').ThemeTokens | null} [theme] A theme name or brand tokens.
+ * @property {string} [ctaHref]                         Link of the result's call-to-action; http(s), mailto or
+ *                                                      relative URLs only.
+ * @property {Object.<string, {href?: string, label?: string, target?: string} | false>} [cta] Call-to-action per
+ *                                                      outcome, as the `cta` option of mountWidget.
+ */
+
+/**
+ * Connects a widget running inside an iframe to the page that embeds it, over window.postMessage. The host page's
+ * origin must be on the allowlist; messages are only sent to, and commands only accepted from, that one origin.
+ */
+export class IframeBridge {
+    static VERSION = 1;
+    static WIDGET_SOURCE = 'pnf-widget';
+    static HOST_SOURCE = 'pnf-host';
+    static PARENT_ORIGIN_PARAM = 'pnfParentOrigin';
+
+    static MESSAGE_READY = 'ready';
+    static MESSAGE_HEIGHT = 'height';
+    static MESSAGE_STEP = 'step';
+    static MESSAGE_RESULT = 'result';
+
+    static COMMAND_CONFIGURE = 'configure';
+    static COMMAND_PREFILL = 'prefill';
+    static COMMAND_RESET = 'reset';
+
+    /** @type {import('../mount.js').MountedWidget} */
+    widget;
+    /** @type {string[]} Origins allowed to embed the widget. */
+    allowedOrigins;
+    /** @type {string | null} Origin of the host page and its commands, or null if it is not allowed. */
+    parentOrigin;
+    /** @type {Window | null} The host page's window. */
+    target;
+    /** @type {HTMLElement} Element whose height the iframe is resized to. */
+    heightElement;
+    /** @type {number} The last height sent to the host page. */
+    lastHeight = 0;
+    /** @type {((event: MessageEvent) => void) | null} */
+    messageListener = null;
+    /** @type {((event: Event) => void) | null} */
+    widgetListener = null;
+    /** @type {ResizeObserver | null} */
+    resizeObserver = null;
+
+    /**
+     * @param {import('../mount.js').MountedWidget} widget The mounted widget to connect
+     * @param {Object} options
+     * @param {string[]} options.allowedOrigins     Origins allowed to embed the widget, e.g. 'https://partner.example'
+     * @param {string} [options.parentOrigin]       Origin of the host page; read from the `pnfParentOrigin` URL parameter
+     *                                              or the referrer when not given
+     * @param {Window | null} [options.target]      The host page's window; window.parent by default
+     * @param {HTMLElement} [options.heightElement] Element whose height is sent to the host page; the document body by
+     *                                              default, which must not be stretched to the iframe's height
+     */
+    constructor(
+        widget,
+        {
+            allowedOrigins = [],
+            parentOrigin,
+            target = typeof window !== 'undefined' ? window.parent : null,
+            heightElement = typeof document !== 'undefined' ? document.body : null,
+        } = {}
+    ) {
+        this.widget = widget;
+        this.heightElement = heightElement || widget.view.root;
+        this.allowedOrigins = allowedOrigins.map((origin) => IframeBridge.normaliseOrigin(origin)).filter(Boolean);
+        this.target = target;
+
+        const origin = IframeBridge.normaliseOrigin(parentOrigin ?? IframeBridge.detectParentOrigin());
+        this.parentOrigin = origin && this.allowedOrigins.includes(origin) ? origin : null;
+    }
+
+    /**
+     * @brief                   Reduces a URL or origin to its origin
+     * @param {string | null | undefined} value The URL or origin
+     * @returns {string | null} The origin, or null if the value is not an http(s) URL
+     */
+    static normaliseOrigin(value) {
+        if (!value) return null;
+        try {
+            const url = new URL(value);
+            return url.protocol === 'https:' || url.protocol === 'http:' ? url.origin : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @brief Finds the host page's origin from the URL parameter set by the host-side helper, or from the referrer.
+     * @returns {string | null} The origin, or null if neither is available
+     */
+    static detectParentOrigin() {
+        if (typeof window === 'undefined') return null;
+        const fromParam = new URLSearchParams(window.location.search).get(IframeBridge.PARENT_ORIGIN_PARAM);
+        return fromParam || (typeof document !== 'undefined' && document.referrer) || null;
+    }
+
+    /**
+     * @brief               Starts listening for commands and widget events, and tells the host page the widget is ready
+     * @returns {boolean}   True if the bridge started, false if the host page's origin is not on the allowlist
+     */
+    start() {
+        if (!this.target || this.target === window) {
+            console.error('IframeBridge: The widget is not inside an iframe.');
+            return false;
+        }
+        if (!this.parentOrigin) {
+            console.error('IframeBridge: The embedding page is not on the allowed origins. No messages will be sent.');
+            return false;
+        }
+
+        this.messageListener = (event) => this.handleMessage(event);
+        window.addEventListener('message', this.messageListener);
+
+        this.widgetListener = (event) => this.handleWidgetEvent(/** @type {CustomEvent} */ (event));
+        const root = this.widget.view.root;
+        root.addEventListener(WidgetController.EVENT_STEP_CHANGE, this.widgetListener);
+        root.addEventListener(WidgetController.EVENT_RESULT, this.widgetListener);
+
+        if (typeof ResizeObserver === 'function') {
+            this.resizeObserver = new ResizeObserver(() => this.postHeight());
+            this.resizeObserver.observe(this.heightElement);
+        }
+
+        const entry = this.widget.controller.history[this.widget.controller.historyPosition];
+        this.post(IframeBridge.MESSAGE_READY, { locale: this.widget.view.locale, step: entry ? entry.step : null });
+        this.postHeight();
+        return true;
+    }
+
+    /**
+     * @brief Removes the bridge's listeners.
+     * @returns {void}
+     */
+    stop() {
+        if (this.messageListener) window.removeEventListener('message', this.messageListener);
+        if (this.widgetListener) {
+            const root = this.widget.view.root;
+            root.removeEventListener(WidgetController.EVENT_STEP_CHANGE, this.widgetListener);
+            root.removeEventListener(WidgetController.EVENT_RESULT, this.widgetListener);
+        }
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        this.messageListener = null;
+        this.widgetListener = null;
+        this.resizeObserver = null;
+    }
+
+    /**
+     * @brief                   Sends a message to the host page
+     * @param {string} type     The message type (one of the MESSAGE_* values)
+     * @param {*} [payload]     Data for the message; dates are sent as ISO strings
+     * @returns {void}
+     */
+    post(type, payload) {
+        if (!this.target || !this.parentOrigin) return;
+        /** @type {BridgeMessage} */
+        const message = { source: IframeBridge.WIDGET_SOURCE, version: IframeBridge.VERSION, type, payload };
+        this.target.postMessage(datesToISOStrings(message), this.parentOrigin);
+    }
+
+    /**
+     * @brief Sends the widget's height to the host page when it has changed, so the iframe can be resized to fit.
+     * @returns {void}
+     */
+    postHeight() {
+        const height = Math.ceil(this.heightElement.getBoundingClientRect().height);
+        if (height === this.lastHeight) return;
+        this.lastHeight = height;
+        this.post(IframeBridge.MESSAGE_HEIGHT, { height });
+    }
+
+    /**
+     * @brief                       Forwards the widget's step change and result events to the host page
+     * @param {CustomEvent} event   The widget event
+     * @returns {void}
+     */
+    handleWidgetEvent(event) {
+        if (event.type === WidgetController.EVENT_STEP_CHANGE) this.post(IframeBridge.MESSAGE_STEP, event.detail);
+        else if (event.type === WidgetController.EVENT_RESULT) this.post(IframeBridge.MESSAGE_RESULT, event.detail);
+        if (!this.resizeObserver) this.postHeight();
+    }
+
+    /**
+     * @brief                       Runs a command from the host page, ignoring messages from other windows and from
+     *                              any origin but the host page's, even one on the allowlist
+     * @param {MessageEvent} event  The message event
+     * @returns {void}
+     */
+    handleMessage(event) {
+        if (event.source !== this.target || event.origin !== this.parentOrigin) return;
+        const data = event.data;
+        if (!data || typeof data !== 'object' || data.source !== IframeBridge.HOST_SOURCE) return;
+        if (data.version !== IframeBridge.VERSION) {
+            console.warn(`IframeBridge: Ignoring a '${data.type}' command for protocol version ${data.version}.`);
+            return;
+        }
+
+        const payload = data.payload && typeof data.payload === 'object' ? data.payload : {};
+        switch (data.type) {
+            case IframeBridge.COMMAND_CONFIGURE:
+                this.configure(payload);
+                break;
+            case IframeBridge.COMMAND_PREFILL:
+                this.widget.controller.restart(IframeBridge.readAnswers(payload.answers));
+                break;
+            case IframeBridge.COMMAND_RESET:
+                this.widget.controller.restart();
+                break;
+            default:
+                console.warn(`IframeBridge: Unknown command '${data.type}'.`);
+        }
+    }
+
+    /**
+     * @brief                           Changes the locale, theme or call-to-action and shows the current step again
+     * @param {ConfigurePayload} payload The settings to change; settings left out are kept
+     * @returns {void}
+     */
+    configure({ locale, theme, ctaHref, cta }) {
+        const { view, controller } = this.widget;
+
+        if (theme !== undefined) applyTheme(view.root, theme);
+        if (ctaHref !== undefined) {
+            if (isSafeLinkHref(ctaHref)) view.ctaHref = ctaHref;
+            else console.warn('IframeBridge: Ignoring a ctaHref that is not an http(s), mailto or relative URL.');
+        }
+        if (cta !== undefined) {
+            const hrefs = Object.values(cta || {}).map((option) => option && option.href);
+            if (hrefs.every((href) => href === undefined || isSafeLinkHref(href))) view.cta = cta;
+            else console.warn('IframeBridge: Ignoring a cta with a link that is not an http(s), mailto or relative URL.');
+        }
+        if (locale) {
+            if (Translator.isValidLocale(locale)) view.setLocale(locale);
+            else console.warn(`IframeBridge: Ignoring the locale "${locale}", which is not a valid language tag.`);
+        }
+        controller.rerender();
+    }
+
+    /**
+     * @brief                   Reads prefilled answers, accepting booleans as well as 'yes'/'no' and ISO date strings
+     * @param {*} data          The answers from the host page
+     * @returns {import('../model/ClaimLogic.js').ClaimAnswers} The answers that could be read
+     */
+    static readAnswers(data) {
+        if (!data || typeof data !== 'object') return {};
+        const strings = Object.fromEntries(
+            Object.entries(data).map(([key, value]) => [key, typeof value === 'boolean' ? (value ? 'yes' : 'no') : value])
+        );
+        return deserializeAnswers(strings);
+    }
+}
@@ -0,0 +1,132 @@
+// Host-side helper for embedding the widget in an iframe. It runs on the embedding page, so it has no imports and
+// can be loaded from the widget's server on its own.
+
+/** Bridge protocol version spoken by this helper; must match IframeBridge.VERSION in the widget. */
+export const PNF_BRIDGE_VERSION = 1;
+
+/**
+ * @typedef {Object} PnfEmbedOptions
+ * @property {string} src                       URL of the widget's embed page, e.g. 'https://widget.example/embed.html'.
+ * @property {string} [title]                   Accessible title of the iframe.
+ * @property {number} [minHeight=320]           Height of the iframe in pixels until the widget reports its own.
+ * @property {Object} [config]                  Settings sent with the configure command once the widget is ready:
+ *                                              `locale`, `theme`, `ctaHref` and `cta`.
+ * @property {Object.<string, *>} [answers] Answers sent with the prefill command once the widget is ready.
+ * @property {(payload: {locale: string, step: string | null}) => void} [onReady] Called when the widget has started.
+ * @property {(payload: {height: number}) => void} [onHeight] Called when the widget's height changes, after the
+ *                                              iframe has been resized.
+ * @property {(payload: Object) => void} [onStep] Called with the step change details when another step is shown.
+ * @property {(payload: Object) => void} [onResult] Called with the result details, dates as YYYY-MM-DD strings.
+ */
+
+/**
+ * @typedef {Object} PnfEmbed
+ * @property {HTMLIFrameElement} iframe                     The widget's iframe.
+ * @property {(config: Object) => void} configure           Changes the locale, theme or call-to-action.
+ * @property {(answers: Object.<string, *>) => void} prefill Starts again with the given answers.
+ * @property {() => void} reset                             Starts again from the first question.
+ * @property {() => void} destroy                           Removes the iframe and stops listening for messages.
+ */
+
+/**
+ * @brief                               Adds the widget to a page in an iframe that resizes to fit it. Only messages
+ *                                      from the widget's own iframe and origin are handled, and commands are only
+ *                                      sent to that origin; commands sent before the widget is ready are queued.
+ * @param {HTMLElement} container       The element to add the iframe to
+ * @param {PnfEmbedOptions} options     The widget's URL, settings and callbacks
+ * @returns {PnfEmbed | null}           Controls for the embedded widget, or null if no container or src was given
+ */
+export function embedPnfWidget(
+    container,
+    {
+        src,
+        title = 'R&D Claim Pre-Notification Checker',
+        minHeight = 320,
+        config,
+        answers,
+        onReady,
+        onHeight,
+        onStep,
+        onResult,
+    } = {}
+) {
+    if (!container || !src) {
+        console.error('embedPnfWidget: A container element and the widget src are required.');
+        return null;
+    }
+
+    const url = new URL(src, window.location.href);
+    url.searchParams.set('pnfParentOrigin', window.location.origin);
+    const widgetOrigin = url.origin;
+
+    const iframe = document.createElement('iframe');
+    iframe.src = url.href;
+    iframe.title = title;
+    iframe.style.width = '100%';
+    iframe.style.border = '0';
+    iframe.style.height = `${minHeight}px`;
+
+    let isReady = false;
+    const queue = [];
+
+    const send = (type, payload) => {
+        const message = { source: 'pnf-host', version: PNF_BRIDGE_VERSION, type, payload };
+        if (isReady && iframe.contentWindow) iframe.contentWindow.postMessage(message, widgetOrigin);
+        else queue.push(message);
+    };
+
+    const call = (callback, payload) => {
+        if (typeof callback !== 'function') return;
+        try {
+            callback(payload);
+        } catch (error) {
+            console.error('embedPnfWidget: A callback threw an error.', error);
+        }
+    };
+
+    const listener = (event) => {
+        if (event.origin !== widgetOrigin || event.source !== iframe.contentWindow) return;
+        const data = event.data;
+        if (!data || typeof data !== 'object' || data.source !== 'pnf-widget') return;
+        if (data.version !== PNF_BRIDGE_VERSION) {
+            console.warn(`embedPnfWidget: Ignoring a '${data.type}' message for protocol version ${data.version}.`);
+            return;
+        }
+
+        switch (data.type) {
+            case 'ready':
+                isReady = true;
+                queue.splice(0).forEach((message) => iframe.contentWindow.postMessage(message, widgetOrigin));
+                call(onReady, data.payload);
+                break;
+            case 'height': {
+                const height = Number(data.payload && data.payload.height);
+                if (height > 0) iframe.style.height = `${height}px`;
+                call(onHeight, data.payload);
+                break;
+            }
+            case 'step':
+                call(onStep, data.payload);
+                break;
+            case 'result':
+                call(onResult, data.payload);
+                break;
+        }
+    };
+    window.addEventListener('message', listener);
+
+    if (config) send('configure', config);
+    if (answers) send('prefill', { answers });
+    container.appendChild(iframe);
+
+    return {
+        iframe,
+        configure: (newConfig) => send('configure', newConfig),
+        prefill: (newAnswers) => send('prefill', { answers: newAnswers }),
+        reset: () => send('reset'),
+        destroy: () => {
+            window.removeEventListener('message', listener);
+            iframe.remove();
+        },
+    };
+}
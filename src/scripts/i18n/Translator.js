@@ -0,0 +1,136 @@
+import { formatDate } from '../utils/dateUtils.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
+import { cy } from './messages/cy.js';
+import { en } from './messages/en.js';
+
+/**
+ * Looks up user-facing text in a message catalogue for one locale and fills in its placeholders.
+ *
+ * Catalogues are keyed by language (`en`, `cy`, ...). A locale such as `cy-GB` uses the `cy` catalogue, keys it does
+ * not define fall back to English, and a key no catalogue defines is returned as it is. That last rule lets flows use
+ * literal text instead of message keys.
+ */
+export class Translator {
+    static DEFAULT_LOCALE = 'en-GB';
+    static FALLBACK_LANGUAGE = 'en';
+
+    /** @type {Object.<string, Object.<string, string>>} Message catalogues by language. */
+    static catalogues = { en, cy };
+
+    /** @type {string} */
+    locale;
+    /** @type {string} */
+    language;
+    /** @type {Object.<string, string>} */
+    messages;
+
+    /**
+     * @brief                       Adds or extends the catalogue for a language, e.g. to reword messages or add a language
+     * @param {string} language     The language code, e.g. 'cy'
+     * @param {Object.<string, string>} messages Messages by key
+     * @returns {void}
+     */
+    static registerCatalogue(language, messages) {
+        const key = language.toLowerCase();
+        Translator.catalogues[key] = { ...(Translator.catalogues[key] || {}), ...messages };
+    }
+
+    /**
+     * @brief                           Constructs a translator for a locale
+     * @param {string} [locale='en-GB'] BCP 47 locale, e.g. 'en-GB' or 'cy-GB'. 'auto' uses the browser's language.
+     */
+    constructor(locale = Translator.DEFAULT_LOCALE) {
+        this.locale = Translator.resolveLocale(locale);
+        this.language = this.locale.split('-')[0].toLowerCase();
+        this.messages = {
+            ...Translator.catalogues[Translator.FALLBACK_LANGUAGE],
+            ...(Translator.catalogues[this.language] || {}),
+        };
+    }
+
+    /**
+     * @brief                   Turns the `locale` option into a concrete locale. A tag Intl cannot use, e.g. 'en_GB',
+     *                          falls back to DEFAULT_LOCALE, as dates could not be formatted in it.
+     * @param {string} locale   A locale, or 'auto' for the browser's language
+     * @returns {string}        The locale to use
+     */
+    static resolveLocale(locale) {
+        if (locale !== 'auto') {
+            if (!locale) return Translator.DEFAULT_LOCALE;
+            if (Translator.isValidLocale(locale)) return locale;
+            console.warn(`Translator: "${locale}" is not a valid locale. Using ${Translator.DEFAULT_LOCALE}.`);
+            return Translator.DEFAULT_LOCALE;
+        }
+        const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+        return (
+            preferred.find((tag) => tag && Translator.catalogues[tag.split('-')[0].toLowerCase()]) || Translator.DEFAULT_LOCALE
+        );
+    }
+
+    /**
+     * @brief                   Checks that a locale is a well-formed BCP 47 tag that Intl accepts
+     * @param {*} locale        The locale, e.g. 'cy-GB'
+     * @returns {boolean}       True if the locale can be used, false otherwise
+     */
+    static isValidLocale(locale) {
+        if (typeof locale !== 'string' || locale === '') return false;
+        try {
+            return Intl.getCanonicalLocales(locale).length === 1;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @brief                   Checks whether a catalogue defines a message
+     * @param {string} key      The message key
+     * @returns {boolean}       True if the key has a message
+     */
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.messages, key);
+    }
+
+    /**
+     * @brief                           Looks up a message and fills in its placeholders as plain text
+     * @param {string} key              The message key, or literal text
+     * @param {Object.<string, *>} [params={}] Placeholder values; Dates are formatted for the locale
+     * @returns {string}                The message
+     */
+    t(key, params = {}) {
+        const template = this.has(key) ? this.messages[key] : key;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            name in params ? this._formatParam(params[name]) : placeholder
+        );
+    }
+
+    /**
+     * @brief                           Looks up a message for use in HTML. The message is escaped, the placeholder
+     *                                  values are inserted as they are, so they may contain markup.
+     * @param {string} key              The message key, or literal text
+     * @param {Object.<string, string>} [htmlParams={}] Placeholder values as HTML, escaped by the caller
+     * @returns {string}                The HTML string
+     */
+    html(key, htmlParams = {}) {
+        const template = escapeHtml(this.has(key) ? this.messages[key] : key);
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in htmlParams ? htmlParams[name] : placeholder));
+    }
+
+    /**
+     * @brief               Formats a date for the locale
+     * @param {Date} date   The UTC date
+     * @returns {string}    The formatted date
+     */
+    formatDate(date) {
+        return formatDate(date, this.locale);
+    }
+
+    /**
+     * @brief           Formats a placeholder value
+     * @param {*} value The value
+     * @returns {string} The formatted value
+     * @private
+     */
+    _formatParam(value) {
+        return value instanceof Date ? this.formatDate(value) : String(value);
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Welsh (Cymraeg) messages. Keys missing here fall back to the English catalogue.
+ */
+export const cy = {
+    'widget.title': 'Gwiriwr Rhag-hysbysu Hawliadau Ymchwil a Datblygu',
+    'widget.description': 'Gwiriwch yn gyflym ac yn hawdd a ydych yn gymwys i gael rhyddhad Ymchwil a Datblygu',
+
+    'button.next': 'Nesaf',
+    'button.back': 'Yn ôl',
+    'button.copyLink': 'Copïo’r ddolen',
+    'button.linkCopied': 'Dolen wedi’i chopïo!',
+    'button.dismiss': 'Diystyru',
+    'button.addToCalendar': 'Ychwanegu at y calendr (.ics)',
+    'button.printReport': 'Argraffu’r adroddiad',
+    'button.downloadReport': 'Lawrlwytho’r adroddiad (JSON)',
+    'button.change': 'Newid',
+    'button.confirmAnswers': 'Gweld y canlyniad',
+    'button.addClaim': 'Ychwanegu hawliad arall',
+    'button.removeClaim': 'Dileu',
+    'button.removeClaimLabel': 'Dileu hawliad {number}',
+
+    'question.claimedBefore': 'Ydych chi wedi hawlio rhyddhad Ymchwil a Datblygu o’r blaen?',
+    'question.lastFiling': 'Ar ba ddyddiad y gwnaethoch gyflwyno’r hawliad Ymchwil a Datblygu diwethaf?',
+    'question.claimPeriod': 'Rhowch ddyddiadau dechrau a diwedd y cyfnod cyfrifyddu ar gyfer yr hawliad diwethaf.',
+    'question.submissionType':
+        'A gafodd yr hawliad ei gyflwyno ar ffurflen dreth ddiwygiedig neu gyda’r cyflwyniad gwreiddiol?',
+    'question.everClaimedBefore': 'Ydych chi erioed wedi hawlio cyn hyn?',
+    'question.claimHistory':
+        'Rhowch fanylion pob hawliad Ymchwil a Datblygu rydych wedi’i wneud o’r blaen, gan gynnwys unrhyw rai a wnaed drwy ffurflen ddiwygiedig.',
+
+    'choice.yes': 'Ydw',
+    'choice.no': 'Nac ydw',
+    'choice.amended': 'Cyflwyniad diwygiedig',
+    'choice.original': 'Cyflwyniad gwreiddiol',
+
+    'step.claimedBefore': 'Wedi hawlio o’r blaen',
+    'step.lastFiling': 'Dyddiad yr hawliad diwethaf',
+    'step.claimPeriod': 'Cyfnod hawlio',
+    'step.submissionType': 'Math o gyflwyniad',
+    'step.everClaimedBefore': 'Hawliadau cynharach',
+    'step.claimHistory': 'Hawliadau blaenorol',
+    'step.summary': 'Gwirio’ch atebion',
+    'step.result': 'Canlyniad',
+    'progress.label': 'Cynnydd',
+    'summary.title': 'Gwiriwch eich atebion',
+    'summary.changeLabel': 'Newid eich ateb i: {question}',
+    'summary.claim': 'Cyflwynwyd ar {filingDate} ar gyfer {periodStart} i {periodEnd}, {submissionType}',
+
+    'label.cpStart': 'Dyddiad dechrau',
+    'label.cpEnd': 'Dyddiad gorffen',
+    'label.claimNumber': 'Hawliad {number}',
+    'label.claimFilingDate': 'Dyddiad cyflwyno',
+    'label.submissionType': 'Cyflwynwyd gyda',
+    'label.asOfDate': 'Asesu ar (dewisol)',
+    'hint.asOfDate': 'Gadewch yn wag i ddefnyddio dyddiad heddiw. Caiff dyddiadau cau eu barnu yn ôl y dyddiad hwn.',
+    'label.day': 'Diwrnod',
+    'label.month': 'Mis',
+    'label.year': 'Blwyddyn',
+    'hint.dateExample': 'Er enghraifft, {example}.',
+    'hint.dateParts': 'Er enghraifft, {day} {month} {year}.',
+
+    'error.lastFilingRequired': 'Rhowch y dyddiad y gwnaethoch gyflwyno’r hawliad diwethaf.',
+    'error.cpStartRequired': 'Rhowch ddyddiad dechrau’r cyfnod hawlio.',
+    'error.cpEndRequired': 'Rhowch ddyddiad diwedd y cyfnod hawlio.',
+    'error.submissionTypeRequired': 'Dewiswch a gafodd yr hawliad ei gyflwyno gyda’r ffurflen wreiddiol neu un ddiwygiedig.',
+    'error.invalidDateFormat': 'Fformat dyddiad annilys. {message}',
+    'error.date.yearFormat': 'Rhowch y flwyddyn gyda 4 digid, er enghraifft 2024.',
+    'error.date.monthOutOfRange': 'Nid yw {month} yn fis. Rhowch fis rhwng 1 a 12.',
+    'error.date.dayOutOfRange': 'Nid yw {day} yn ddiwrnod o’r mis. Rhowch ddiwrnod rhwng 1 a 31.',
+    'error.date.dayNotInMonth': 'Nid yw {day} {monthName} yn bodoli.',
+    'error.date.notLeapYear': 'Nid yw {day} {monthName} {year} yn bodoli, oherwydd nid yw {year} yn flwyddyn naid.',
+    'error.date.missingDay': 'Rhaid i’r dyddiad gynnwys diwrnod.',
+    'error.date.missingMonth': 'Rhaid i’r dyddiad gynnwys mis.',
+    'error.date.missingYear': 'Rhaid i’r dyddiad gynnwys blwyddyn.',
+    'error.claimPeriodOrder': 'Rhaid i ddyddiad dechrau’r cyfnod hawlio fod cyn y dyddiad gorffen.',
+    'error.asOfDateInvalid': 'Rhowch y dyddiad i asesu arno, neu gadewch ef yn wag.',
+    'error.claimPeriodTooLong': 'Ni all cyfnod cyfrif fod yn hwy na 18 mis.',
+    'error.futureDate': 'Mae {date} yn y dyfodol. Ni all dyddiadau fod yn hwyrach na {today}.',
+    'error.filingBeforePeriodEnd':
+        'Cafodd yr hawliad diwethaf ei gyflwyno ar {lastFilingDate}, cyn i’w gyfnod ddod i ben ar {cpEnd}. Dim ond ar ôl i’r cyfnod ddod i ben y gellir cyflwyno hawliad.',
+    'warning.lateFiling':
+        'Cafodd yr hawliad diwethaf ei gyflwyno ar {lastFilingDate}, mwy na {years} blynedd ar ôl i’w gyfnod ddod i ben ar {cpEnd}. Fel arfer, caiff hawliadau eu gwneud o fewn {years} blynedd, felly gwiriwch y dyddiadau hyn.',
+    'error.claimFiledBeforePeriodEnd':
+        'Cafodd hawliad {claim} ei gyflwyno ar {lastFilingDate}, cyn i’w gyfnod ddod i ben ar {cpEnd}. Dim ond ar ôl i’r cyfnod ddod i ben y gellir cyflwyno hawliad.',
+    'warning.claimFiledLate':
+        'Cafodd hawliad {claim} ei gyflwyno ar {lastFilingDate}, mwy na {years} blynedd ar ôl i’w gyfnod ddod i ben ar {cpEnd}. Fel arfer, caiff hawliadau eu gwneud o fewn {years} blynedd, felly gwiriwch y dyddiadau hyn.',
+    'error.dateCalculation': 'Gwall mewnol: methodd y cyfrifiad dyddiad.',
+    'error.flowIncomplete': 'Gwall mewnol: mae llif y cwestiynau yn anghyflawn.',
+    'error.inputNotFound': 'Gwall ffurfweddu: ni chafwyd hyd i’r elfen fewnbwn ar gyfer {inputKey}.',
+
+    'notice.describeEarlierClaim': 'Rhowch y dyddiad ar gyfer yr hawliad a wnaed cyn yr un rydych newydd ei ddisgrifio',
+    'notice.confirmWarnings': 'Gwiriwch yr atebion sydd wedi’u marcio isod. Os ydynt yn gywir, dewiswch {button} eto i barhau.',
+    'notice.copyLink': 'Copïwch y ddolen hon i rannu’r canlyniad: {url}',
+    'notice.claimRemoved': 'Hawliad {number} wedi’i ddileu.',
+
+    'result.pnfRequired.title': 'Mae angen PNF.',
+    'result.pnfRequired.desc': 'Bydd angen i chi rag-hysbysu CThEF am eich hawliad Ymchwil a Datblygu nesaf.',
+    'result.pnfRequired.deadline': 'Ar gyfer {cnpStart}, mae angen i chi gyflwyno’r ffurflen rhag-hysbysu erbyn {cnpEnd}.',
+    'result.pnfRequired.cta': 'Cliciwch yma i ddefnyddio ein hadnodd defnyddiol!',
+    'result.deadline.lastDay': 'Y diwrnod olaf i gyflwyno eich hysbysiad hawliad yw {deadline}.',
+    'result.deadline.daysLeft': 'Dyddiau ar ôl: {days}.',
+    'result.deadline.today': 'Mae’r dyddiad cau heddiw.',
+    'result.deadline.passed': 'Mae’r dyddiad cau hwn wedi mynd heibio.',
+    'result.asOf': 'Aseswyd ar {date}.',
+    'result.periods.intro':
+        'Mae eich cyfnod cyfrif yn hwy na 12 mis, felly caiff ei rannu’n gyfnodau cyfrifyddu. Mae gan bob un ei gyfnod hysbysu ei hun:',
+    'result.periods.item': 'Cyfnod cyfrifyddu {start} i {end}: {outcome}.',
+    'result.periods.window': 'Cyfnod hysbysu: {cnpStart} i {cnpEnd}.',
+    'result.noPnfRequired.title': 'Dim angen PNF.',
+    'result.noPnfRequired.desc':
+        'Nid oes angen i chi gyflwyno ffurflen rhag-hysbysu i CThEF ar gyfer eich hawliad nesaf. Fodd bynnag, os hoffech wneud hynny beth bynnag,',
+    'result.noPnfRequired.cta': 'gallwch ddefnyddio ein hadnodd yma!',
+
+    'calendar.summary': 'Dyddiad cau hysbysiad hawliad Ymchwil a Datblygu',
+    'calendar.description':
+        'Y diwrnod olaf i gyflwyno’r hysbysiad hawliad Ymchwil a Datblygu ar gyfer y cyfnod cyfrifyddu sy’n dechrau {cnpStart}.',
+    'calendar.reminder': 'Hysbysiad hawliad Ymchwil a Datblygu yn ddyledus ar {deadline}',
+
+    'report.title': 'Penderfyniad rhag-hysbysu hawliad Ymchwil a Datblygu',
+    'report.generatedAt': 'Crëwyd: {timestamp}',
+    'report.engineVersion': 'Fersiwn y rheolau: {version}',
+    'report.outcome': 'Canlyniad',
+    'report.questions': 'Cwestiynau ac atebion',
+    'report.column.question': 'Cwestiwn',
+    'report.column.answer': 'Ateb',
+
+    'batch.title': 'Gwirio portffolio',
+    'batch.description': 'Llwythwch ffeil CSV i fyny gydag un cwmni ym mhob rhes i’w gwirio i gyd ar unwaith.',
+    'batch.fileLabel': 'Ffeil CSV',
+    'batch.export': 'Allforio’r canlyniadau (CSV)',
+    'batch.summary': 'Cwmnïau a wiriwyd: {count}. Rhesi â gwallau: {errors}.',
+    'batch.readError': 'Nid oedd modd darllen y ffeil.',
+    'batch.column.company': 'Cwmni',
+    'batch.column.outcome': 'Canlyniad',
+    'batch.column.cnp': 'Cyfnod hysbysu hawliad',
+    'batch.column.deadline': 'Dyddiad cau',
+    'batch.column.errors': 'Gwallau',
+    'batch.outcome.pnfRequired': 'Mae angen PNF',
+    'batch.outcome.noPnfRequired': 'Dim angen PNF',
+    'batch.cnpRange': '{cnpStart} i {cnpEnd}',
+    'batch.error.emptyFile': 'Mae’r ffeil yn wag.',
+    'batch.error.missingColumns': 'Nid oes colofn yn y ffeil ar gyfer: {columns}.',
+    'batch.error.noCompany': 'Mae enw’r cwmni ar goll.',
+    'batch.error.notYesNo': 'Rhaid i {column} fod yn ie neu na, nid "{value}".',
+    'batch.error.invalidDate':
+        'Nid yw {column} yn ddyddiad dilys: "{value}". Defnyddiwch DD/MM/BBBB, 31 Maw 2024 neu BBBB-MM-DD.',
+    'batch.error.submissionType': 'Rhaid i’r math o gyflwyniad fod yn wreiddiol neu’n ddiwygiedig, nid "{value}".',
+    'batch.error.missingAnswer': 'Ateb ar goll: {columns}.',
+    'batch.error.missingClaimAnswer': 'Ateb ar goll ar gyfer hawliad {claim}: {columns}.',
+    'batch.error.historyNotClaimedBefore':
+        'Mae hawliad {claim} yn dweud nad yw’r cwmni wedi hawlio o’r blaen, ond mae pob un o resi’r cwmni yn un o’i hawliadau.',
+    'batch.error.describeEarlierClaim':
+        'Gwnaed hawliad cynharach: ychwanegwch res ar ei gyfer gyda’r un enw cwmni, gan roi ei ddyddiad cyflwyno, ei gyfnod a’i fath o gyflwyniad.',
+
+    'trace.why': 'Pam?',
+    'trace.yes': 'ydy',
+    'trace.no': 'nac ydy',
+    'trace.date.lastFilingDate': 'Dyddiad cyflwyno diwethaf',
+    'trace.date.cnpEnd': 'Diwedd y CNP (diwedd y cyfnod hawlio + 6 mis)',
+    'trace.date.lookBackStart': 'Ffin edrych yn ôl 3 blynedd',
+    'trace.date.april2023Cutoff': 'Terfyn Ebrill 2023',
+    'trace.operator.<': 'cyn',
+    'trace.operator.<=': 'ar neu cyn',
+    'trace.operator.>=': 'ar neu ar ôl',
+    'trace.rule.FIRST_CLAIM': 'Nid oes hawliad Ymchwil a Datblygu wedi’i wneud o’r blaen, felly dyma’r hawliad cyntaf.',
+    'trace.rule.FILING_OUTSIDE_LOOK_BACK': 'Ni chafodd yr hawliad diwethaf ei gyflwyno o fewn y 3 blynedd cyn diwedd y CNP.',
+    'trace.rule.FILING_WITHIN_LOOK_BACK': 'Cafodd yr hawliad diwethaf ei gyflwyno o fewn y 3 blynedd cyn diwedd y CNP.',
+    'trace.rule.ORIGINAL_SUBMISSION':
+        'Cafodd yr hawliad diwethaf ei gyflwyno o fewn y cyfnod edrych yn ôl gyda’r ffurflen wreiddiol.',
+    'trace.rule.AMENDED_ONLY':
+        'Cafodd yr unig hawliad blaenorol ei wneud ar ffurflen ddiwygiedig ac nid oes hawliad cynharach.',
+    'trace.check.CLAIMED_BEFORE': 'Mae hawliad Ymchwil a Datblygu wedi’i wneud o’r blaen',
+    'trace.check.FILED_AFTER_LOOK_BACK_START': 'Mae’r dyddiad cyflwyno diwethaf ar neu ar ôl y ffin edrych yn ôl 3 blynedd',
+    'trace.check.FILED_BEFORE_CNP_END': 'Mae’r dyddiad cyflwyno diwethaf ar neu cyn diwedd y CNP',
+    'trace.check.CP_STARTS_BEFORE_CUTOFF': 'Mae’r cyfnod hawlio yn dechrau cyn terfyn Ebrill 2023',
+    'trace.check.ORIGINAL_SUBMISSION': 'Cafodd yr hawliad diwethaf ei gyflwyno gyda’r ffurflen wreiddiol',
+    'trace.check.EARLIER_CLAIM': 'Cafodd hawliad ei wneud cyn yr un diwygiedig',
+    'trace.decidingClaim': 'Penderfynwyd gan hawliad {number}, a gyflwynwyd ar {filingDate}.',
+};
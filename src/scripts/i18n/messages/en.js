@@ -0,0 +1,174 @@
+/**
+ * English (default) messages. Every other catalogue falls back to these for keys it does not define.
+ * Placeholders in braces, e.g. `{cnpEnd}`, are filled in by Translator.t; dates are formatted for the active locale.
+ */
+export const en = {
+    'widget.title': 'R&D Claim Pre-Notification Checker',
+    'widget.description': 'Check if you are eligible for R&D relief quickly and easily',
+
+    'button.next': 'Next',
+    'button.back': 'Back',
+    'button.copyLink': 'Copy link',
+    'button.linkCopied': 'Link copied!',
+    'button.dismiss': 'Dismiss',
+    'button.addToCalendar': 'Add to calendar (.ics)',
+    'button.printReport': 'Print report',
+    'button.downloadReport': 'Download report (JSON)',
+    'button.change': 'Change',
+    'button.confirmAnswers': 'See the result',
+    'button.addClaim': 'Add another claim',
+    'button.removeClaim': 'Remove',
+    'button.removeClaimLabel': 'Remove claim {number}',
+
+    'question.claimedBefore': 'Have you claimed for R&D relief before?',
+    'question.lastFiling': 'On what date did you file the last R&D claim?',
+    'question.claimPeriod': 'Enter the start and end dates of the accounting period for the last claim.',
+    'question.submissionType': 'Was the claim filed as an amended tax return or with the original submission?',
+    'question.everClaimedBefore': 'Have you ever claimed before this?',
+    'question.claimHistory': 'Tell us about each R&D claim you have made before, including any made by amended return.',
+
+    'choice.yes': 'Yes',
+    'choice.no': 'No',
+    'choice.amended': 'Amended Submission',
+    'choice.original': 'Original Submission',
+
+    'step.claimedBefore': 'Claimed before',
+    'step.lastFiling': 'Last claim date',
+    'step.claimPeriod': 'Claim period',
+    'step.submissionType': 'Submission type',
+    'step.everClaimedBefore': 'Earlier claims',
+    'step.claimHistory': 'Previous claims',
+    'step.summary': 'Check your answers',
+    'step.result': 'Result',
+    'progress.label': 'Progress',
+    'summary.title': 'Check your answers',
+    'summary.changeLabel': 'Change your answer to: {question}',
+    'summary.claim': 'Filed on {filingDate} for {periodStart} to {periodEnd}, {submissionType}',
+
+    'label.cpStart': 'Start date',
+    'label.cpEnd': 'End date',
+    'label.claimNumber': 'Claim {number}',
+    'label.claimFilingDate': 'Date filed',
+    'label.submissionType': 'Filed with',
+    'label.asOfDate': 'Assess as of (optional)',
+    'hint.asOfDate': 'Leave blank to use today’s date. Deadlines are judged against this date.',
+    'label.day': 'Day',
+    'label.month': 'Month',
+    'label.year': 'Year',
+    'hint.dateExample': 'For example, {example}.',
+    'hint.dateParts': 'For example, {day} {month} {year}.',
+
+    'error.lastFilingRequired': 'Please enter the date you filed the last claim.',
+    'error.cpStartRequired': 'Please enter the claim period start date.',
+    'error.cpEndRequired': 'Please enter the claim period end date.',
+    'error.submissionTypeRequired': 'Please select whether the claim was filed with the original return or an amended one.',
+    'error.invalidDateFormat': 'Invalid date format. {message}',
+    'error.date.yearFormat': 'Enter the year with 4 digits, for example 2024.',
+    'error.date.monthOutOfRange': '{month} is not a month. Enter a month from 1 to 12.',
+    'error.date.dayOutOfRange': '{day} is not a day of the month. Enter a day from 1 to 31.',
+    'error.date.dayNotInMonth': '{day} {monthName} does not exist.',
+    'error.date.notLeapYear': '{day} {monthName} {year} does not exist, because {year} is not a leap year.',
+    'error.date.missingDay': 'The date must include a day.',
+    'error.date.missingMonth': 'The date must include a month.',
+    'error.date.missingYear': 'The date must include a year.',
+    'error.claimPeriodOrder': 'The claim period start date must be before the end date.',
+    'error.asOfDateInvalid': 'Please enter the date to assess as of, or leave it blank.',
+    'error.claimPeriodTooLong': 'A period of account cannot be longer than 18 months.',
+    'error.futureDate': '{date} is in the future. Dates cannot be later than {today}.',
+    'error.filingBeforePeriodEnd':
+        'The last claim was filed on {lastFilingDate}, before its period ended on {cpEnd}. A claim can only be filed after the period ends.',
+    'warning.lateFiling':
+        'The last claim was filed on {lastFilingDate}, more than {years} years after its period ended on {cpEnd}. Claims are normally made within {years} years, so check these dates.',
+    'error.claimFiledBeforePeriodEnd':
+        'Claim {claim} was filed on {lastFilingDate}, before its period ended on {cpEnd}. A claim can only be filed after the period ends.',
+    'warning.claimFiledLate':
+        'Claim {claim} was filed on {lastFilingDate}, more than {years} years after its period ended on {cpEnd}. Claims are normally made within {years} years, so check these dates.',
+    'error.dateCalculation': 'Internal error: date calculation failed.',
+    'error.flowIncomplete': 'Internal error: the question flow is incomplete.',
+    'error.inputNotFound': 'Configuration error: Input element for {inputKey} not found.',
+
+    'notice.describeEarlierClaim': 'Please enter the date for the claim made before the one you just described',
+    'notice.confirmWarnings': 'Check the answers marked below. If they are right, select {button} again to continue.',
+    'notice.copyLink': 'Copy this link to share the result: {url}',
+    'notice.claimRemoved': 'Claim {number} removed.',
+
+    'result.pnfRequired.title': 'PNF Required.',
+    'result.pnfRequired.desc': 'You will need to prenotify HMRC for your next R&D claim.',
+    'result.pnfRequired.deadline': 'For {cnpStart}, you need to submit the prenotification form by {cnpEnd}.',
+    'result.pnfRequired.cta': 'Click here to use our handy tool!',
+    'result.deadline.lastDay': 'The last day to submit your claim notification is {deadline}.',
+    'result.deadline.daysLeft': 'Days left: {days}.',
+    'result.deadline.today': 'The deadline is today.',
+    'result.deadline.passed': 'This deadline has passed.',
+    'result.asOf': 'Assessed as of {date}.',
+    'result.periods.intro':
+        'Your period of account is longer than 12 months, so it is split into accounting periods. Each has its own notification window:',
+    'result.periods.item': 'Accounting period {start} to {end}: {outcome}.',
+    'result.periods.window': 'Notification window: {cnpStart} to {cnpEnd}.',
+    'result.noPnfRequired.title': 'No PNF Required.',
+    'result.noPnfRequired.desc':
+        'You do not need to submit a prenotification form to HMRC for your next claim. However, if you would like to anyway',
+    'result.noPnfRequired.cta': 'you can use our tool here!',
+
+    'calendar.summary': 'R&D claim notification deadline',
+    'calendar.description': 'Last day to submit the R&D claim notification for the period of account starting {cnpStart}.',
+    'calendar.reminder': 'R&D claim notification due on {deadline}',
+
+    'report.title': 'R&D claim pre-notification determination',
+    'report.generatedAt': 'Generated: {timestamp}',
+    'report.engineVersion': 'Rules version: {version}',
+    'report.outcome': 'Outcome',
+    'report.questions': 'Questions and answers',
+    'report.column.question': 'Question',
+    'report.column.answer': 'Answer',
+
+    'batch.title': 'Portfolio check',
+    'batch.description': 'Upload a CSV file with one company per row to check them all at once.',
+    'batch.fileLabel': 'CSV file',
+    'batch.export': 'Export results (CSV)',
+    'batch.summary': 'Companies checked: {count}. Rows with errors: {errors}.',
+    'batch.readError': 'The file could not be read.',
+    'batch.column.company': 'Company',
+    'batch.column.outcome': 'Outcome',
+    'batch.column.cnp': 'Claim notification period',
+    'batch.column.deadline': 'Deadline',
+    'batch.column.errors': 'Errors',
+    'batch.outcome.pnfRequired': 'PNF required',
+    'batch.outcome.noPnfRequired': 'No PNF required',
+    'batch.cnpRange': '{cnpStart} to {cnpEnd}',
+    'batch.error.emptyFile': 'The file is empty.',
+    'batch.error.missingColumns': 'The file has no column for: {columns}.',
+    'batch.error.noCompany': 'The company name is missing.',
+    'batch.error.notYesNo': '{column} must be yes or no, not "{value}".',
+    'batch.error.invalidDate': '{column} is not a valid date: "{value}". Use DD/MM/YYYY, 31 Mar 2024 or YYYY-MM-DD.',
+    'batch.error.submissionType': 'The submission type must be original or amended, not "{value}".',
+    'batch.error.missingAnswer': 'Missing answer: {columns}.',
+    'batch.error.missingClaimAnswer': 'Missing answer for claim {claim}: {columns}.',
+    'batch.error.historyNotClaimedBefore':
+        'Claim {claim} says the company has not claimed before, but each of the company’s rows is one of its claims.',
+    'batch.error.describeEarlierClaim':
+        'An earlier claim was made: add a row for it with the same company name, giving its filing date, period and submission type.',
+
+    'trace.why': 'Why?',
+    'trace.yes': 'yes',
+    'trace.no': 'no',
+    'trace.date.lastFilingDate': 'Last filing date',
+    'trace.date.cnpEnd': 'CNP end (claim period end + 6 months)',
+    'trace.date.lookBackStart': '3-year look-back boundary',
+    'trace.date.april2023Cutoff': 'April 2023 cutoff',
+    'trace.operator.<': 'is before',
+    'trace.operator.<=': 'is on or before',
+    'trace.operator.>=': 'is on or after',
+    'trace.rule.FIRST_CLAIM': 'No R&D claim has been made before, so this is a first claim.',
+    'trace.rule.FILING_OUTSIDE_LOOK_BACK': 'The last claim was not filed within the 3 years before the end of the CNP.',
+    'trace.rule.FILING_WITHIN_LOOK_BACK': 'The last claim was filed within the 3 years before the end of the CNP.',
+    'trace.rule.ORIGINAL_SUBMISSION': 'The last claim was filed within the look-back window with the original return.',
+    'trace.rule.AMENDED_ONLY': 'The only previous claim was made by amended return and there is no earlier claim.',
+    'trace.check.CLAIMED_BEFORE': 'An R&D claim has been made before',
+    'trace.check.FILED_AFTER_LOOK_BACK_START': 'Last filing date is on or after the 3-year look-back boundary',
+    'trace.check.FILED_BEFORE_CNP_END': 'Last filing date is on or before the CNP end',
+    'trace.check.CP_STARTS_BEFORE_CUTOFF': 'Claim period starts before the April 2023 cutoff',
+    'trace.check.ORIGINAL_SUBMISSION': 'Last claim was filed with the original return',
+    'trace.check.EARLIER_CLAIM': 'A claim was made before the amended one',
+    'trace.decidingClaim': 'Decided by claim {number}, filed on {filingDate}.',
+};
@@ -1,12 +1,478 @@
-import { addMonthsUTC, subtractYearsUTC, toUTC } from '../utils/dateUtils.js';
+import {
+    addMonthsClampedUTC,
+    addMonthsUTC,
+    daysBetweenUTC,
+    isValidDateObject,
+    subtractYearsUTC,
+    systemClock,
+    todayUTC,
+    toUTC,
+} from '../utils/dateUtils.js';
+
+/**
+ * @typedef {Object} ClaimAnswers
+ * @property {boolean | null} [claimedBefore]       Whether the company has claimed R&D relief before (Question 1).
+ * @property {Date | null} [lastFilingDate]         UTC date the last claim was filed (Question 2).
+ * @property {Date | null} [cpStart]                UTC claim period start date (Question 3).
+ * @property {Date | null} [cpEnd]                  UTC claim period end date (Question 3).
+ * @property {string | null} [submissionType]       'original' or 'amended' (Question 4).
+ * @property {boolean | null} [everClaimedBefore]   Whether a claim was made before the amended one (Question 5).
+ * @property {PriorClaim[] | null} [claims]         Every earlier R&D claim, in any order. When given, it is used instead
+ *                                                  of the single-claim answers above (Questions 2 to 5).
+ * @property {Date | null} [asOfDate]               UTC date to assess as of, instead of today. Deadlines and the age of
+ *                                                  the last filing are judged against it; the outcome itself is not.
+ */
+
+/**
+ * @typedef {Object} PriorClaim
+ * @property {Date} filingDate              UTC date the claim was filed.
+ * @property {Date} periodStart             UTC start date of the claim's period of account.
+ * @property {Date} periodEnd               UTC end date of the claim's period of account.
+ * @property {string} submissionType        'original' or 'amended'.
+ */
+
+/**
+ * @typedef {Object} ClaimOutcome
+ * @property {number} [nextQuestionIndex]   Index of the next question to ask, when more answers are needed.
+ * @property {string} [result]              PNF_REQUIRED or NO_PNF_REQUIRED, when a final outcome is reached.
+ * @property {boolean} [isPNFRequired]      Whether PNF is required, when a final outcome is reached.
+ * @property {Date | null} [cnpStart]       Start of the Claim Notification Period, if the claim period is known.
+ * @property {Date | null} [cnpEnd]         End of the Claim Notification Period, if the claim period is known.
+ * @property {ReasoningTrace} [trace]       Why the outcome was reached, when a final outcome is reached.
+ * @property {PeriodOutcome[]} [periods]    The outcome for each accounting period of the claim period, when it is known.
+ *                                          A period of account over 12 months has two; the top-level fields then
+ *                                          describe the earliest period that needs a PNF (or the first period).
+ * @property {Date} [asOf]                  The date the outcome was assessed as of: answers.asOfDate, or today.
+ * @property {DeadlineStatus | null} [deadline] The notification deadline as of that date, when PNF is required for a
+ *                                          known claim period.
+ * @property {boolean | null} [isLastFilingOverThreeYearsOld] Whether the last claim was filed more than 3 years before
+ *                                          that date, when a filing date is known.
+ * @property {number | null} [decidingClaimIndex] Index in answers.claims of the claim that decided the outcome, when a
+ *                                          claim history was given and it decided the outcome.
+ */
+
+/**
+ * @typedef {Object} AccountingPeriod
+ * @property {Date} start                   First day of the accounting period (UTC).
+ * @property {Date} end                     Last day of the accounting period (UTC).
+ */
+
+/**
+ * @typedef {Object} PeriodOutcome
+ * @property {Date} periodStart             First day of the accounting period.
+ * @property {Date} periodEnd               Last day of the accounting period.
+ * @property {string} result                PNF_REQUIRED or NO_PNF_REQUIRED.
+ * @property {boolean} isPNFRequired        Whether PNF is required for this period.
+ * @property {Date} cnpStart                Start of the period's Claim Notification Period.
+ * @property {Date} cnpEnd                  End of the period's Claim Notification Period.
+ * @property {ReasoningTrace} trace         Why the period's outcome was reached.
+ * @property {DeadlineStatus | null} deadline The period's notification deadline as of ClaimOutcome.asOf, when PNF is
+ *                                          required for it.
+ */
+
+/**
+ * @typedef {Object} DeadlineStatus
+ * @property {Date} deadline        The last day to submit the claim notification (the end of the CNP).
+ * @property {number} daysLeft      Days from the assessment date to the deadline: 0 on the day itself, negative once it
+ *                                  has passed.
+ * @property {boolean} hasPassed    Whether the deadline is before the assessment date.
+ */
+
+/**
+ * @typedef {Object} TraceComparison
+ * @property {string} check         Which check this is (one of the ClaimLogic.CHECK_* values).
+ * @property {string} description   What was checked.
+ * @property {Date} [left]          The date on the left of the comparison, for date comparisons.
+ * @property {string} [operator]    The comparison operator ('<', '<=', '>='), for date comparisons.
+ * @property {Date} [right]         The date on the right of the comparison, for date comparisons.
+ * @property {boolean} holds        Whether the check held.
+ */
+
+/**
+ * @typedef {Object} ReasoningTrace
+ * @property {string} rule                          The rule that decided the outcome (one of the ClaimLogic.RULE_* values).
+ * @property {string} summary                       Plain-English explanation of the rule.
+ * @property {Object.<string, Date | null>} dates   The dates involved (lastFilingDate, cnpEnd, lookBackStart, april2023Cutoff, ...).
+ * @property {TraceComparison[]} comparisons        The checks made, in order; the last one decided the outcome.
+ * @property {number} [claimIndex]                  Index in answers.claims of the claim the rule was applied to, when a
+ *                                                  claim history was given.
+ */
 
 export class ClaimLogic {
+    /** Version of the decision rules, recorded in determination reports. Bump it whenever an outcome could change. */
+    static ENGINE_VERSION = '1.3.0';
     static PNF_REQUIRED = 'PNF Required';
     static NO_PNF_REQUIRED = 'No PNF Required';
     static APRIL_1_2023_UTC = toUTC(new Date(2023, 3, 1));
+    /** The CNP ends this many months after the end of the period of account. */
+    static CNP_MONTHS_AFTER_PERIOD_END = 6;
+    /** An accounting period lasts at most 12 months, so a longer period of account is split. */
+    static ACCOUNTING_PERIOD_MONTHS = 12;
+    /** The longest period of account the logic accepts. */
+    static MAX_PERIOD_OF_ACCOUNT_MONTHS = 18;
+    /** A claim is normally made within this many years of the end of its period of account. */
+    static CLAIM_TIME_LIMIT_YEARS = 2;
+
+    static QUESTION_CLAIMED_BEFORE = 0;
+    static QUESTION_LAST_FILING = 1;
+    static QUESTION_CLAIM_PERIOD = 2;
+    static QUESTION_SUBMISSION_TYPE = 3;
+    static QUESTION_EVER_CLAIMED = 4;
+    static QUESTION_CLAIM_HISTORY = 5;
+
+    /** The ClaimAnswers fields each question sets. */
+    static QUESTION_FIELDS = {
+        0: ['claimedBefore'],
+        1: ['lastFilingDate'],
+        2: ['cpStart', 'cpEnd'],
+        3: ['submissionType'],
+        4: ['everClaimedBefore'],
+        5: ['claims'],
+    };
+
+    /** The questions about a single earlier claim, which a claim history answers all at once. */
+    static SINGLE_CLAIM_QUESTIONS = [1, 2, 3, 4];
+
+    static RULE_FIRST_CLAIM = 'FIRST_CLAIM';
+    static RULE_FILING_OUTSIDE_LOOK_BACK = 'FILING_OUTSIDE_LOOK_BACK';
+    static RULE_FILING_WITHIN_LOOK_BACK = 'FILING_WITHIN_LOOK_BACK';
+    static RULE_ORIGINAL_SUBMISSION = 'ORIGINAL_SUBMISSION';
+    static RULE_AMENDED_ONLY = 'AMENDED_ONLY';
+
+    static CHECK_CLAIMED_BEFORE = 'CLAIMED_BEFORE';
+    static CHECK_FILED_AFTER_LOOK_BACK_START = 'FILED_AFTER_LOOK_BACK_START';
+    static CHECK_FILED_BEFORE_CNP_END = 'FILED_BEFORE_CNP_END';
+    static CHECK_CP_STARTS_BEFORE_CUTOFF = 'CP_STARTS_BEFORE_CUTOFF';
+    static CHECK_ORIGINAL_SUBMISSION = 'ORIGINAL_SUBMISSION';
+    static CHECK_EARLIER_CLAIM = 'EARLIER_CLAIM';
+
+    /**
+     * @brief                       Evaluates the answers given so far and determines either the next question or the outcome.
+     *                              This is DOM-free so the same determination can be reused outside the widget.
+     * @param {ClaimAnswers} answers The answers given so far.
+     * @param {import('../utils/dateUtils.js').Clock} [clock=systemClock] Gives today's date when answers.asOfDate is
+     *                              not set.
+     * @returns {ClaimOutcome | null} The next question or final outcome, or null if an error occurs.
+     */
+    static evaluate(answers, clock = systemClock) {
+        const outcome = ClaimLogic._evaluateAnswers(answers || {});
+        if (!outcome || outcome.nextQuestionIndex !== undefined) return outcome;
+
+        const asOf = (answers && answers.asOfDate) || todayUTC(clock);
+        if (!asOf) {
+            console.error('evaluate: The clock gave an invalid date.');
+            return null;
+        }
+        // With a claim history, the last claim is the latest one filed, whichever claim decided the outcome.
+        const lastFilingDate =
+            outcome.decidingClaimIndex !== undefined
+                ? ClaimLogic.sortClaims(answers.claims)[0].claim.filingDate
+                : answers.lastFilingDate;
+        const deadlineFor = (period) =>
+            period.isPNFRequired && period.cnpEnd ? ClaimLogic.calculateDeadline(period.cnpEnd, asOf) : null;
+
+        return {
+            ...outcome,
+            asOf,
+            deadline: deadlineFor(outcome),
+            isLastFilingOverThreeYearsOld: lastFilingDate ? ClaimLogic.isFilingOlderThanLookBack(lastFilingDate, asOf) : null,
+            ...(outcome.periods && {
+                periods: outcome.periods.map((period) => ({ ...period, deadline: deadlineFor(period) })),
+            }),
+        };
+    }
+
+    /**
+     * @brief                       Works out the next question or the final outcome, without the date-dependent fields
+     * @param {ClaimAnswers} answers The answers given so far.
+     * @returns {ClaimOutcome | null} The next question or final outcome, or null if an error occurs.
+     * @private
+     */
+    static _evaluateAnswers(answers) {
+        const { claimedBefore, lastFilingDate, cpStart, cpEnd } = answers;
+
+        if (claimedBefore === undefined || claimedBefore === null)
+            return { nextQuestionIndex: ClaimLogic.QUESTION_CLAIMED_BEFORE };
+        if (claimedBefore === false) {
+            return ClaimLogic._outcome(true, null, null, {
+                rule: ClaimLogic.RULE_FIRST_CLAIM,
+                summary: 'No R&D claim has been made before, so this is a first claim.',
+                dates: { april2023Cutoff: ClaimLogic.APRIL_1_2023_UTC },
+                comparisons: [
+                    {
+                        check: ClaimLogic.CHECK_CLAIMED_BEFORE,
+                        description: 'An R&D claim has been made before',
+                        holds: false,
+                    },
+                ],
+            });
+        }
+
+        if (Array.isArray(answers.claims)) return ClaimLogic._evaluateHistory(answers.claims);
+
+        if (!lastFilingDate) return { nextQuestionIndex: ClaimLogic.QUESTION_LAST_FILING };
+        if (!cpStart || !cpEnd) return { nextQuestionIndex: ClaimLogic.QUESTION_CLAIM_PERIOD };
+
+        if (!ClaimLogic.isValidClaimPeriod(cpStart, cpEnd)) {
+            console.error('evaluate: Claim period start date must be before the end date.', { cpStart, cpEnd });
+            return null;
+        }
+
+        const accountingPeriods = ClaimLogic.splitIntoAccountingPeriods(cpStart, cpEnd);
+        if (!accountingPeriods) return null;
+
+        /** @type {PeriodOutcome[]} */
+        const periods = [];
+        for (const period of accountingPeriods) {
+            const outcome = ClaimLogic._evaluatePeriod({ ...answers, cpStart: period.start, cpEnd: period.end });
+            if (!outcome || outcome.nextQuestionIndex !== undefined) return outcome;
+            periods.push({
+                periodStart: period.start,
+                periodEnd: period.end,
+                result: outcome.result,
+                isPNFRequired: outcome.isPNFRequired,
+                cnpStart: outcome.cnpStart,
+                cnpEnd: outcome.cnpEnd,
+                trace: outcome.trace,
+                deadline: null,
+            });
+        }
+
+        const decisive = periods.find((period) => period.isPNFRequired) || periods[0];
+        return {
+            ...ClaimLogic._outcome(decisive.isPNFRequired, decisive.cnpStart, decisive.cnpEnd, decisive.trace),
+            periods,
+        };
+    }
+
+    /**
+     * @brief                       Evaluates a whole claim history in one pass. The latest claim is judged first; when
+     *                              it was an amended return that does not decide the outcome on its own, the claim
+     *                              before it is judged instead, as the single-claim questions would ask.
+     * @param {PriorClaim[]} claims Every earlier claim, in any order
+     * @returns {ClaimOutcome | null} The outcome, with the claim that decided it, or the claim history question if no
+     *                              claim is given; null if a claim is incomplete or invalid
+     * @private
+     */
+    static _evaluateHistory(claims) {
+        if (claims.length === 0) return { nextQuestionIndex: ClaimLogic.QUESTION_CLAIM_HISTORY };
+        if (!claims.every((claim) => ClaimLogic.isCompleteClaim(claim))) {
+            console.error('evaluate: Every claim needs a filing date, a valid period and a submission type.', { claims });
+            return null;
+        }
+
+        const sorted = ClaimLogic.sortClaims(claims);
+        for (const [position, { claim, index }] of sorted.entries()) {
+            const outcome = ClaimLogic._evaluateAnswers({
+                claimedBefore: true,
+                lastFilingDate: claim.filingDate,
+                cpStart: claim.periodStart,
+                cpEnd: claim.periodEnd,
+                submissionType: claim.submissionType,
+                everClaimedBefore: position < sorted.length - 1,
+            });
+            if (!outcome) return null;
+            // The claim was amended and an earlier claim exists, so the earlier claim decides.
+            if (outcome.nextQuestionIndex === ClaimLogic.QUESTION_LAST_FILING) continue;
+
+            const withIndex = (trace) => ({ ...trace, claimIndex: index });
+            return {
+                ...outcome,
+                trace: withIndex(outcome.trace),
+                ...(outcome.periods && {
+                    periods: outcome.periods.map((period) => ({ ...period, trace: withIndex(period.trace) })),
+                }),
+                decidingClaimIndex: index,
+            };
+        }
+
+        console.error('evaluate: No claim in the history decided the outcome.', { claims });
+        return null;
+    }
+
+    /**
+     * @brief                       Checks that a claim in a claim history has everything needed to judge it
+     * @param {PriorClaim} claim    The claim
+     * @returns {boolean}           True if it has a filing date, a valid period and a known submission type
+     */
+    static isCompleteClaim(claim) {
+        return (
+            !!claim &&
+            isValidDateObject(claim.filingDate) &&
+            ClaimLogic.isValidClaimPeriod(claim.periodStart, claim.periodEnd) &&
+            (claim.submissionType === 'original' || claim.submissionType === 'amended')
+        );
+    }
+
+    /**
+     * @brief                       Orders a claim history from the latest filing to the earliest
+     * @param {PriorClaim[]} claims The claims, in any order
+     * @returns {Array<{claim: PriorClaim, index: number}>} Each claim with its index in the given list, latest first;
+     *                              claims filed on the same day keep their order
+     */
+    static sortClaims(claims) {
+        return claims
+            .map((claim, index) => ({ claim, index }))
+            .sort((a, b) => b.claim.filingDate.getTime() - a.claim.filingDate.getTime());
+    }
+
+    /**
+     * @brief                       Evaluates one accounting period, whose dates are in answers.cpStart and answers.cpEnd
+     * @param {ClaimAnswers} answers The answers, with a claim period of at most 12 months.
+     * @returns {ClaimOutcome | null} The next question or the period's outcome, or null if an error occurs.
+     * @private
+     */
+    static _evaluatePeriod(answers) {
+        const { lastFilingDate, cpStart, cpEnd, submissionType, everClaimedBefore } = answers;
+
+        const q3Outcome = ClaimLogic.determineQ3Outcome(lastFilingDate, cpStart, cpEnd);
+        const cnp = ClaimLogic.calculateNotificationPeriod(cpStart, cpEnd);
+        const lookBack = ClaimLogic.calculateLookBackWindow(cpEnd);
+        if (!q3Outcome || !cnp || !lookBack) return null;
+
+        const { cnpStart, cnpEnd } = cnp;
+        const { lookBackStart } = lookBack;
+        const dates = {
+            lastFilingDate,
+            cpStart,
+            cpEnd,
+            cnpEnd,
+            lookBackStart,
+            april2023Cutoff: ClaimLogic.APRIL_1_2023_UTC,
+        };
+        const comparisons = [
+            {
+                check: ClaimLogic.CHECK_FILED_AFTER_LOOK_BACK_START,
+                description: 'Last filing date is on or after the 3-year look-back boundary',
+                left: lastFilingDate,
+                operator: '>=',
+                right: lookBackStart,
+                holds: lastFilingDate.getTime() >= lookBackStart.getTime(),
+            },
+            {
+                check: ClaimLogic.CHECK_FILED_BEFORE_CNP_END,
+                description: 'Last filing date is on or before the CNP end',
+                left: lastFilingDate,
+                operator: '<=',
+                right: cnpEnd,
+                holds: lastFilingDate.getTime() <= cnpEnd.getTime(),
+            },
+        ];
+
+        if (q3Outcome.result === ClaimLogic.PNF_REQUIRED) {
+            return ClaimLogic._outcome(true, cnpStart, cnpEnd, {
+                rule: ClaimLogic.RULE_FILING_OUTSIDE_LOOK_BACK,
+                summary: 'The last claim was not filed within the 3 years before the end of the CNP.',
+                dates,
+                comparisons,
+            });
+        }
+
+        comparisons.push({
+            check: ClaimLogic.CHECK_CP_STARTS_BEFORE_CUTOFF,
+            description: 'Claim period starts before the April 2023 cutoff',
+            left: cpStart,
+            operator: '<',
+            right: ClaimLogic.APRIL_1_2023_UTC,
+            holds: q3Outcome.nextQuestionIndex !== undefined,
+        });
+
+        if (q3Outcome.result === ClaimLogic.NO_PNF_REQUIRED) {
+            return ClaimLogic._outcome(false, cnpStart, cnpEnd, {
+                rule: ClaimLogic.RULE_FILING_WITHIN_LOOK_BACK,
+                summary: 'The last claim was filed within the 3 years before the end of the CNP.',
+                dates,
+                comparisons,
+            });
+        }
+
+        if (!submissionType) return { nextQuestionIndex: ClaimLogic.QUESTION_SUBMISSION_TYPE };
+        if (submissionType !== 'original' && submissionType !== 'amended') {
+            console.error('evaluate: Unknown submission type.', { submissionType });
+            return null;
+        }
+
+        comparisons.push({
+            check: ClaimLogic.CHECK_ORIGINAL_SUBMISSION,
+            description: 'Last claim was filed with the original return',
+            holds: submissionType === 'original',
+        });
+
+        if (submissionType === 'original') {
+            return ClaimLogic._outcome(false, cnpStart, cnpEnd, {
+                rule: ClaimLogic.RULE_ORIGINAL_SUBMISSION,
+                summary: 'The last claim was filed within the look-back window with the original return.',
+                dates,
+                comparisons,
+            });
+        }
+
+        if (everClaimedBefore === undefined || everClaimedBefore === null)
+            return { nextQuestionIndex: ClaimLogic.QUESTION_EVER_CLAIMED };
+        // An earlier claim has to be described from its filing date onwards.
+        if (everClaimedBefore === true) return { nextQuestionIndex: ClaimLogic.QUESTION_LAST_FILING };
+
+        comparisons.push({
+            check: ClaimLogic.CHECK_EARLIER_CLAIM,
+            description: 'A claim was made before the amended one',
+            holds: false,
+        });
+
+        return ClaimLogic._outcome(true, cnpStart, cnpEnd, {
+            rule: ClaimLogic.RULE_AMENDED_ONLY,
+            summary: 'The only previous claim was made by amended return and there is no earlier claim.',
+            dates,
+            comparisons,
+        });
+    }
+
+    /**
+     * @brief                           Builds a final outcome object.
+     * @param {boolean} isPNFRequired   Whether PNF is required.
+     * @param {Date | null} cnpStart    Start of the Claim Notification Period.
+     * @param {Date | null} cnpEnd      End of the Claim Notification Period.
+     * @param {ReasoningTrace} trace    Why the outcome was reached.
+     * @returns {ClaimOutcome}          The final outcome.
+     * @private
+     */
+    static _outcome(isPNFRequired, cnpStart, cnpEnd, trace) {
+        return {
+            result: isPNFRequired ? ClaimLogic.PNF_REQUIRED : ClaimLogic.NO_PNF_REQUIRED,
+            isPNFRequired,
+            cnpStart,
+            cnpEnd,
+            trace,
+        };
+    }
+
+    /**
+     * @brief                               Calculates the CNP end and the start of the 3-year look-back window before it.
+     * @param {Date} cpEndDateUTC           Claim period end date (UTC).
+     * @returns {{cnpEnd: Date, lookBackStart: Date} | null} The window boundaries (inclusive) or null if an error occurs.
+     */
+    static calculateLookBackWindow(cpEndDateUTC) {
+        const cnpEnd = ClaimLogic._calculateCNPEnd(cpEndDateUTC);
+        if (!cnpEnd) {
+            console.error('calculateLookBackWindow: Failed to calculate cnpEnd.');
+            return null;
+        }
+
+        const threeYearsPriorToCnpEnd = subtractYearsUTC(cnpEnd, 3);
+        if (!threeYearsPriorToCnpEnd) {
+            console.error('calculateLookBackWindow: Failed to calculate threeYearsPriorToCnpEnd.');
+            return null;
+        }
+
+        const lookBackStart = new Date(threeYearsPriorToCnpEnd.getTime());
+        lookBackStart.setUTCDate(lookBackStart.getUTCDate() + 1);
+
+        return { cnpEnd, lookBackStart };
+    }
 
     /**
      * @brief                                           Calculates the Claim Notification Period (CNP) start and end dates.
+     * @deprecated                                      The window it returns is not the one the rules use. Use
+     *                                                  calculateNotificationPeriod(cpStartDate, cpEndDate) instead.
      * @param {Date} cpEndDate                          Claim period end date
      * @returns {{cnpStart: Date, cnpEnd: Date} | null} Returns CNP start and end dates or null if an error occurs.
      */
@@ -23,6 +489,55 @@ export class ClaimLogic {
         return { cnpStart: cnpStart, cnpEnd: cpEndDate };
     }
 
+    /**
+     * @brief                                           Calculates the Claim Notification Period (CNP) of a period of
+     *                                                  account, as the rules use it: from its first day to 6 months
+     *                                                  after its last day.
+     * @param {Date} cpStartDate                        Claim period start date (UTC)
+     * @param {Date} cpEndDate                          Claim period end date (UTC)
+     * @returns {{cnpStart: Date, cnpEnd: Date} | null} Returns CNP start and end dates or null if an error occurs.
+     */
+    static calculateNotificationPeriod(cpStartDate, cpEndDate) {
+        if (!isValidDateObject(cpStartDate) || !isValidDateObject(cpEndDate)) {
+            console.error('calculateNotificationPeriod: Invalid date objects provided.', { cpStartDate, cpEndDate });
+            return null;
+        }
+        const cnpEnd = ClaimLogic._calculateCNPEnd(cpEndDate);
+        if (!cnpEnd) {
+            console.error('calculateNotificationPeriod: Failed to calculate cnpEnd.');
+            return null;
+        }
+        return { cnpStart: new Date(cpStartDate.getTime()), cnpEnd };
+    }
+
+    /**
+     * @brief                       Works out how long is left to submit the claim notification. The deadline is the
+     *                              last day of the CNP, as returned by calculateNotificationPeriod.
+     * @param {Date} cnpEnd         End of the Claim Notification Period (UTC)
+     * @param {Date} todayUTC       The current UTC date
+     * @returns {DeadlineStatus | null} The deadline and days left, or null if a date is invalid
+     */
+    static calculateDeadline(cnpEnd, todayUTC) {
+        const daysLeft = daysBetweenUTC(todayUTC, cnpEnd);
+        if (daysLeft === null) {
+            console.error('calculateDeadline: Invalid date objects provided.', { cnpEnd, todayUTC });
+            return null;
+        }
+        return { deadline: new Date(cnpEnd.getTime()), daysLeft, hasPassed: daysLeft < 0 };
+    }
+
+    /**
+     * @brief                       Checks whether a claim was filed more than 3 years before a date
+     * @param {Date} filingDate     The date the claim was filed (UTC)
+     * @param {Date} todayUTC       The date to judge against, e.g. today or an assessment date (UTC)
+     * @returns {boolean}           True if the filing date is before the date 3 years earlier
+     */
+    static isFilingOlderThanLookBack(filingDate, todayUTC) {
+        if (!filingDate || !todayUTC) return false;
+        const lookBackStart = subtractYearsUTC(todayUTC, 3);
+        return !!lookBackStart && filingDate.getTime() < lookBackStart.getTime();
+    }
+
     /**
      * @brief                       Checks if a filing date is relevant (within 3-year CNP window)
      * @param {Date} filingDate     The date the last R&D claim was filed
@@ -54,6 +569,83 @@ export class ClaimLogic {
         return cpStartDate.getTime() < cpEndDate.getTime();
     }
 
+    /**
+     * @brief                       Checks that a period of account is no longer than MAX_PERIOD_OF_ACCOUNT_MONTHS
+     * @param {Date} cpStartDate    Claim period start date (UTC)
+     * @param {Date} cpEndDate      Claim period end date (UTC)
+     * @returns {boolean}           True if the period is short enough, false otherwise
+     */
+    static isWithinMaxPeriodLength(cpStartDate, cpEndDate) {
+        const lastAllowedDay = ClaimLogic._lastDayOfMonths(cpStartDate, ClaimLogic.MAX_PERIOD_OF_ACCOUNT_MONTHS);
+        return !!lastAllowedDay && !!cpEndDate && cpEndDate.getTime() <= lastAllowedDay.getTime();
+    }
+
+    /**
+     * @brief                       Splits a period of account into accounting periods. A period of up to 12 months is one
+     *                              accounting period; a longer one is the first 12 months followed by the rest.
+     * @param {Date} cpStartDate    Period of account start date (UTC)
+     * @param {Date} cpEndDate      Period of account end date (UTC)
+     * @returns {AccountingPeriod[] | null} The accounting periods in order, or null if the period is invalid or longer
+     *                              than MAX_PERIOD_OF_ACCOUNT_MONTHS
+     */
+    static splitIntoAccountingPeriods(cpStartDate, cpEndDate) {
+        if (!ClaimLogic.isValidClaimPeriod(cpStartDate, cpEndDate)) {
+            console.error('splitIntoAccountingPeriods: Invalid claim period.', { cpStartDate, cpEndDate });
+            return null;
+        }
+        if (!ClaimLogic.isWithinMaxPeriodLength(cpStartDate, cpEndDate)) {
+            console.error(
+                `splitIntoAccountingPeriods: The period of account is longer than ${ClaimLogic.MAX_PERIOD_OF_ACCOUNT_MONTHS} months.`,
+                { cpStartDate, cpEndDate }
+            );
+            return null;
+        }
+
+        const firstEnd = ClaimLogic._lastDayOfMonths(cpStartDate, ClaimLogic.ACCOUNTING_PERIOD_MONTHS);
+        if (cpEndDate.getTime() <= firstEnd.getTime()) return [{ start: cpStartDate, end: cpEndDate }];
+
+        const secondStart = new Date(firstEnd.getTime());
+        secondStart.setUTCDate(secondStart.getUTCDate() + 1);
+        return [
+            { start: cpStartDate, end: firstEnd },
+            { start: secondStart, end: cpEndDate },
+        ];
+    }
+
+    /**
+     * @brief                       Calculates the last day of the CNP: CNP_MONTHS_AFTER_PERIOD_END months after the
+     *                              claim period ends, the same rule for a whole period of account and for each
+     *                              accounting period it is split into. The CNP is 6 calendar months, so it ends on the
+     *                              last day of the sixth month when that month is short: a period ending 31 March has
+     *                              until 30 September, as in HMRC's guidance, not 1 October.
+     * @param {Date} cpEndDate      Claim period end date (UTC)
+     * @returns {Date | null}       The last day of the CNP, or null if the date is invalid
+     * @private
+     */
+    static _calculateCNPEnd(cpEndDate) {
+        return addMonthsClampedUTC(cpEndDate, ClaimLogic.CNP_MONTHS_AFTER_PERIOD_END);
+    }
+
+    /**
+     * @brief                       Finds the last day of a run of whole months, e.g. 12 months from 1 April end on 31 March
+     * @param {Date} startDate      First day of the run (UTC)
+     * @param {number} months       Length of the run in months
+     * @returns {Date | null}       The last day, or null if the start date is invalid
+     * @private
+     */
+    static _lastDayOfMonths(startDate, months) {
+        if (!isValidDateObject(startDate)) return null;
+        const year = startDate.getUTCFullYear();
+        const month = startDate.getUTCMonth() + months;
+        // The run ends the day before the same day `months` later, or at the end of that month if the day does not
+        // exist there: 29 February 2024 + 12 months ends on 28 February 2025.
+        const sameDayLater = Date.UTC(year, month, startDate.getUTCDate());
+        const firstOfMonthAfter = Date.UTC(year, month + 1, 1);
+        const lastDay = new Date(Math.min(sameDayLater, firstOfMonthAfter));
+        lastDay.setUTCDate(lastDay.getUTCDate() - 1);
+        return lastDay;
+    }
+
     /**
      * @brief                           Determines the outcome for Original Question 3 logic.
      * @param {Date} lastFilingDateUTC  Last filing date (UTC).
@@ -71,20 +663,12 @@ export class ClaimLogic {
             return null;
         }
 
-        const cnpEndDateUTC = addMonthsUTC(cpEndDateUTC, 6);
-        if (!cnpEndDateUTC) {
-            console.error('determineQ3Outcome: Failed to calculate cnpEndDateUTC.');
+        const lookBack = ClaimLogic.calculateLookBackWindow(cpEndDateUTC);
+        if (!lookBack) {
+            console.error('determineQ3Outcome: Failed to calculate the look-back window.');
             return null;
         }
-
-        const threeYearsPriorToCnpEndUTC = subtractYearsUTC(cnpEndDateUTC, 3);
-        if (!threeYearsPriorToCnpEndUTC) {
-            console.error('determineQ3Outcome: Failed to calculate threeYearsPriorToCnpEndUTC.');
-            return null;
-        }
-
-        const relevantFilingWindowStartUTC = new Date(threeYearsPriorToCnpEndUTC.getTime());
-        relevantFilingWindowStartUTC.setUTCDate(relevantFilingWindowStartUTC.getUTCDate() + 1);
+        const { cnpEnd: cnpEndDateUTC, lookBackStart: relevantFilingWindowStartUTC } = lookBack;
 
         if (
             lastFilingDateUTC.getTime() < relevantFilingWindowStartUTC.getTime() ||
@@ -93,7 +677,8 @@ export class ClaimLogic {
             return { result: ClaimLogic.PNF_REQUIRED };
         }
 
-        if (cpStartDateUTC.getTime() < ClaimLogic.APRIL_1_2023_UTC.getTime()) return { nextQuestionIndex: 3 };
+        if (cpStartDateUTC.getTime() < ClaimLogic.APRIL_1_2023_UTC.getTime())
+            return { nextQuestionIndex: ClaimLogic.QUESTION_SUBMISSION_TYPE };
 
         return { result: ClaimLogic.NO_PNF_REQUIRED };
     }
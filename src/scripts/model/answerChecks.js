@@ -0,0 +1,111 @@
+import { addMonthsUTC, isValidDateObject } from '../utils/dateUtils.js';
+import { ClaimLogic } from './ClaimLogic.js';
+
+/**
+ * @typedef {Object} AnswerIssue
+ * @property {'error' | 'warning'} severity Errors block progress; warnings can be confirmed and left as they are.
+ * @property {string} message               Message key (see i18n/messages).
+ * @property {Object.<string, *>} [params]  Values for the message's placeholders.
+ * @property {string[]} fields              The answers involved, the one the message is shown next to first.
+ */
+
+/** Answer fields of a single claim, by the part of the claim they hold. */
+const SINGLE_CLAIM_FIELDS = { filingDate: 'lastFilingDate', periodStart: 'cpStart', periodEnd: 'cpEnd' };
+
+/** Messages about the filing date, which name the claim when it is one of a claim history. */
+const SINGLE_CLAIM_MESSAGES = { filingBeforePeriodEnd: 'error.filingBeforePeriodEnd', lateFiling: 'warning.lateFiling' };
+const HISTORY_MESSAGES = { filingBeforePeriodEnd: 'error.claimFiledBeforePeriodEnd', lateFiling: 'warning.claimFiledLate' };
+
+/**
+ * @brief                   Names a value of a claim in a claim history, as the field of an AnswerIssue
+ * @param {number} index    The claim's index in answers.claims
+ * @param {string} key      The claim's property, e.g. 'filingDate'
+ * @returns {string}        The field path, e.g. 'claims[0].filingDate'
+ */
+export function claimField(index, key) {
+    return `claims[${index}].${key}`;
+}
+
+/**
+ * @brief                       Checks that the answers are consistent with each other and plausible. Only answers that
+ *                              have been given are checked, so this can run after every question. Each claim of a
+ *                              claim history is checked in the same way as the single-claim answers.
+ * @param {import('./ClaimLogic.js').ClaimAnswers} answers The answers so far (UTC dates)
+ * @param {Date} todayUTC       The date the answers are assessed as of; no date can be after it
+ * @returns {AnswerIssue[]}     The problems found, errors first
+ */
+export function checkAnswers(answers, todayUTC) {
+    const { lastFilingDate, cpStart, cpEnd } = answers;
+    const issues = _checkClaim(
+        { filingDate: lastFilingDate, periodStart: cpStart, periodEnd: cpEnd },
+        SINGLE_CLAIM_FIELDS,
+        SINGLE_CLAIM_MESSAGES,
+        {},
+        todayUTC
+    );
+
+    (Array.isArray(answers.claims) ? answers.claims : []).forEach((claim, index) => {
+        const fields = Object.fromEntries(Object.keys(SINGLE_CLAIM_FIELDS).map((key) => [key, claimField(index, key)]));
+        issues.push(..._checkClaim(claim || {}, fields, HISTORY_MESSAGES, { claim: index + 1 }, todayUTC));
+    });
+
+    return issues.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+}
+
+/**
+ * @brief                       Checks the dates of one claim
+ * @param {{filingDate?: Date | null, periodStart?: Date | null, periodEnd?: Date | null}} claim The claim's dates
+ * @param {Object.<string, string>} fields The answer field of each date
+ * @param {Object.<string, string>} messages The message keys of the filing date checks
+ * @param {Object.<string, *>} params Extra message parameters, e.g. the claim's number
+ * @param {Date} todayUTC       The date the answers are assessed as of
+ * @returns {AnswerIssue[]}     The problems found
+ * @private
+ */
+function _checkClaim({ filingDate, periodStart, periodEnd }, fields, messages, params, todayUTC) {
+    /** @type {AnswerIssue[]} */
+    const issues = [];
+
+    if (isValidDateObject(periodStart) && isValidDateObject(periodEnd)) {
+        const periodFields = [fields.periodEnd, fields.periodStart];
+        if (!ClaimLogic.isValidClaimPeriod(periodStart, periodEnd))
+            issues.push({ severity: 'error', message: 'error.claimPeriodOrder', params, fields: periodFields });
+        else if (!ClaimLogic.isWithinMaxPeriodLength(periodStart, periodEnd))
+            issues.push({ severity: 'error', message: 'error.claimPeriodTooLong', params, fields: periodFields });
+    }
+
+    if (isValidDateObject(todayUTC)) {
+        const dates = { filingDate, periodStart, periodEnd };
+        Object.keys(fields)
+            .filter((key) => isValidDateObject(dates[key]) && dates[key] > todayUTC)
+            .forEach((key) =>
+                issues.push({
+                    severity: 'error',
+                    message: 'error.futureDate',
+                    params: { ...params, date: dates[key], today: todayUTC },
+                    fields: [fields[key]],
+                })
+            );
+    }
+
+    if (isValidDateObject(filingDate) && isValidDateObject(periodEnd)) {
+        const filingParams = {
+            ...params,
+            lastFilingDate: filingDate,
+            cpEnd: periodEnd,
+            years: ClaimLogic.CLAIM_TIME_LIMIT_YEARS,
+        };
+        const filingFields = [fields.filingDate, fields.periodEnd];
+        if (filingDate < periodEnd)
+            issues.push({
+                severity: 'error',
+                message: messages.filingBeforePeriodEnd,
+                params: filingParams,
+                fields: filingFields,
+            });
+        else if (filingDate > addMonthsUTC(periodEnd, ClaimLogic.CLAIM_TIME_LIMIT_YEARS * 12))
+            issues.push({ severity: 'warning', message: messages.lateFiling, params: filingParams, fields: filingFields });
+    }
+
+    return issues;
+}
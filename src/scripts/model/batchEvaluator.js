@@ -0,0 +1,306 @@
+import { parseCsv, toCsv } from '../utils/csvUtils.js';
+import { parseDateInput, systemClock, todayUTC, toISODateString, toUTC } from '../utils/dateUtils.js';
+import { checkAnswers } from './answerChecks.js';
+import { ClaimLogic } from './ClaimLogic.js';
+
+/**
+ * @typedef {Object} BatchMessage
+ * @property {string} key                       Message key (see i18n/messages), so the errors can be shown in any locale.
+ * @property {Object.<string, *>} [params]      Values for the message's placeholders.
+ */
+
+/**
+ * @typedef {Object} BatchRow
+ * @property {number} line                                      Row number in the CSV file, counting the header as row 1.
+ *                                                              The company's first row when it has several.
+ * @property {number[]} lines                                   Row numbers of all the company's rows; more than one when
+ *                                                              the rows give its claim history.
+ * @property {string} company                                   The company name.
+ * @property {import('./ClaimLogic.js').ClaimAnswers} answers  The answers read from the row, or the claim history read
+ *                                                              from the company's rows.
+ * @property {string | null} result                             PNF_REQUIRED or NO_PNF_REQUIRED, or null if the row has errors.
+ * @property {Date | null} cnpStart                             Start of the Claim Notification Period.
+ * @property {Date | null} cnpEnd                               End of the Claim Notification Period.
+ * @property {import('./ClaimLogic.js').DeadlineStatus | null} deadline The notification deadline, when PNF is required
+ *                                                              for a known claim period.
+ * @property {import('./ClaimLogic.js').PeriodOutcome[]} periods The accounting periods of the period of account; more
+ *                                                              than one when it is longer than 12 months.
+ * @property {BatchMessage[]} errors                            Why the row could not be evaluated.
+ * @property {BatchMessage[]} warnings                          Answers that look unlikely but do not stop the row being
+ *                                                              evaluated, e.g. a claim filed long after its period.
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {BatchRow[]} rows                  One entry per company.
+ * @property {BatchMessage[]} errors            Problems with the file as a whole, e.g. missing columns.
+ */
+
+/** Columns of a batch CSV and the header names accepted for each (compared without case, spaces or punctuation). */
+export const BATCH_COLUMNS = {
+    company: ['company', 'name', 'companyname'],
+    claimedBefore: ['claimedbefore', 'hasclaimedbefore'],
+    lastFilingDate: ['lastfilingdate', 'lastfiling', 'filingdate'],
+    cpStart: ['cpstart', 'claimperiodstart', 'periodstart'],
+    cpEnd: ['cpend', 'claimperiodend', 'periodend'],
+    submissionType: ['submissiontype', 'submission'],
+    everClaimedBefore: ['everclaimedbefore', 'earlierclaims', 'earlierclaim'],
+};
+
+const DATE_COLUMNS = ['lastFilingDate', 'cpStart', 'cpEnd'];
+const BOOLEAN_COLUMNS = ['claimedBefore', 'everClaimedBefore'];
+const BOOLEAN_VALUES = { yes: true, y: true, true: true, 1: true, no: false, n: false, false: false, 0: false };
+/** Column giving each part of a claim, when a company's rows give its claim history. */
+const CLAIM_COLUMNS = {
+    filingDate: 'lastFilingDate',
+    periodStart: 'cpStart',
+    periodEnd: 'cpEnd',
+    submissionType: 'submissionType',
+};
+
+/**
+ * @brief                   Normalises a header name for matching against BATCH_COLUMNS
+ * @param {string} header   The header as written in the file
+ * @returns {string}        The header in lower case without spaces or punctuation
+ * @private
+ */
+function _normaliseHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * @brief                   Reads the answers from one CSV row
+ * @param {Object.<string, string>} values Raw values by column
+ * @returns {{answers: import('./ClaimLogic.js').ClaimAnswers, errors: BatchMessage[]}} The answers and any values that
+ *                          could not be read
+ * @private
+ */
+function _readAnswers(values) {
+    /** @type {import('./ClaimLogic.js').ClaimAnswers} */
+    const answers = {};
+    /** @type {BatchMessage[]} */
+    const errors = [];
+
+    for (const column of BOOLEAN_COLUMNS) {
+        const value = (values[column] || '').trim().toLowerCase();
+        if (value === '') continue;
+        if (value in BOOLEAN_VALUES) answers[column] = BOOLEAN_VALUES[value];
+        else errors.push({ key: 'batch.error.notYesNo', params: { column, value: values[column] } });
+    }
+    for (const column of DATE_COLUMNS) {
+        const value = (values[column] || '').trim();
+        if (value === '') continue;
+        // Spreadsheets often save dates in the UK order, so DD/MM/YYYY and 31 Mar 2024 are read as well as ISO.
+        const { date: localDate } = parseDateInput(value, 'en-GB');
+        if (localDate) answers[column] = toUTC(localDate);
+        else errors.push({ key: 'batch.error.invalidDate', params: { column, value } });
+    }
+
+    const submissionType = (values.submissionType || '').trim().toLowerCase();
+    if (submissionType === 'original' || submissionType === 'amended') answers.submissionType = submissionType;
+    else if (submissionType !== '')
+        errors.push({ key: 'batch.error.submissionType', params: { value: values.submissionType } });
+
+    return { answers, errors };
+}
+
+/**
+ * @brief                   Reads a claim history from a company's rows, one claim per row
+ * @param {Object.<string, string>[]} rowValues Raw values by column of each row, in file order
+ * @returns {{answers: import('./ClaimLogic.js').ClaimAnswers, errors: BatchMessage[]}} The answers, with the claims
+ *                          in file order, and any values that could not be read
+ * @private
+ */
+function _readClaimHistory(rowValues) {
+    /** @type {import('./ClaimLogic.js').PriorClaim[]} */
+    const claims = [];
+    /** @type {BatchMessage[]} */
+    const errors = [];
+
+    rowValues.forEach((values, index) => {
+        const read = _readAnswers(values);
+        errors.push(...read.errors);
+        if (read.answers.claimedBefore === false)
+            errors.push({ key: 'batch.error.historyNotClaimedBefore', params: { claim: index + 1 } });
+
+        // Values that could not be read are reported already.
+        const missing = Object.values(CLAIM_COLUMNS).filter((column) => (values[column] || '').trim() === '');
+        if (missing.length > 0)
+            errors.push({ key: 'batch.error.missingClaimAnswer', params: { claim: index + 1, columns: missing.join(', ') } });
+
+        claims.push(
+            /** @type {import('./ClaimLogic.js').PriorClaim} */ (
+                Object.fromEntries(Object.entries(CLAIM_COLUMNS).map(([part, column]) => [part, read.answers[column]]))
+            )
+        );
+    });
+    return { answers: { claimedBefore: true, claims }, errors };
+}
+
+/**
+ * @brief                       Runs one company's answers through ClaimLogic.evaluate. A company with several rows
+ *                              has one claim per row, evaluated as its claim history.
+ * @param {Array<{line: number, values: Object.<string, string>}>} records The company's rows: the row number in the
+ *                              CSV file and the raw values by column
+ * @param {import('../utils/dateUtils.js').Clock} clock Gives the date the deadlines are counted from
+ * @returns {BatchRow}          The evaluated company
+ * @private
+ */
+function _evaluateCompany(records, clock) {
+    const { answers, errors } =
+        records.length === 1 ? _readAnswers(records[0].values) : _readClaimHistory(records.map((record) => record.values));
+    /** @type {BatchRow} */
+    const row = {
+        line: records[0].line,
+        lines: records.map((record) => record.line),
+        company: (records[0].values.company || '').trim(),
+        answers,
+        result: null,
+        cnpStart: null,
+        cnpEnd: null,
+        deadline: null,
+        periods: [],
+        errors,
+        warnings: [],
+    };
+    if (!row.company) errors.push({ key: 'batch.error.noCompany' });
+    for (const issue of checkAnswers(answers, todayUTC(clock))) {
+        (issue.severity === 'error' ? errors : row.warnings).push({ key: issue.message, params: issue.params });
+    }
+    if (errors.length > 0) return row;
+
+    const outcome = ClaimLogic.evaluate(answers, clock);
+    if (!outcome) {
+        errors.push({ key: 'error.dateCalculation' });
+        return row;
+    }
+    if (outcome.nextQuestionIndex !== undefined) {
+        // everClaimedBefore = yes asks for the earlier claim, which needs a row of its own.
+        const key =
+            outcome.nextQuestionIndex === ClaimLogic.QUESTION_LAST_FILING && answers.everClaimedBefore === true
+                ? 'batch.error.describeEarlierClaim'
+                : 'batch.error.missingAnswer';
+        errors.push({ key, params: { columns: ClaimLogic.QUESTION_FIELDS[outcome.nextQuestionIndex].join(', ') } });
+        return row;
+    }
+
+    row.result = outcome.result;
+    row.cnpStart = outcome.cnpStart ?? null;
+    row.cnpEnd = outcome.cnpEnd ?? null;
+    row.deadline = outcome.deadline ?? null;
+    row.periods = outcome.periods || [];
+    return row;
+}
+
+/**
+ * @brief                       Evaluates a portfolio of companies from CSV with the same rules as the widget. Each row
+ *                              is one company, or one claim when several rows have the same company name: those rows
+ *                              are the company's claim history. The first row holds the column headers (see
+ *                              BATCH_COLUMNS); dates are YYYY-MM-DD, DD/MM/YYYY or 31 Mar 2024, and yes/no columns
+ *                              accept yes/no, y/n, true/false or 1/0.
+ * @param {string} csvText      The CSV text
+ * @param {import('../utils/dateUtils.js').Clock} [clock=systemClock] Gives the date the deadlines are counted from
+ * @returns {BatchResult}       The evaluated companies, in the order of their first rows, and any problems with the
+ *                              file
+ */
+export function evaluateBatch(csvText, clock = systemClock) {
+    const [header, ...records] = parseCsv(csvText);
+    if (!header) return { rows: [], errors: [{ key: 'batch.error.emptyFile' }] };
+
+    /** @type {Object.<string, number>} */
+    const columnIndex = {};
+    header.forEach((name, index) => {
+        const column = Object.keys(BATCH_COLUMNS).find((key) => BATCH_COLUMNS[key].includes(_normaliseHeader(name)));
+        if (column && !(column in columnIndex)) columnIndex[column] = index;
+    });
+
+    const missing = ['company', 'claimedBefore'].filter((column) => !(column in columnIndex));
+    if (missing.length > 0)
+        return { rows: [], errors: [{ key: 'batch.error.missingColumns', params: { columns: missing.join(', ') } }] };
+
+    /** @type {Map<string | number, Array<{line: number, values: Object.<string, string>}>>} */
+    const companies = new Map();
+    records.forEach((record, index) => {
+        /** @type {Object.<string, string>} */
+        const values = {};
+        for (const [column, position] of Object.entries(columnIndex)) values[column] = record[position] ?? '';
+        // Names are compared without case. A row without a name is never grouped, so it gets its own error.
+        const name = (values.company || '').trim().toLowerCase();
+        const key = name === '' ? index : name;
+        if (!companies.has(key)) companies.set(key, []);
+        companies.get(key).push({ line: index + 2, values });
+    });
+
+    const rows = [...companies.values()].map((companyRecords) => _evaluateCompany(companyRecords, clock));
+    return { rows, errors: [] };
+}
+
+/**
+ * @brief                           Sorts rows by deadline. Rows without a deadline always come last, in file order.
+ * @param {BatchRow[]} rows         The rows
+ * @param {'ascending' | 'descending'} [direction='ascending'] Earliest or latest deadline first
+ * @returns {BatchRow[]}            A sorted copy of the rows
+ */
+export function sortByDeadline(rows, direction = 'ascending') {
+    const sign = direction === 'descending' ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        if (!a.deadline || !b.deadline) return Number(!a.deadline) - Number(!b.deadline) || a.line - b.line;
+        return sign * (a.deadline.deadline.getTime() - b.deadline.deadline.getTime()) || a.line - b.line;
+    });
+}
+
+/**
+ * @brief                           Formats evaluated rows as CSV, for download. A row whose period of account is split
+ *                                  into several accounting periods gets one record per period.
+ * @param {BatchRow[]} rows         The rows
+ * @param {(message: BatchMessage) => string} formatMessage Turns an error into text, e.g. with a Translator
+ * @returns {string}                The CSV text
+ */
+export function batchResultsToCsv(rows, formatMessage) {
+    const header = [
+        'line',
+        'company',
+        'periodStart',
+        'periodEnd',
+        'outcome',
+        'cnpStart',
+        'cnpEnd',
+        'deadline',
+        'daysLeft',
+        'deadlinePassed',
+        'errors',
+        'warnings',
+    ];
+    const records = rows.flatMap((row) => {
+        const errors = row.errors.map(formatMessage).join(' ');
+        const warnings = row.warnings.map(formatMessage).join(' ');
+        const periods =
+            row.periods.length > 0
+                ? row.periods
+                : [
+                      {
+                          periodStart: null,
+                          periodEnd: null,
+                          result: row.result,
+                          cnpStart: row.cnpStart,
+                          cnpEnd: row.cnpEnd,
+                          deadline: row.deadline,
+                      },
+                  ];
+        return periods.map((period) => [
+            row.line,
+            row.company,
+            toISODateString(period.periodStart),
+            toISODateString(period.periodEnd),
+            period.result || '',
+            toISODateString(period.cnpStart),
+            toISODateString(period.cnpEnd),
+            period.deadline ? toISODateString(period.deadline.deadline) : '',
+            period.deadline ? period.deadline.daysLeft : '',
+            period.deadline ? (period.deadline.hasPassed ? 'yes' : 'no') : '',
+            errors,
+            warnings,
+        ]);
+    });
+    return toCsv([header, ...records]);
+}
@@ -0,0 +1,117 @@
+import { datesToISOStrings } from '../utils/dateUtils.js';
+import { ClaimLogic } from './ClaimLogic.js';
+import { getFlowNode, getNodeFields } from './questionFlow.js';
+
+/**
+ * @typedef {Object} ReportQuestion
+ * @property {string} step                  Flow node ID of the question.
+ * @property {string} question              The question as it was shown.
+ * @property {string} answer                The answer as it was given, e.g. the chosen button or the dates entered.
+ * @property {Object.<string, *>} values    The answer fields the question set, by field name.
+ */
+
+/**
+ * @typedef {Object} DeterminationReport
+ * @property {string} format                Always REPORT_FORMAT, so the file can be recognised.
+ * @property {number} formatVersion         Version of this record's layout (REPORT_FORMAT_VERSION).
+ * @property {string} engineVersion         ClaimLogic.ENGINE_VERSION of the rules that reached the outcome.
+ * @property {string} generatedAt           When the report was made, as an ISO 8601 timestamp.
+ * @property {string} locale                Locale of the question and answer texts.
+ * @property {ReportQuestion[]} questions   The questions on the path to the outcome, in order, with their answers.
+ * @property {import('./ClaimLogic.js').ClaimAnswers} answers The final answers the outcome was reached from.
+ * @property {import('./ClaimLogic.js').ClaimOutcome} outcome The outcome, with the CNP window, deadline and trace.
+ */
+
+/** Value of DeterminationReport.format. */
+export const REPORT_FORMAT = 'pnf-determination-report';
+/** Version of the DeterminationReport layout. */
+export const REPORT_FORMAT_VERSION = 1;
+
+/**
+ * @brief                   Describes the answer given to one question
+ * @param {import('./questionFlow.js').FlowNode} node The question's flow node
+ * @param {Object.<string, *>} answers The answers when the question was left
+ * @param {import('../i18n/Translator.js').Translator} translator Translator for the report's locale
+ * @returns {string}        The answer as text
+ * @private
+ */
+function _describeAnswer(node, answers, translator) {
+    if (node.type === 'choice') {
+        const value = answers[node.field];
+        const choice = (node.choices || []).find((c) => (c.answer !== undefined ? c.answer : c.value) === value);
+        return choice ? translator.t(choice.label) : String(value ?? '');
+    }
+    if (node.type === 'date') {
+        return (node.inputs || [])
+            .filter((input) => answers[input.field])
+            .map((input) => {
+                const date = translator.formatDate(answers[input.field]);
+                return input.label ? `${translator.t(input.label)}: ${date}` : date;
+            })
+            .join('; ');
+    }
+    if (node.type === 'claims') {
+        const types = { original: 'choice.original', amended: 'choice.amended' };
+        return (answers[node.field] || [])
+            .map((claim) =>
+                translator.t('summary.claim', {
+                    filingDate: claim.filingDate,
+                    periodStart: claim.periodStart,
+                    periodEnd: claim.periodEnd,
+                    submissionType: translator.t(types[claim.submissionType] || claim.submissionType),
+                })
+            )
+            .join('; ');
+    }
+    // Info nodes are acknowledged with their Next button.
+    return translator.t(node.nextLabel || 'button.next');
+}
+
+/**
+ * @brief                   Builds the record of how an outcome was reached, for the client's file
+ * @param {Object} source
+ * @param {import('./questionFlow.js').QuestionFlow} source.flow The flow the questions came from
+ * @param {Array<{step: string, after: Object.<string, *> | null}>} source.steps The questions on the path to the
+ *                          outcome, in order, each with the answers it was left with
+ * @param {import('./ClaimLogic.js').ClaimAnswers} source.answers The final answers
+ * @param {import('./ClaimLogic.js').ClaimOutcome} source.outcome The final outcome
+ * @param {Date} source.generatedAt When the report is made
+ * @param {import('../i18n/Translator.js').Translator} translator Translator for the question and answer texts
+ * @returns {DeterminationReport} The report
+ */
+export function buildDeterminationReport({ flow, steps, answers, outcome, generatedAt }, translator) {
+    /** @type {ReportQuestion[]} */
+    const questions = [];
+    for (const { step, after } of steps) {
+        const node = getFlowNode(flow, step);
+        if (!node || !after) continue;
+
+        const fields = getNodeFields(node);
+        questions.push({
+            step,
+            question: translator.t(node.text),
+            answer: _describeAnswer(node, after, translator),
+            values: Object.fromEntries(fields.filter(Boolean).map((field) => [field, after[field] ?? null])),
+        });
+    }
+
+    return {
+        format: REPORT_FORMAT,
+        formatVersion: REPORT_FORMAT_VERSION,
+        engineVersion: ClaimLogic.ENGINE_VERSION,
+        generatedAt: generatedAt.toISOString(),
+        locale: translator.locale,
+        questions,
+        answers: { ...answers },
+        outcome,
+    };
+}
+
+/**
+ * @brief                   Formats a report as JSON, with dates as YYYY-MM-DD
+ * @param {DeterminationReport} report The report
+ * @returns {string}        The JSON text
+ */
+export function reportToJson(report) {
+    return `${JSON.stringify(datesToISOStrings(report), null, 2)}\n`;
+}
@@ -0,0 +1,213 @@
+import { checkAnswers } from './answerChecks.js';
+import { ClaimLogic } from './ClaimLogic.js';
+
+/** Transition target that hands the decision to ClaimLogic.evaluate: the next question it needs, or the result. */
+export const FLOW_EVALUATE = '@evaluate';
+
+/*
+ * Texts in a flow (node text, labels, error messages and notices) are message keys looked up in the active locale's
+ * catalogue (see i18n/Translator.js). Text that is not a key is shown as it is, so custom flows can use literal text.
+ */
+
+/**
+ * @typedef {Object} FlowChoice
+ * @property {string} value                 Value of the choice button's data-choice attribute.
+ * @property {string} label                 Button label.
+ * @property {*} [answer]                   Value stored in the node's field when chosen (defaults to value).
+ * @property {string} [next]                Node to go to when chosen, overriding the node's own next.
+ * @property {string[]} [clears]            Answer fields to clear when chosen, e.g. to describe a different claim.
+ * @property {string} [notice]              Information shown on the next step when chosen.
+ */
+
+/**
+ * @typedef {Object} FlowDateInput
+ * @property {string} key                   Logical key of the input (used by WidgetView.inputs).
+ * @property {string} id                    ID of the input element.
+ * @property {string} field                 Answer field the parsed UTC date is stored in.
+ * @property {string} errorMessage          Message shown when the date is missing or invalid.
+ * @property {string} [label]               Label shown above the input.
+ */
+
+/**
+ * @typedef {Object} FlowNode
+ * @property {string} id                    Unique node ID, used in history and persistence.
+ * @property {'choice' | 'date' | 'claims' | 'info'} type The kind of input the node collects. A claims node collects
+ *                                          every earlier claim at once, as a list of PriorClaim.
+ * @property {string} elementId             ID of the rendered question container.
+ * @property {string} text                  The question or information text.
+ * @property {string} [title]               Short name of the step in the progress stepper (defaults to text).
+ * @property {string} [field]               Answer field a choice or claims node sets.
+ * @property {FlowChoice[]} [choices]       Buttons of a choice node.
+ * @property {FlowDateInput[]} [inputs]     Inputs of a date node.
+ * @property {string} [nextLabel]           Label of the Next button of date, claims and info nodes.
+ * @property {string} [next]                Node to go to next, or FLOW_EVALUATE (the default).
+ * @property {(answers: Object.<string, *>, context: ValidationContext) => string | AnswerIssue[] | null} [validate]
+ *                                          Checks the answers with the node's new values: an error message (or key) if
+ *                                          they are inconsistent, a list of issues, or null if they are fine. Issues
+ *                                          that involve none of the node's fields are ignored, so a node can return
+ *                                          every issue in the answers.
+ */
+
+/**
+ * @typedef {Object} ValidationContext
+ * @property {Date} today                   The UTC date the answers are assessed as of.
+ */
+
+/**
+ * @typedef {import('./answerChecks.js').AnswerIssue} AnswerIssue
+ */
+
+/**
+ * @typedef {Object} QuestionFlow
+ * @property {string} start                 ID of the first node.
+ * @property {FlowNode[]} nodes             The nodes, in display order.
+ */
+
+/** @type {QuestionFlow} */
+export const DEFAULT_FLOW = {
+    start: 'claimedBefore',
+    nodes: [
+        {
+            id: 'claimedBefore',
+            type: 'choice',
+            elementId: 'question1',
+            text: 'question.claimedBefore',
+            title: 'step.claimedBefore',
+            field: 'claimedBefore',
+            choices: [
+                { value: 'yes', label: 'choice.yes', answer: true },
+                { value: 'no', label: 'choice.no', answer: false },
+            ],
+        },
+        {
+            id: 'claimHistory',
+            type: 'claims',
+            elementId: 'question2',
+            text: 'question.claimHistory',
+            title: 'step.claimHistory',
+            field: 'claims',
+            validate: (answers, { today }) => checkAnswers(answers, today),
+        },
+    ],
+};
+
+/**
+ * @brief                       Finds a node by ID
+ * @param {QuestionFlow} flow   The flow definition
+ * @param {string} nodeId       The node ID
+ * @returns {FlowNode | null}   The node, or null if the flow has no such node
+ */
+export function getFlowNode(flow, nodeId) {
+    return flow.nodes.find((node) => node.id === nodeId) || null;
+}
+
+/**
+ * @brief                       Lists the answer fields a node collects
+ * @param {FlowNode} node       The node
+ * @returns {string[]}          The fields (empty for info nodes)
+ */
+export function getNodeFields(node) {
+    if (node.type === 'choice' || node.type === 'claims') return node.field ? [node.field] : [];
+    if (node.type === 'date') return (node.inputs || []).map((input) => input.field);
+    return [];
+}
+
+/**
+ * @brief                           Finds the choice of a choice node that gives the answer already stored
+ * @param {FlowNode} node           The choice node
+ * @param {Object.<string, *>} answers Answers by field name
+ * @returns {FlowChoice | null}     The choice, or null if the node has no choice for the stored answer
+ */
+export function getChosenChoice(node, answers) {
+    if (node.type !== 'choice' || !node.field) return null;
+    return (node.choices || []).find((c) => (c.answer !== undefined ? c.answer : c.value) === answers[node.field]) || null;
+}
+
+/**
+ * @brief                           Runs a node's validate function and lists the issues that concern the node
+ * @param {FlowNode} node           The node
+ * @param {Object.<string, *>} answers The answers, with the node's new values
+ * @param {ValidationContext} context What the answers are checked against
+ * @returns {AnswerIssue[]}         The issues; an error message returned by validate becomes an error with no fields
+ */
+export function getValidationIssues(node, answers, context) {
+    const result = node.validate ? node.validate(answers, context) : null;
+    if (!result) return [];
+    if (typeof result === 'string') return [{ severity: 'error', message: result, fields: [] }];
+
+    const fields = getNodeFields(node);
+    // A claim history's issues name the value within a claim, such as 'claims[0].filingDate'.
+    const concernsNode = (field) => fields.some((nodeField) => field === nodeField || field.startsWith(`${nodeField}[`));
+    return result.filter((issue) => !issue.fields || issue.fields.some(concernsNode));
+}
+
+/**
+ * @brief                           Finds the node that collects the answers ClaimLogic.evaluate asked for. In a flow that
+ *                                  asks for the claim history, that node answers the questions about a single claim.
+ * @param {QuestionFlow} flow       The flow definition
+ * @param {number} questionIndex    The nextQuestionIndex returned by ClaimLogic.evaluate
+ * @returns {FlowNode | null}       The node, or null if no node collects those answers
+ */
+export function findNodeForQuestion(flow, questionIndex) {
+    const node = _findNodeCollecting(flow, ClaimLogic.QUESTION_FIELDS[questionIndex] || []);
+    if (node || !ClaimLogic.SINGLE_CLAIM_QUESTIONS.includes(questionIndex)) return node;
+    return _findNodeCollecting(flow, ClaimLogic.QUESTION_FIELDS[ClaimLogic.QUESTION_CLAIM_HISTORY]);
+}
+
+/**
+ * @brief                       Finds the node that collects all of some answer fields
+ * @param {QuestionFlow} flow   The flow definition
+ * @param {string[]} fields     The answer fields
+ * @returns {FlowNode | null}   The first such node, or null if there is none
+ * @private
+ */
+function _findNodeCollecting(flow, fields) {
+    return flow.nodes.find((node) => fields.length > 0 && fields.every((field) => getNodeFields(node).includes(field))) || null;
+}
+
+/**
+ * @brief                       Checks that a flow definition is complete and its transitions point to existing nodes
+ * @param {QuestionFlow} flow   The flow definition
+ * @returns {boolean}           True if the flow is usable, false otherwise (the problems are logged)
+ */
+export function validateFlow(flow) {
+    if (!flow || !Array.isArray(flow.nodes) || flow.nodes.length === 0) {
+        console.error('validateFlow: The flow has no nodes.', { flow });
+        return false;
+    }
+
+    let isValid = true;
+    const ids = new Set();
+    for (const node of flow.nodes) {
+        if (ids.has(node.id)) {
+            console.error(`validateFlow: Duplicate node ID \`${node.id}\`.`);
+            isValid = false;
+        }
+        ids.add(node.id);
+    }
+
+    const isTarget = (target) => target === undefined || target === FLOW_EVALUATE || ids.has(target);
+    if (!ids.has(flow.start)) {
+        console.error(`validateFlow: Start node \`${flow.start}\` does not exist.`);
+        isValid = false;
+    }
+    for (const node of flow.nodes) {
+        const targets = [node.next, ...(node.choices || []).map((choice) => choice.next)];
+        targets
+            .filter((target) => !isTarget(target))
+            .forEach((target) => {
+                console.error(`validateFlow: Node \`${node.id}\` leads to missing node \`${target}\`.`);
+                isValid = false;
+            });
+    }
+
+    // A flow asks either for the claim history or for a single claim question by question.
+    const asksForHistory = !!_findNodeCollecting(flow, ClaimLogic.QUESTION_FIELDS[ClaimLogic.QUESTION_CLAIM_HISTORY]);
+    for (const index of Object.keys(ClaimLogic.QUESTION_FIELDS).map(Number)) {
+        if (!asksForHistory && index === ClaimLogic.QUESTION_CLAIM_HISTORY) continue;
+        if (!findNodeForQuestion(flow, index))
+            console.warn(`validateFlow: No node collects ${ClaimLogic.QUESTION_FIELDS[index].join(', ')}.`);
+    }
+
+    return isValid;
+}
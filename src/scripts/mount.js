@@ -0,0 +1,124 @@
+import { BatchController } from './controller/BatchController.js';
+import { WidgetController } from './controller/WidgetController.js';
+import { Translator } from './i18n/Translator.js';
+import { applyTheme, loadWebFont } from './utils/themeUtils.js';
+import { BatchView } from './view/BatchView.js';
+import { WidgetView } from './view/WidgetView.js';
+
+let mountedCount = 0;
+
+/**
+ * @brief               Allocates an ID prefix no other widget on the page uses. The prefix also keys the widget's saved
+ *                      progress and browser history, so keep it for as long as the widget is on the page.
+ * @returns {string}    The prefix, e.g. 'pnf3-'
+ */
+export function nextIdPrefix() {
+    return `pnf${++mountedCount}-`;
+}
+
+/**
+ * @typedef {Object} MountedWidget
+ * @property {WidgetView} view              The widget's view.
+ * @property {WidgetController} controller  The widget's controller, already initialised.
+ */
+
+/**
+ * @brief                               Renders a complete widget into an empty container and starts it. Every lookup,
+ *                                      event binding and ID is scoped to the container, so several widgets can share a page.
+ * @param {HTMLElement} container       The element to render the widget into
+ * @param {Object} [options={}]         `flow`, `idPrefix`, `ctaHref`, `cta`, `resultTemplates`, `renderResult`, `locale`
+ *                                      and `dateInput` for the view, `asOfField` to add the "assess as of" date field,
+ *                                      `theme` (a theme name or ThemeTokens) and `webFont: false` to skip loading the
+ *                                      web font; anything else is passed to the controller
+ * @returns {MountedWidget | null}      The view and controller, or null if no container was given
+ */
+export function mountWidget(
+    container,
+    {
+        flow,
+        idPrefix,
+        ctaHref,
+        cta,
+        resultTemplates,
+        renderResult,
+        locale,
+        dateInput,
+        asOfField = false,
+        theme,
+        webFont = true,
+        ...controllerOptions
+    } = {}
+) {
+    if (!container) {
+        console.error('mountWidget: No container element given.');
+        return null;
+    }
+    if (container.children.length > 0) console.warn('mountWidget: The container is not empty. Its content will be replaced.');
+
+    const prefix = idPrefix ?? nextIdPrefix();
+    container.classList.add('pnf-widget');
+    if (theme !== undefined) applyTheme(container, theme);
+    if (webFont) loadWebFont(container.ownerDocument);
+    container.innerHTML = WidgetView.generateShellHTML(prefix, new Translator(locale), { asOfField });
+
+    const view = new WidgetView({
+        flow,
+        ctaHref,
+        cta,
+        resultTemplates,
+        renderResult,
+        locale,
+        dateInput,
+        root: container,
+        idPrefix: prefix,
+        questionContainerId: `${prefix}questionContainer`,
+        resultId: `${prefix}result`,
+        resultTextId: `${prefix}pnfResult`,
+        summaryId: `${prefix}summary`,
+        progressId: `${prefix}progress`,
+    });
+    const suffix = prefix ? `-${prefix}` : '';
+    const controller = new WidgetController(view, {
+        historyStateKey: `${WidgetController.HISTORY_STATE_KEY}${suffix}`,
+        storageKey: `pnfWidgetProgress${suffix}`,
+        ...controllerOptions,
+    });
+    controller.init();
+
+    return { view, controller };
+}
+
+/**
+ * @typedef {Object} MountedBatchEvaluator
+ * @property {BatchView} view               The batch evaluator's view.
+ * @property {BatchController} controller   The batch evaluator's controller, already initialised.
+ */
+
+/**
+ * @brief                               Renders the batch evaluator (CSV upload, results table and export) into an empty
+ *                                      container and starts it
+ * @param {HTMLElement} container       The element to render the batch evaluator into
+ * @param {Object} [options={}]         `idPrefix` and `locale` for the view, and `theme` and `webFont` as for
+ *                                      mountWidget; anything else is passed to the controller
+ * @returns {MountedBatchEvaluator | null} The view and controller, or null if no container was given
+ */
+export function mountBatchEvaluator(container, { idPrefix, locale, theme, webFont = true, ...controllerOptions } = {}) {
+    if (!container) {
+        console.error('mountBatchEvaluator: No container element given.');
+        return null;
+    }
+
+    const prefix = idPrefix ?? nextIdPrefix();
+    const translator = new Translator(locale);
+    container.classList.add('pnf-widget');
+    if (theme !== undefined) applyTheme(container, theme);
+    if (webFont) loadWebFont(container.ownerDocument);
+    container.lang = translator.locale;
+    container.innerHTML = BatchView.generateShellHTML(prefix, translator);
+
+    const view = new BatchView({ root: container, idPrefix: prefix, locale });
+    const controller = new BatchController(view, controllerOptions);
+    controller.init();
+
+    return { view, controller };
+}
@@ -0,0 +1,134 @@
+import { parseDate, toISODateString, toUTC } from './dateUtils.js';
+
+const DATE_KEYS = ['lastFilingDate', 'cpStart', 'cpEnd', 'asOfDate'];
+const BOOLEAN_KEYS = ['claimedBefore', 'everClaimedBefore'];
+const SUBMISSION_TYPES = ['original', 'amended'];
+/** Order of a claim's values in its serialised form, e.g. '2024-01-01_2022-04-01_2023-03-31_original'. */
+const CLAIM_KEYS = ['filingDate', 'periodStart', 'periodEnd', 'submissionType'];
+
+/** Query parameter used for each answer in a shareable link. */
+export const SHARE_PARAMS = {
+    claimedBefore: 'pnfClaimed',
+    lastFilingDate: 'pnfFiled',
+    cpStart: 'pnfCpStart',
+    cpEnd: 'pnfCpEnd',
+    submissionType: 'pnfSubmission',
+    everClaimedBefore: 'pnfEarlier',
+    claims: 'pnfClaims',
+    asOfDate: 'pnfAsOf',
+};
+
+/**
+ * @brief                                                   Converts answers to plain strings so they can be stored or put in a URL
+ * @param {import('../model/ClaimLogic.js').ClaimAnswers} answers The answers to serialise
+ * @returns {Object.<string, string>}                       Answers as strings; unanswered questions are omitted
+ */
+export function serializeAnswers(answers) {
+    /** @type {Object.<string, string>} */
+    const serialized = {};
+    if (!answers) return serialized;
+
+    for (const key of DATE_KEYS) {
+        if (answers[key]) serialized[key] = toISODateString(answers[key]);
+    }
+    for (const key of BOOLEAN_KEYS) {
+        if (answers[key] === true || answers[key] === false) serialized[key] = answers[key] ? 'yes' : 'no';
+    }
+    if (answers.submissionType) serialized.submissionType = answers.submissionType;
+    // Claims are written as their values joined by '_', one claim after another separated by ','.
+    if (Array.isArray(answers.claims) && answers.claims.length > 0) {
+        serialized.claims = answers.claims
+            .map((claim) =>
+                CLAIM_KEYS.map((key) => (key === 'submissionType' ? claim[key] : toISODateString(claim[key]))).join('_')
+            )
+            .join(',');
+    }
+
+    return serialized;
+}
+
+/**
+ * @brief                                   Converts serialised answers back, dropping any value that does not parse
+ * @param {Object.<string, string>} data    Answers as produced by serializeAnswers
+ * @returns {import('../model/ClaimLogic.js').ClaimAnswers} The answers with UTC dates
+ */
+export function deserializeAnswers(data) {
+    /** @type {import('../model/ClaimLogic.js').ClaimAnswers} */
+    const answers = {};
+    if (!data || typeof data !== 'object') return answers;
+
+    for (const key of DATE_KEYS) {
+        const localDate = typeof data[key] === 'string' ? parseDate(data[key]) : null;
+        if (localDate) answers[key] = toUTC(localDate);
+    }
+    for (const key of BOOLEAN_KEYS) {
+        if (data[key] === 'yes' || data[key] === 'no') answers[key] = data[key] === 'yes';
+    }
+    if (SUBMISSION_TYPES.includes(data.submissionType)) answers.submissionType = data.submissionType;
+    const claims = _deserializeClaims(data.claims);
+    if (claims) answers.claims = claims;
+
+    return answers;
+}
+
+/**
+ * @brief                   Reads a claim history, as written by serializeAnswers or as a list of objects with the
+ *                          PriorClaim names and string dates
+ * @param {*} data          The serialised claims
+ * @returns {import('../model/ClaimLogic.js').PriorClaim[] | null} The claims, or null if there are none or any claim
+ *                          does not parse, so a history is never used with claims missing
+ * @private
+ */
+function _deserializeClaims(data) {
+    let rows = null;
+    if (typeof data === 'string' && data !== '')
+        rows = data.split(',').map((claim) => Object.fromEntries(claim.split('_').map((value, i) => [CLAIM_KEYS[i], value])));
+    else if (Array.isArray(data) && data.length > 0) rows = data;
+    if (!rows) return null;
+
+    const claims = [];
+    for (const row of rows) {
+        if (!row || typeof row !== 'object' || !SUBMISSION_TYPES.includes(row.submissionType)) return null;
+        const dates = CLAIM_KEYS.slice(0, 3).map((key) => (typeof row[key] === 'string' ? parseDate(row[key]) : null));
+        if (dates.some((date) => !date)) return null;
+
+        const [filingDate, periodStart, periodEnd] = dates.map((date) => toUTC(date));
+        claims.push({ filingDate, periodStart, periodEnd, submissionType: row.submissionType });
+    }
+    return claims;
+}
+
+/**
+ * @brief                                                   Builds a link that reopens the widget with the given answers
+ * @param {string} baseUrl                                  The page URL to add the answers to
+ * @param {import('../model/ClaimLogic.js').ClaimAnswers} answers The answers to include
+ * @returns {string}                                        The shareable URL
+ */
+export function buildShareUrl(baseUrl, answers) {
+    const url = new URL(baseUrl);
+    Object.values(SHARE_PARAMS).forEach((param) => url.searchParams.delete(param));
+
+    for (const [key, value] of Object.entries(serializeAnswers(answers))) {
+        url.searchParams.set(SHARE_PARAMS[key], value);
+    }
+    return url.toString();
+}
+
+/**
+ * @brief                                   Reads answers from the query string of a shareable link
+ * @param {string} search                   The query string (e.g. window.location.search)
+ * @returns {import('../model/ClaimLogic.js').ClaimAnswers | null} The answers, or null if the link has none
+ */
+export function parseShareParams(search) {
+    const params = new URLSearchParams(search);
+    /** @type {Object.<string, string>} */
+    const data = {};
+
+    for (const [key, param] of Object.entries(SHARE_PARAMS)) {
+        const value = params.get(param);
+        if (value !== null) data[key] = value;
+    }
+    if (Object.keys(data).length === 0) return null;
+
+    return deserializeAnswers(data);
+}
@@ -0,0 +1,116 @@
+import { isValidDateObject } from './dateUtils.js';
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid                   Identifier that stays the same when the event is exported again.
+ * @property {Date} date                    UTC date of the all-day event.
+ * @property {string} summary               Event title.
+ * @property {string} [description]         Event details.
+ * @property {number[]} [reminderDays]      Days before the event to show a reminder (0 reminds on the day itself).
+ * @property {string} [reminderText]        Text of the reminders (defaults to the summary).
+ */
+
+/**
+ * @brief                       Formats a UTC date as an iCalendar DATE value (YYYYMMDD)
+ * @param {Date} utcDate        The UTC date
+ * @returns {string}            The DATE value
+ * @private
+ */
+function _formatDateValue(utcDate) {
+    return utcDate.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * @brief                       Escapes text for an iCalendar TEXT value
+ * @param {string} text         The text
+ * @returns {string}            The escaped text
+ * @private
+ */
+function _escapeText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** RFC 5545 limits content lines to 75 octets of UTF-8, not counting the line break. */
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+/**
+ * @brief                       Folds a content line longer than 75 octets onto continuation lines, as RFC 5545
+ *                              requires. Lines are measured in UTF-8 bytes, so Welsh text with accented letters is
+ *                              folded sooner, and a character is never split across lines.
+ * @param {string} line         The content line
+ * @returns {string}            The folded line
+ * @private
+ */
+function _foldLine(line) {
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    // Continuation lines start with a space, which counts towards their 75 octets.
+    let limit = MAX_LINE_OCTETS;
+    for (const character of line) {
+        const size = encoder.encode(character).length;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+            limit = MAX_LINE_OCTETS - 1;
+        }
+        current += character;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * @brief                           Builds an iCalendar (.ics) file of all-day events with reminders
+ * @param {CalendarEvent[]} events  The events
+ * @param {Date} [now=new Date()]   Time stamp recorded in the events
+ * @returns {string | null}         The file content, or null if an event has an invalid date
+ */
+export function buildCalendar(events, now = new Date()) {
+    if (events.some((event) => !isValidDateObject(event.date))) {
+        console.error('buildCalendar: An event has an invalid date.', { events });
+        return null;
+    }
+
+    const stamp = `${now.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//PNF Widget//Claim Notification Deadline//EN',
+        'CALSCALE:GREGORIAN',
+    ];
+
+    for (const event of events) {
+        const end = new Date(event.date.getTime());
+        end.setUTCDate(end.getUTCDate() + 1);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${_formatDateValue(event.date)}`,
+            `DTEND;VALUE=DATE:${_formatDateValue(end)}`,
+            `SUMMARY:${_escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${_escapeText(event.description)}`);
+
+        for (const days of event.reminderDays || []) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${_escapeText(event.reminderText || event.summary)}`,
+                `TRIGGER:${days > 0 ? `-P${days}D` : 'PT0S'}`,
+                'END:VALARM'
+            );
+        }
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(_foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,65 @@
+/**
+ * @brief                   Parses CSV text (RFC 4180: comma separated, fields optionally in double quotes, "" for a
+ *                          quote inside a quoted field). Blank lines are skipped.
+ * @param {string} text     The CSV text
+ * @returns {string[][]}    The rows, each an array of field values
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') inQuotes = false;
+            else field += char;
+            continue;
+        }
+
+        if (char === '"') inQuotes = true;
+        else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n') endRow();
+        else if (char !== '\r') field += char;
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * @brief                   Formats one CSV field, quoting it when needed. Text starting with =, +, -, @, a tab or a
+ *                          carriage return is prefixed with an apostrophe so spreadsheets do not run it as a formula.
+ * @param {*} value         The value (null and undefined become an empty field)
+ * @returns {string}        The CSV field
+ * @private
+ */
+function _formatField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @brief                   Formats rows as CSV text
+ * @param {Array<Array<*>>} rows The rows, each an array of field values
+ * @returns {string}        The CSV text, with CRLF line endings
+ */
+export function toCsv(rows) {
+    return `${rows.map((row) => row.map(_formatField).join(',')).join('\r\n')}\r\n`;
+}
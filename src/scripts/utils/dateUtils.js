@@ -21,6 +21,21 @@ export function addMonthsUTC(utcDate, months) {
     return newDate;
 }
 
+/**
+ * @brief                   Adds a specified number of months to a UTC Date object, keeping to the target month: a day
+ *                          that month does not have becomes its last day, so 31 March + 6 months is 30 September
+ * @param {Date} utcDate    The UTC Date object
+ * @param {number} months   The number of months to add
+ * @returns {Date | null}   A new Date object with the months added, or null if input is invalid
+ */
+export function addMonthsClampedUTC(utcDate, months) {
+    if (!isValidDateObject(utcDate)) return null;
+    const year = utcDate.getUTCFullYear();
+    const month = utcDate.getUTCMonth() + months;
+    const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(utcDate.getUTCDate(), lastDayOfMonth)));
+}
+
 /**
  * @brief                   Subtracts a specified number of years from a UTC Date object
  * @param {Date} utcDate    The UTC Date object
@@ -67,38 +82,219 @@ function _getDaysInMonth(year, month) {
 }
 
 /**
- * @brief                   Parse date string to Date object with proper day/month validation for YYYY-MM-DD
- * @param {string} value    The date string (expected primarily as YYYY-MM-DD)
- * @returns {Date | null}   The parsed local Date object or null if invalid or format is not YYYY-MM-DD
+ * @typedef {Object} DateParseError
+ * @property {string} code              What is wrong with the date: 'format', 'yearFormat', 'monthOutOfRange',
+ *                                      'dayOutOfRange', 'dayNotInMonth' or 'notLeapYear', or for separate fields
+ *                                      'missingDay', 'missingMonth' or 'missingYear'
+ * @property {Object.<string, string | number>} params Details for the message: the day, month, monthName and year
+ *                                      as far as they were read
  */
-export function parseDate(value) {
-    if (!value) return null;
 
-    const isoPattern = /^(\d{4})-(\d{2})-(\d{2})$/;
-    const parts = value.match(isoPattern);
+/**
+ * @typedef {Object} DateParseResult
+ * @property {Date | null} date         The local Date, or null if the text is not a valid date.
+ * @property {DateParseError | null} error Why the text is not a valid date, or null if it is.
+ */
 
-    if (parts) {
-        const year = parseInt(parts[1], 10);
-        const month = parseInt(parts[2], 10);
-        const day = parseInt(parts[3], 10);
-        if (year < 1000 || year > 9999 || month < 1 || month > 12 || day < 1 || day > 31) return null;
-        const daysInActualMonth = _getDaysInMonth(year, month);
-        if (day > daysInActualMonth) return null;
+/**
+ * @brief                   Checks a year, month and day, as read from a date someone typed
+ * @param {number} year     The year
+ * @param {number} month    The month (1-12)
+ * @param {number} day      The day of the month
+ * @param {string} yearText The year as typed, to check it has 4 digits
+ * @param {string} locale   The locale month names are given in
+ * @returns {DateParseResult} The date, or what is wrong with it
+ * @private
+ */
+function _checkDateParts(year, month, day, yearText, locale) {
+    const params = { day, month, year };
+    if (!/^\d{4}$/.test(yearText) || year < 1000) return { date: null, error: { code: 'yearFormat', params } };
+    if (month < 1 || month > 12) return { date: null, error: { code: 'monthOutOfRange', params } };
+    if (day < 1 || day > 31) return { date: null, error: { code: 'dayOutOfRange', params } };
+
+    if (day > _getDaysInMonth(year, month)) {
+        const code = month === 2 && day === 29 ? 'notLeapYear' : 'dayNotInMonth';
+        return { date: null, error: { code, params: { ...params, monthName: monthName(month, locale) } } };
+    }
+    return { date: new Date(year, month - 1, day), error: null };
+}
 
-        return new Date(year, month - 1, day);
+/**
+ * @brief                   Gives the order of the day, month and year in a locale's numeric dates
+ * @param {string} locale   The locale
+ * @returns {string}        'dmy', 'mdy' or 'ymd'
+ * @private
+ */
+function _numericDateOrder(locale) {
+    try {
+        return new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'numeric', year: 'numeric', timeZone: 'UTC' })
+            .formatToParts(new Date(Date.UTC(2024, 2, 31)))
+            .filter((part) => ['day', 'month', 'year'].includes(part.type))
+            .map((part) => part.type[0])
+            .join('');
+    } catch {
+        return 'dmy';
     }
+}
+
+/**
+ * @brief                   Gives the name of a month in a locale
+ * @param {number} month    The month (1-12)
+ * @param {string} [locale='en-GB'] The locale
+ * @returns {string}        The month's full name, e.g. "February"
+ */
+export function monthName(month, locale = 'en-GB') {
+    return new Intl.DateTimeFormat(locale, { month: 'long', timeZone: 'UTC' }).format(new Date(Date.UTC(2024, month - 1, 1)));
+}
 
-    console.warn(`parseDate: Input \`${value}\` is not in YYYY-MM-DD format or is invalid. Strict parsing returning null.`);
-    return null;
+/**
+ * @brief                   Finds the month a written month name stands for, in a locale or in English
+ * @param {string} name     The month name as typed, e.g. "Mar", "march" or "Mawrth"
+ * @param {string} locale   The locale
+ * @returns {number | null} The month (1-12), or null if the name is not a month
+ * @private
+ */
+function _monthFromName(name, locale) {
+    const wanted = name.toLowerCase().replace(/\.$/, '');
+    for (const language of [locale, 'en-GB']) {
+        for (const style of ['long', 'short']) {
+            const format = new Intl.DateTimeFormat(language, { month: style, timeZone: 'UTC' });
+            for (let month = 1; month <= 12; month++) {
+                const candidate = format
+                    .format(new Date(Date.UTC(2024, month - 1, 1)))
+                    .toLowerCase()
+                    .replace(/\.$/, '');
+                if (candidate === wanted) return month;
+            }
+        }
+    }
+    // "Sept" is a common abbreviation that Intl does not produce.
+    return wanted === 'sept' ? 9 : null;
 }
 
 /**
- * @brief               Formats a date as DD/MM/YYYY
- * @param {Date} date   The date to format
- * @throws {TypeError}  If the input is not a valid Date object
- * @returns {string}    The formatted date string in DD/MM/YYYY format, or an empty string if the date is invalid
+ * @brief                   Parses a date as someone might type it: ISO (2024-03-31), numeric in the locale's order
+ *                          (31/03/2024 in en-GB, 03/31/2024 in en-US; '/', '.' or '-' between the parts) or with the
+ *                          month written out (31 Mar 2024, 31 March 2024)
+ * @param {string} value    The text
+ * @param {string} [locale='en-GB'] The locale that decides the numeric order and the month names
+ * @returns {DateParseResult} The local Date, or exactly what is wrong with the text
  */
-export function formatDate(date) {
+export function parseDateInput(value, locale = 'en-GB') {
+    const text = String(value ?? '').trim();
+    const formatError = { date: null, error: { code: 'format', params: {} } };
+    if (!text) return formatError;
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) return _checkDateParts(Number(iso[1]), Number(iso[2]), Number(iso[3]), iso[1], locale);
+
+    const numeric = text.match(/^(\d{1,4})\s*[/.-]\s*(\d{1,2})\s*[/.-]\s*(\d{1,4})$/);
+    if (numeric) {
+        const [, first, second, third] = numeric;
+        if (first.length === 4) return _checkDateParts(Number(first), Number(second), Number(third), first, locale);
+        const [day, month] = _numericDateOrder(locale).startsWith('m') ? [second, first] : [first, second];
+        return _checkDateParts(Number(third), Number(month), Number(day), third, locale);
+    }
+
+    const written = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([^\d\s,]+)\s*,?\s+(\d{1,4})$/iu);
+    if (written) {
+        const month = _monthFromName(written[2], locale);
+        if (!month) return formatError;
+        return _checkDateParts(Number(written[3]), month, Number(written[1]), written[3], locale);
+    }
+
+    return formatError;
+}
+
+/**
+ * @brief                   Parses a date typed into separate day, month and year fields
+ * @param {string} dayText  The day as typed
+ * @param {string} monthText The month as typed
+ * @param {string} yearText The year as typed
+ * @param {string} [locale='en-GB'] The locale month names in errors are given in
+ * @returns {DateParseResult} The local Date, or exactly what is wrong with the parts
+ */
+export function parseDateParts(dayText, monthText, yearText, locale = 'en-GB') {
+    const parts = {
+        Day: String(dayText ?? '').trim(),
+        Month: String(monthText ?? '').trim(),
+        Year: String(yearText ?? '').trim(),
+    };
+    const missing = Object.keys(parts).find((name) => parts[name] === '');
+    if (missing) return { date: null, error: { code: `missing${missing}`, params: {} } };
+    if (!Object.values(parts).every((part) => /^\d+$/.test(part))) return { date: null, error: { code: 'format', params: {} } };
+    return _checkDateParts(Number(parts.Year), Number(parts.Month), Number(parts.Day), parts.Year, locale);
+}
+
+/**
+ * @brief                   Parses a date stored by the widget itself, e.g. in a link or in saved progress
+ * @param {string} value    The date string, as YYYY-MM-DD
+ * @returns {Date | null}   The parsed local Date object, or null if it is not a valid YYYY-MM-DD date
+ */
+export function parseDate(value) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    return parseDateInput(value).date;
+}
+
+/**
+ * @brief                   Formats a UTC date as YYYY-MM-DD, the value format of date inputs
+ * @param {Date} utcDate    The UTC date to format
+ * @returns {string}        The formatted date string, or an empty string if the date is invalid
+ */
+export function toISODateString(utcDate) {
+    if (!isValidDateObject(utcDate)) return '';
+    return utcDate.toISOString().slice(0, 10);
+}
+
+/**
+ * @brief                       Formats a UTC date for display in the widget's locale, as DD/MM/YYYY for en-GB
+ * @param {Date} date           The date to format
+ * @param {string} [locale]     The BCP 47 locale to format the date for
+ * @throws {TypeError}          If the input is not a valid Date object
+ * @returns {string}            The formatted date string, or an empty string if the date is invalid
+ */
+export function formatDate(date, locale = 'en-GB') {
     if (!(date instanceof Date) || isNaN(date.getTime())) return '';
-    return date.toLocaleDateString('en-GB');
+    return date.toLocaleDateString(locale, { timeZone: 'UTC' });
+}
+
+/**
+ * @brief                   Counts the whole days from one UTC date to another
+ * @param {Date} fromUTC    The earlier UTC date
+ * @param {Date} toUTCDate  The later UTC date
+ * @returns {number | null} The number of days (negative if toUTCDate is earlier), or null if either date is invalid
+ */
+export function daysBetweenUTC(fromUTC, toUTCDate) {
+    if (!isValidDateObject(fromUTC) || !isValidDateObject(toUTCDate)) return null;
+    return Math.round((toUTCDate.getTime() - fromUTC.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * @typedef {() => Date} Clock
+ * Returns the current time. Injected wherever "today" matters, so it can be pinned to another day.
+ */
+
+/** The clock of the system the code runs on. */
+export const systemClock = () => new Date();
+
+/**
+ * @brief                   Gives today's date as UTC midnight, by a clock's local calendar
+ * @param {Clock} [clock=systemClock] The clock to read
+ * @returns {Date | null}   Today's UTC date, or null if the clock gives an invalid date
+ */
+export function todayUTC(clock = systemClock) {
+    return toUTC(clock());
+}
+
+/**
+ * @brief                   Converts every Date in a value to a YYYY-MM-DD string, for JSON output
+ * @param {*} value         The value: a Date, or an array or plain object that may contain Dates
+ * @returns {*}             A copy of the value with the dates as strings
+ */
+export function datesToISOStrings(value) {
+    if (value instanceof Date) return toISODateString(value);
+    if (Array.isArray(value)) return value.map(datesToISOStrings);
+    if (value && typeof value === 'object')
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, datesToISOStrings(item)]));
+    return value;
 }
@@ -0,0 +1,20 @@
+/**
+ * @brief                           Offers content to the user as a file download
+ * @param {string} fileName         The suggested file name
+ * @param {string} content          The file content
+ * @param {string} mimeType         The file's MIME type
+ * @param {Node} [parent]           Where the temporary download link is attached (the document body by default), e.g.
+ *                                  an element inside a shadow root
+ * @returns {void}
+ */
+export function downloadFile(fileName, content, mimeType, parent = document.body) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    parent.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
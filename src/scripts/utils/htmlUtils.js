@@ -0,0 +1,44 @@
+/**
+ * @brief                   Escapes a value for safe use in HTML text and attribute values
+ * @param {*} value         The value to escape (converted to a string; null and undefined become '')
+ * @returns {string}        The escaped string
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * @brief                   Fills the {placeholders} of an HTML template. The values are escaped; the template is
+ *                          used as it is, so it must come from a trusted source such as the host page's config.
+ * @param {string} template The HTML template
+ * @param {Object.<string, *>} values Placeholder values as text
+ * @returns {string}        The HTML string; placeholders without a value are left as they are
+ */
+export function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? escapeHtml(values[name]) : placeholder));
+}
+
+/** Schemes a link from the host page's config may use; anything else, e.g. javascript:, could run script. */
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * @brief                   Checks a link is safe to put in an href: an http(s) or mailto URL, or a URL relative to
+ *                          the page
+ * @param {*} href          The link
+ * @returns {boolean}       True if the link is safe, false otherwise
+ */
+export function isSafeLinkHref(href) {
+    if (typeof href !== 'string') return false;
+    try {
+        // A relative URL resolves against the base and so takes its scheme.
+        return SAFE_LINK_PROTOCOLS.includes(new URL(href, 'https://relative.invalid/').protocol);
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * @brief                   Stores a value in localStorage together with an expiry time
+ * @param {string} key      The storage key
+ * @param {*} value         A JSON-serialisable value
+ * @param {number} ttlMs    How long the value stays valid, in milliseconds
+ * @returns {boolean}       True if stored, false if localStorage is unavailable or full
+ */
+export function saveWithExpiry(key, value, ttlMs) {
+    try {
+        localStorage.setItem(key, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }));
+        return true;
+    } catch (error) {
+        console.warn(`saveWithExpiry: Could not save \`${key}\` to localStorage.`, error);
+        return false;
+    }
+}
+
+/**
+ * @brief               Reads a value stored by saveWithExpiry, removing it if it has expired
+ * @param {string} key  The storage key
+ * @returns {*}         The stored value, or null if missing, expired, unreadable or localStorage is unavailable
+ */
+export function loadWithExpiry(key) {
+    try {
+        const raw = localStorage.getItem(key);
+        if (!raw) return null;
+
+        const stored = JSON.parse(raw);
+        if (!stored || typeof stored.expiresAt !== 'number' || stored.expiresAt <= Date.now()) {
+            localStorage.removeItem(key);
+            return null;
+        }
+        return stored.value;
+    } catch (error) {
+        console.warn(`loadWithExpiry: Could not read \`${key}\` from localStorage.`, error);
+        return null;
+    }
+}
+
+/**
+ * @brief               Removes a stored value
+ * @param {string} key  The storage key
+ * @returns {void}
+ */
+export function removeStored(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.warn(`removeStored: Could not remove \`${key}\` from localStorage.`, error);
+    }
+}
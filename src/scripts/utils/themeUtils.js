@@ -0,0 +1,96 @@
+/**
+ * @typedef {Object} ThemeTokens
+ * @property {'light' | 'dark' | 'high-contrast' | 'auto'} [base] Built-in theme the tokens are applied on top of.
+ *                                          'auto' follows the user's colour scheme and contrast preferences.
+ * @property {string} [primary]             Colour of the buttons, focus rings and result panel.
+ * @property {string} [primaryDark]         Hover colour of the buttons and background of the dates in the result.
+ * @property {string} [heading]             Colour of the title.
+ * @property {string} [danger]              Result panel colour when a PNF is required.
+ * @property {string} [success]             Result panel colour when no PNF is required.
+ * @property {string} [text]                Body text colour.
+ * @property {string} [background]          Background of the widget.
+ * @property {string} [radius]              Corner radius of the panels, inputs and buttons.
+ * @property {string} [font]                Font family.
+ * @property {string} [spacing]             Base spacing; the smaller and larger spacings are scaled from it.
+ */
+
+/** Built-in themes, selected with the data-theme attribute (see css/variables.css). */
+export const THEMES = ['light', 'dark', 'high-contrast', 'auto'];
+
+/** CSS custom properties each brand token sets. */
+export const THEME_TOKENS = {
+    primary: ['--color-secondary'],
+    primaryDark: ['--color-secondary-dark'],
+    heading: ['--color-primary'],
+    danger: ['--color-danger'],
+    success: ['--color-success'],
+    text: ['--color-text-body'],
+    background: ['--color-bg-container'],
+    radius: ['--border-radius-medium', '--border-radius-small'],
+    font: ['--font-family'],
+};
+
+/** Each spacing as a multiple of the base spacing, matching the default sizes in css/variables.css. */
+const SPACING_SCALE = {
+    '--spacing-xxs': 0.5,
+    '--spacing-xs': 0.8,
+    '--spacing-s': 1,
+    '--spacing-m': 1.5,
+    '--spacing-l': 2,
+    '--spacing-xl': 3,
+};
+
+/** Stylesheet of the Poppins web font the default theme uses. */
+export const WEB_FONT_URL = 'https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap';
+
+/**
+ * @brief                               Applies a built-in theme and brand tokens to a widget's root element. Tokens
+ *                                      set by an earlier call are removed first, so the theme can be changed at any time.
+ * @param {HTMLElement} element         The widget's root element
+ * @param {string | ThemeTokens | null} theme A built-in theme name, brand tokens, or null for the default light theme
+ * @returns {void}
+ */
+export function applyTheme(element, theme) {
+    if (!element) {
+        console.error('applyTheme: No element given.');
+        return;
+    }
+    const tokens = typeof theme === 'string' ? { base: theme } : theme || {};
+
+    const properties = [...Object.values(THEME_TOKENS).flat(), ...Object.keys(SPACING_SCALE)];
+    properties.forEach((property) => element.style.removeProperty(property));
+
+    const base = tokens.base || 'light';
+    if (!THEMES.includes(base)) console.warn(`applyTheme: Unknown theme '${base}'. The light theme is used instead.`);
+    if (base === 'light' || !THEMES.includes(base)) delete element.dataset.theme;
+    else element.dataset.theme = base;
+
+    for (const [token, value] of Object.entries(tokens)) {
+        if (token === 'base' || value === undefined || value === null || value === '') continue;
+        if (token === 'spacing') {
+            Object.entries(SPACING_SCALE).forEach(([property, scale]) =>
+                element.style.setProperty(property, `calc(${value} * ${scale})`)
+            );
+        } else if (THEME_TOKENS[token]) {
+            THEME_TOKENS[token].forEach((property) => element.style.setProperty(property, String(value)));
+        } else {
+            console.warn(`applyTheme: Unknown theme token '${token}'.`);
+        }
+    }
+}
+
+/**
+ * @brief                   Loads the web font into the page once. Fonts declared inside a shadow root are not used
+ *                          by browsers, so the font is always added to the document itself.
+ * @param {Document} [doc=document] The document to load the font into
+ * @returns {void}
+ */
+export function loadWebFont(doc = document) {
+    if (!doc || !doc.head || doc.head.querySelector('link[data-pnf-font]')) return;
+
+    const link = doc.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = WEB_FONT_URL;
+    link.dataset.pnfFont = '';
+    doc.head.appendChild(link);
+}
@@ -0,0 +1,231 @@
+import { Translator } from '../i18n/Translator.js';
+import { ClaimLogic } from '../model/ClaimLogic.js';
+import { downloadFile } from '../utils/fileUtils.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
+
+/**
+ * @typedef {Object} BatchViewOptions
+ * @property {ParentNode} [root]              Element (or document) every lookup is scoped to. Defaults to the document.
+ * @property {string} [idPrefix]              Prefix of the IDs in the markup from generateShellHTML.
+ * @property {string} [locale]                Locale of the messages and dates, or 'auto' for the browser's language.
+ */
+
+export class BatchView {
+    /** @type {ParentNode} */
+    root;
+    /** @type {string} */
+    idPrefix;
+    /** @type {Translator} */
+    translator;
+    /** @type {HTMLInputElement | null} */
+    fileInput = null;
+    /** @type {HTMLTableElement | null} */
+    table = null;
+    /** @type {HTMLElement | null} */
+    summaryEl = null;
+    /** @type {HTMLElement | null} Where problems with the file as a whole are shown. */
+    errorsEl = null;
+    /** @type {HTMLButtonElement | null} */
+    exportButton = null;
+
+    /**
+     * @brief                                   Constructs a BatchView for markup generated by generateShellHTML
+     * @param {BatchViewOptions} [options={}]   Configuration options for the view.
+     */
+    constructor({ root = document, idPrefix = '', locale = Translator.DEFAULT_LOCALE } = {}) {
+        this.root = root;
+        this.idPrefix = idPrefix;
+        this.translator = new Translator(locale);
+
+        this.fileInput = /** @type {HTMLInputElement | null} */ (this.qs(`#${idPrefix}batchFile`));
+        this.table = /** @type {HTMLTableElement | null} */ (this.qs(`#${idPrefix}batchTable`));
+        this.summaryEl = this.qs(`#${idPrefix}batchSummary`);
+        this.errorsEl = this.qs(`#${idPrefix}batchErrors`);
+        this.exportButton = /** @type {HTMLButtonElement | null} */ (this.qs('button[data-action="export-csv"]'));
+
+        if (!this.fileInput || !this.table)
+            console.warn(`BatchView: The file input or results table with prefix '${idPrefix}' was not found.`);
+    }
+
+    /**
+     * @brief                   Generates the markup of the batch evaluator: a file input, a results table and an export button
+     * @param {string} idPrefix Prefix added to every ID, so several instances on one page do not share IDs
+     * @param {Translator} [translator] Translator for the locale (English by default)
+     * @returns {string}        The HTML string
+     */
+    static generateShellHTML(idPrefix = '', translator = new Translator()) {
+        const t = (key) => escapeHtml(translator.t(key));
+        const id = (name) => escapeHtml(`${idPrefix}${name}`);
+        return `
+            <div class="container batch">
+                <h1 class="container__title">${t('batch.title')}</h1>
+                <p class="container__description">${t('batch.description')}</p>
+
+                <label for="${id('batchFile')}" class="question__label">${t('batch.fileLabel')}</label>
+                <input type="file" id="${id('batchFile')}" class="question__input" accept=".csv,text/csv" />
+
+                <div id="${id('batchErrors')}"></div>
+                <p id="${id('batchSummary')}" class="batch__summary" role="status"></p>
+
+                <table id="${id('batchTable')}" class="batch__table" hidden>
+                    <thead>
+                        <tr>
+                            <th scope="col">${t('batch.column.company')}</th>
+                            <th scope="col">${t('batch.column.outcome')}</th>
+                            <th scope="col">${t('batch.column.cnp')}</th>
+                            <th scope="col" aria-sort="none">
+                                <button type="button" class="batch__sort" data-action="sort-deadline">${t('batch.column.deadline')}</button>
+                            </th>
+                            <th scope="col">${t('batch.column.errors')}</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+
+                <button type="button" class="question__button" data-action="export-csv" hidden>${t('batch.export')}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * @brief                           Query selector helper, scoped to the view's root
+     * @param {string} selector         The CSS selector
+     * @returns {HTMLElement | null}    The found element or null
+     */
+    qs(selector) {
+        return this.root.querySelector(selector);
+    }
+
+    /**
+     * @brief                   Turns an evaluator message into text in the view's locale
+     * @param {import('../model/batchEvaluator.js').BatchMessage} message The message
+     * @returns {string}        The text
+     */
+    formatMessage(message) {
+        return this.translator.t(message.key, message.params);
+    }
+
+    /**
+     * @brief                                           Shows the evaluated rows
+     * @param {import('../model/batchEvaluator.js').BatchRow[]} rows The rows, in display order
+     * @param {'ascending' | 'descending' | null} sortDirection How the rows are sorted by deadline, or null if unsorted
+     * @returns {void}
+     */
+    renderRows(rows, sortDirection) {
+        if (!this.table) return;
+
+        const body = this.table.tBodies[0];
+        body.innerHTML = rows.map((row) => this._generateRowHTML(row)).join('');
+
+        const sortHeader = this.table.querySelector('[aria-sort]');
+        if (sortHeader) sortHeader.setAttribute('aria-sort', sortDirection || 'none');
+
+        const errorCount = rows.filter((row) => row.errors.length > 0).length;
+        if (this.summaryEl)
+            this.summaryEl.textContent = this.translator.t('batch.summary', { count: rows.length, errors: errorCount });
+        this.table.hidden = rows.length === 0;
+        if (this.exportButton) this.exportButton.hidden = rows.length === 0;
+    }
+
+    /**
+     * @brief                                           Generates the table row for one company
+     * @param {import('../model/batchEvaluator.js').BatchRow} row The evaluated row
+     * @returns {string}                                The HTML string for the row
+     * @private
+     */
+    _generateRowHTML(row) {
+        const t = this.translator;
+        let outcome = '';
+        if (row.result === ClaimLogic.PNF_REQUIRED) outcome = t.t('batch.outcome.pnfRequired');
+        if (row.result === ClaimLogic.NO_PNF_REQUIRED) outcome = t.t('batch.outcome.noPnfRequired');
+
+        const cnpText = (period) =>
+            period.cnpStart && period.cnpEnd ? t.t('batch.cnpRange', { cnpStart: period.cnpStart, cnpEnd: period.cnpEnd }) : '';
+        // A split period of account lists each accounting period's window and deadline on its own line.
+        const periods = row.periods.length > 1 ? row.periods : [row];
+        const cnp = periods.map((period) => escapeHtml(cnpText(period))).join('<br />');
+        const deadline = periods.map((period) => escapeHtml(this._deadlineText(period.deadline))).join('<br />');
+
+        const problems = [
+            ...row.errors.map((error) => escapeHtml(this.formatMessage(error))),
+            ...row.warnings.map((warning) => `<span class="batch__warning">${escapeHtml(this.formatMessage(warning))}</span>`),
+        ];
+
+        const rowClass = [
+            row.errors.length > 0 ? 'batch__row--error' : '',
+            row.deadline && row.deadline.hasPassed ? 'batch__row--passed' : '',
+        ]
+            .filter(Boolean)
+            .join(' ');
+
+        return `
+            <tr${rowClass ? ` class="${rowClass}"` : ''}>
+                <th scope="row">${escapeHtml(row.company)}</th>
+                <td>${escapeHtml(outcome)}</td>
+                <td>${cnp}</td>
+                <td>${deadline}</td>
+                <td>${problems.join('<br />')}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * @brief                   Describes a deadline and how long is left until it
+     * @param {import('../model/ClaimLogic.js').DeadlineStatus | null} deadline The deadline, if any
+     * @returns {string}        The text, or an empty string without a deadline
+     * @private
+     */
+    _deadlineText(deadline) {
+        if (!deadline) return '';
+        const t = this.translator;
+        let status = t.t('result.deadline.daysLeft', { days: deadline.daysLeft });
+        if (deadline.daysLeft === 0) status = t.t('result.deadline.today');
+        if (deadline.hasPassed) status = t.t('result.deadline.passed');
+        return `${t.formatDate(deadline.deadline)} ${status}`;
+    }
+
+    /**
+     * @brief                   Shows problems with the file as a whole, replacing earlier ones
+     * @param {string[]} messages The messages (none clears them)
+     * @returns {void}
+     */
+    showFileErrors(messages) {
+        if (!this.errorsEl) return;
+        this.errorsEl.replaceChildren(
+            ...messages.map((message) => {
+                const notification = document.createElement('div');
+                notification.className = 'notification notification--error';
+                notification.setAttribute('role', 'alert');
+                notification.textContent = message;
+                return notification;
+            })
+        );
+    }
+
+    /**
+     * @brief                   Offers a file to the user as a download
+     * @param {string} fileName The suggested file name
+     * @param {string} content  The file content
+     * @param {string} mimeType The file's MIME type
+     * @returns {void}
+     */
+    downloadFile(fileName, content, mimeType) {
+        downloadFile(fileName, content, mimeType, this.errorsEl || document.body);
+    }
+
+    /**
+     * @brief                                                       Attaches a delegated event listener
+     * @param {HTMLElement | null} element                          The element to listen on
+     * @param {string} eventType                                    The type of event (e.g., 'click')
+     * @param {string} selector                                     A CSS selector the event target must match
+     * @param {(event: Event) => void} handler                      The event handler
+     * @returns {void}
+     */
+    on(element, eventType, selector, handler) {
+        if (!element) return;
+        element.addEventListener(eventType, (event) => {
+            const target = event.target;
+            if (target instanceof HTMLElement && target.matches(selector)) handler(event);
+        });
+    }
+}
@@ -1,43 +1,200 @@
-import { formatDate, parseDate } from '../utils/dateUtils.js';
+import { Translator } from '../i18n/Translator.js';
+import { claimField } from '../model/answerChecks.js';
+import { DEFAULT_FLOW, getChosenChoice } from '../model/questionFlow.js';
+import { parseDateInput, parseDateParts, toISODateString } from '../utils/dateUtils.js';
+import { downloadFile } from '../utils/fileUtils.js';
+import { escapeHtml, fillTemplate, isSafeLinkHref } from '../utils/htmlUtils.js';
+
+/**
+ * @typedef {Object} WidgetViewOptions
+ * @property {import('../model/questionFlow.js').QuestionFlow} [flow] The question flow to render.
+ * @property {string} [questionContainerId]   ID of the element the questions are rendered into.
+ * @property {string} [resultId]              ID of the result container.
+ * @property {string} [resultTextId]          ID of the result text element.
+ * @property {string} [summaryId]             ID of the "check your answers" panel, if the markup has one.
+ * @property {string} [progressId]            ID of the progress stepper, if the markup has one.
+ * @property {ParentNode} [root]              Element (or document) every lookup is scoped to. Defaults to the document.
+ * @property {string} [ctaHref]               URL the call-to-action links in the result point to, unless `cta` gives
+ *                                            one for the outcome.
+ * @property {Object.<ResultOutcome, ResultCta | false>} [cta] The call-to-action of each outcome; false removes it.
+ * @property {Object.<ResultOutcome, ResultTemplate>} [resultTemplates] Replaces the title and description of an
+ *                                            outcome; the CTA, deadline, periods and "Why?" section are still added.
+ * @property {(context: ResultContext) => string | Node | void} [renderResult] Renders the whole result instead of
+ *                                            the widget: return HTML or a node, or fill context.element yourself.
+ * @property {string} [locale]                Locale of the messages and dates, e.g. 'en-GB' or 'cy-GB', or 'auto' for the
+ *                                            browser's language.
+ * @property {string} [idPrefix]              Prefix added to the IDs of the rendered questions and inputs, so several
+ *                                            widgets on one page do not share IDs.
+ * @property {'native' | 'text' | 'fields'} [dateInput] How dates are entered: the browser's date picker (default), a
+ *                                            text field accepting DD/MM/YYYY, 31 Mar 2024 or ISO dates, or separate day,
+ *                                            month and year fields.
+ */
+
+/**
+ * @typedef {'pnfRequired' | 'noPnfRequired'} ResultOutcome
+ */
+
+/**
+ * @typedef {Object} ResultCta
+ * @property {string} [href]                  URL the link points to. Defaults to the view's ctaHref.
+ * @property {string} [label]                 Link text, as a message key or literal text. Defaults to the outcome's
+ *                                            `result.<outcome>.cta` message.
+ * @property {string} [target]                Where the link opens, e.g. '_blank' for a new tab.
+ */
+
+/**
+ * @typedef {string | ((context: ResultContext) => string)} ResultTemplate An HTML template whose {placeholders} are
+ *                                            filled with the escaped ResultContext.values, or a function returning
+ *                                            HTML (escape any values it inserts).
+ */
+
+/**
+ * @typedef {Object} ResultContext
+ * @property {ResultOutcome} outcome           Which outcome was reached.
+ * @property {boolean} isPNFRequired          Whether PNF is required.
+ * @property {Date | null} cnpStart           Start of the Claim Notification Period.
+ * @property {Date | null} cnpEnd             End of the Claim Notification Period.
+ * @property {import('../model/ClaimLogic.js').DeadlineStatus | null} deadline The notification deadline.
+ * @property {import('../model/ClaimLogic.js').PeriodOutcome[]} periods The accounting periods.
+ * @property {Date | null} asOf               The date the result was assessed as of, when it is not today.
+ * @property {import('../model/ClaimLogic.js').ReasoningTrace | null} trace Why the outcome was reached.
+ * @property {{href: string, label: string, target: string | null} | null} cta The outcome's call-to-action, or null.
+ * @property {Object.<string, string>} values Placeholder values as text: title, cnpStart, cnpEnd, deadline, daysLeft,
+ *                                            asOf, ctaHref and ctaLabel (empty when not known).
+ * @property {Translator} translator          Translator for the widget's locale.
+ * @property {HTMLElement} element            The element the result is rendered into.
+ */
+
+/**
+ * @typedef {Object} ProgressItem
+ * @property {string} label                             The step's name (or message key).
+ * @property {'complete' | 'current' | 'upcoming'} state Where the user is relative to the step.
+ */
+
+/**
+ * @typedef {Object} DatePartInputs
+ * @property {HTMLInputElement} day
+ * @property {HTMLInputElement} month
+ * @property {HTMLInputElement} year
+ */
 
 export class WidgetView {
-    /** @type {(HTMLElement | null)[]} */
-    questions = [];
+    static NOTIFICATION_SEVERITIES = ['info', 'warning', 'error'];
+    static DATE_INPUT_MODES = ['native', 'text', 'fields'];
+    /** Date shown in the examples of the date hints and errors. */
+    static EXAMPLE_DATE_UTC = new Date(Date.UTC(2024, 2, 31));
+    /** The date inputs of each claim in a claims node, by the PriorClaim property they fill. */
+    static CLAIM_DATE_INPUTS = [
+        { part: 'filingDate', suffix: 'Filing', label: 'label.claimFilingDate', errorMessage: 'error.lastFilingRequired' },
+        { part: 'periodStart', suffix: 'Start', label: 'label.cpStart', errorMessage: 'error.cpStartRequired' },
+        { part: 'periodEnd', suffix: 'End', label: 'label.cpEnd', errorMessage: 'error.cpEndRequired' },
+    ];
+    static SUBMISSION_TYPES = [
+        { value: 'original', label: 'choice.original' },
+        { value: 'amended', label: 'choice.amended' },
+    ];
+
+    /** @type {Object.<string, HTMLElement>} Question containers by flow node ID. */
+    questions = {};
+    /** @type {HTMLElement | null} */
+    questionContainer = null;
     /** @type {HTMLElement | null} */
     resultEl = null;
     /** @type {HTMLElement | null} */
     resultTextEl = null;
-    /** @type {Object.<string, HTMLInputElement | null>} */
+    /** @type {HTMLElement | null} The "check your answers" panel shown before the result. */
+    summaryEl = null;
+    /** @type {HTMLElement | null} The progress stepper. */
+    progressEl = null;
+    /** @type {Object.<string, HTMLInputElement | null>} Date inputs by logical key; the day field in 'fields' mode. */
     inputs = {};
+    /** @type {Object.<string, DatePartInputs>} The day, month and year fields by logical key, in 'fields' mode. */
+    dateParts = {};
+    /** @type {Object.<string, number>} Number of claims shown by claims node ID; one when not set. */
+    claimCounts = {};
+    /** @type {'native' | 'text' | 'fields'} How dates are entered. */
+    dateInputMode;
+    /** @type {HTMLInputElement | null} The optional "assess as of" date field, if the shell has one. */
+    asOfInput = null;
+    /** @type {import('../model/questionFlow.js').QuestionFlow} */
+    flow;
     /** @type {string} */
     resultId;
     /** @type {string} */
     resultTextId;
+    /** @type {ParentNode} */
+    root;
+    /** @type {string} */
+    idPrefix;
+    /** @type {string} */
+    ctaHref;
+    /** @type {Object.<ResultOutcome, ResultCta | false>} */
+    cta;
+    /** @type {Object.<ResultOutcome, ResultTemplate>} */
+    resultTemplates;
+    /** @type {((context: ResultContext) => string | Node | void) | null} */
+    renderResult;
+    /** @type {string} */
+    locale;
+    /** @type {Translator} Looks up the messages of the current locale. */
+    translator;
+    /** @type {((inputKey: string, message: string, messageKey: string) => void) | null} Called when an input is rejected,
+     *  with the message shown and the key it was made from. */
+    onValidationError = null;
+    /** @type {HTMLElement | null} Visually hidden ARIA live region notifications are announced through. */
+    liveRegion = null;
+    /** @type {HTMLElement | null} The question or result panel currently shown. */
+    currentPanel = null;
 
     /**
-     * @brief                                   Constructs a WidgetView instance
+     * @brief                                   Constructs a WidgetView instance and renders the flow's questions
      * @param {WidgetViewOptions} [options={}]  Configuration options for the view.
      */
     constructor({
-        questionIds = ['question1', 'question2', 'question3', 'question4', 'question5'],
+        flow = DEFAULT_FLOW,
+        questionContainerId = 'questionContainer',
         resultId = 'result',
         resultTextId = 'pnfResult',
-        inputIds = {
-            lastFiling: 'lastClaimFilingDate',
-            cpStart: 'cpStartDate',
-            cpEnd: 'cpEndDate',
-        },
+        summaryId = 'summary',
+        progressId = 'progress',
+        root = document,
+        idPrefix = '',
+        ctaHref = '#',
+        cta = {},
+        resultTemplates = {},
+        renderResult = null,
+        locale = 'en-GB',
+        dateInput = 'native',
     } = {}) {
+        this.root = root;
+        this.idPrefix = idPrefix;
+        this.ctaHref = ctaHref;
+        this.cta = cta;
+        this.resultTemplates = resultTemplates;
+        this.renderResult = renderResult;
+        this.translator = new Translator(locale);
+        this.locale = this.translator.locale;
+        this.flow = flow;
         this.resultId = resultId;
         this.resultTextId = resultTextId;
+        this.dateInputMode = WidgetView.DATE_INPUT_MODES.includes(dateInput) ? dateInput : 'native';
+        if (this.dateInputMode !== dateInput)
+            console.warn(`WidgetView: Unknown date input mode '${dateInput}'. The date picker is used instead.`);
 
-        this.questions = questionIds.map((id) => this.qs(`#${id}`));
+        this.questionContainer = this.qs(`#${questionContainerId}`);
         this.resultEl = this.qs(`#${this.resultId}`);
         this.resultTextEl = this.qs(`#${this.resultTextId}`);
+        this.summaryEl = this.qs(`#${summaryId}`);
+        this.progressEl = this.qs(`#${progressId}`);
+        this.asOfInput = /** @type {HTMLInputElement | null} */ (this.qs(`#${idPrefix}asOfDate`));
+        this._applyLanguage();
 
-        for (const [key, id] of Object.entries(inputIds)) {
-            this.inputs[key] = /** @type {HTMLInputElement | null} */ (this.qs(`#${id}`));
-        }
+        if (this.questionContainer) this.renderQuestions();
+        else
+            console.warn(
+                `WidgetView: Question container with ID '${questionContainerId}' not found. No questions can be shown.`
+            );
+        this.liveRegion = this._createLiveRegion();
 
         if (!this.resultEl)
             console.warn(`WidgetView: Result element with ID '${this.resultId}' not found. Results may not be displayed.`);
@@ -48,12 +205,481 @@ export class WidgetView {
     }
 
     /**
-     * @brief                           Query selector helper
+     * @brief                   Generates the markup a widget needs around its questions, for hosts that mount it into an
+     *                          empty container instead of writing the HTML themselves
+     * @param {string} idPrefix Prefix added to every ID, so several widgets on one page do not share IDs
+     * @param {Translator} [translator] Translator for the widget's locale (English by default)
+     * @param {{asOfField?: boolean}} [options] asOfField adds the optional "assess as of" date field, for advisers
+     * @returns {string}        The HTML string for the widget
+     */
+    static generateShellHTML(idPrefix = '', translator = new Translator(), { asOfField = false } = {}) {
+        const text = (key) => `data-i18n="${key}">${escapeHtml(translator.t(key))}`;
+        const asOfId = escapeHtml(`${idPrefix}asOfDate`);
+        const asOfHTML = asOfField
+            ? `
+                    <div class="as-of">
+                        <label for="${asOfId}" class="question__label" ${text('label.asOfDate')}</label>
+                        <input type="date" id="${asOfId}" class="question__input" aria-describedby="${asOfId}Hint ${asOfId}Error" />
+                        <p id="${asOfId}Hint" class="as-of__hint" ${text('hint.asOfDate')}</p>
+                        <div id="${asOfId}Error" class="error-message" data-for-input="${asOfId}"></div>
+                    </div>`
+            : '';
+        return `
+            <div class="container">
+                <h1 class="container__title" ${text('widget.title')}</h1>
+                <p class="container__description" ${text('widget.description')}</p>
+                <nav id="${escapeHtml(idPrefix)}progress" class="progress"></nav>
+
+                <form class="pnf-form">${asOfHTML}
+                    <div id="${escapeHtml(idPrefix)}questionContainer"></div>
+                    <div id="${escapeHtml(idPrefix)}summary" class="summary" tabindex="-1"></div>
+
+                    <div id="${escapeHtml(idPrefix)}result" class="result-output" tabindex="-1">
+                        <p id="${escapeHtml(idPrefix)}pnfResult" class="result-output__text"></p>
+                        <button type="button" class="question__button" data-action="copy-link" ${text('button.copyLink')}</button>
+                        <button type="button" class="question__button" data-action="print-report" ${text('button.printReport')}</button>
+                        <button type="button" class="question__button" data-action="download-report" ${text('button.downloadReport')}</button>
+                        <button type="button" class="question__button question__button--back" data-action="back" ${text('button.back')}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+    }
+
+    /**
+     * @brief                   Switches the messages and date formats to another locale. Questions are rendered again
+     *                          with the dates already typed in kept; call WidgetController.rerender() afterwards to
+     *                          show the current step in the new language.
+     * @param {string} locale   The new locale, or 'auto' for the browser's language
+     * @returns {void}
+     */
+    setLocale(locale) {
+        this.translator = new Translator(locale);
+        this.locale = this.translator.locale;
+        this._applyLanguage();
+
+        const values = Object.keys(this.inputs).map((key) => [key, this._getInputElements(key).map((input) => input.value)]);
+        const checked = this.questionContainer
+            ? [...this.questionContainer.querySelectorAll('input[type="radio"]:checked')].map((radio) => radio.id)
+            : [];
+        this.renderQuestions();
+        values.forEach(([key, inputValues]) =>
+            this._getInputElements(key).forEach((input, index) => (input.value = inputValues[index] ?? ''))
+        );
+        checked.forEach((id) => {
+            const radio = /** @type {HTMLInputElement | null} */ (this.qs(`#${id}`));
+            if (radio) radio.checked = true;
+        });
+    }
+
+    /**
+     * @brief Sets the `lang` attribute of the widget's root and translates the fixed texts marked with `data-i18n`.
+     * @returns {void}
+     * @private
+     */
+    _applyLanguage() {
+        if (this.root instanceof HTMLElement) this.root.lang = this.locale;
+        this.root.querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = this.translator.t(/** @type {HTMLElement} */ (element).dataset.i18n || '');
+        });
+    }
+
+    /**
+     * @brief Renders every node of the flow into the question container and looks up the rendered inputs.
+     * @returns {void}
+     */
+    renderQuestions() {
+        if (!this.questionContainer) return;
+
+        this.questionContainer.innerHTML = this.flow.nodes.map((node) => this._generateQuestionHTML(node)).join('');
+
+        this.questions = {};
+        this.inputs = {};
+        this.dateParts = {};
+        for (const node of this.flow.nodes) {
+            const element = this.qs(`#${this.idPrefix}${node.elementId}`);
+            if (element) this.questions[node.id] = element;
+            (node.inputs || []).forEach((input) => this._registerDateInput(input));
+            if (node.type === 'claims') this._registerClaimInputs(node);
+        }
+    }
+
+    /**
+     * @brief                   Looks up the rendered element, and the day, month and year fields, of a date input
+     * @param {import('../model/questionFlow.js').FlowDateInput} input The input
+     * @returns {void}
+     * @private
+     */
+    _registerDateInput(input) {
+        const inputId = `${this.idPrefix}${input.id}`;
+        this.inputs[input.key] = /** @type {HTMLInputElement | null} */ (this.qs(`#${inputId}`));
+        const month = this.qs(`#${inputId}Month`);
+        const year = this.qs(`#${inputId}Year`);
+        if (this.dateInputMode === 'fields' && this.inputs[input.key] && month && year)
+            this.dateParts[input.key] = {
+                day: this.inputs[input.key],
+                month: /** @type {HTMLInputElement} */ (month),
+                year: /** @type {HTMLInputElement} */ (year),
+            };
+    }
+
+    /**
+     * @brief                   Registers the date inputs of every claim shown in a claims node, replacing those of
+     *                          claims that are no longer shown
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @returns {void}
+     * @private
+     */
+    _registerClaimInputs(node) {
+        Object.keys(this.inputs)
+            .filter((key) => key.startsWith(`${node.field}[`))
+            .forEach((key) => {
+                delete this.inputs[key];
+                delete this.dateParts[key];
+            });
+        for (let index = 0; index < this.getClaimCount(node.id); index++)
+            this.getClaimInputs(node, index).forEach((input) => this._registerDateInput(input));
+    }
+
+    /**
+     * @brief                   Gives the number of claims shown in a claims node
+     * @param {string} nodeId   The claims node's ID
+     * @returns {number}        The number of claims, at least one
+     */
+    getClaimCount(nodeId) {
+        return this.claimCounts[nodeId] || 1;
+    }
+
+    /**
+     * @brief                   Describes the date inputs of one claim in a claims node, as the inputs of a date node.
+     *                          Their keys and fields are the claim's answer fields, e.g. 'claims[0].filingDate'.
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @param {number} index    The claim's position in the list
+     * @returns {Array<import('../model/questionFlow.js').FlowDateInput & {part: string}>} The filing date, period start
+     *                          and period end inputs
+     */
+    getClaimInputs(node, index) {
+        return WidgetView.CLAIM_DATE_INPUTS.map(({ part, suffix, label, errorMessage }) => {
+            const field = claimField(index, part);
+            return { part, key: field, field, id: `${node.elementId}Claim${index}${suffix}`, label, errorMessage };
+        });
+    }
+
+    /**
+     * @brief                   Gives the ID of the submission type group of one claim, which its radio buttons are
+     *                          named after
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @param {number} index    The claim's position in the list
+     * @returns {string}        The ID, with the view's prefix
+     * @private
+     */
+    _claimTypeId(node, index) {
+        return `${this.idPrefix}${node.elementId}Claim${index}Type`;
+    }
+
+    /**
+     * @brief                                                   Generates the HTML for one flow node
+     * @param {import('../model/questionFlow.js').FlowNode} node The node to render
+     * @returns {string}                                        The HTML string for the question
+     * @private
+     */
+    _generateQuestionHTML(node) {
+        const headingId = escapeHtml(`${this.idPrefix}${node.elementId}Heading`);
+        let controls = '';
+        if (node.type === 'choice') {
+            const buttons = (node.choices || [])
+                .map(
+                    (choice) =>
+                        `<button type="button" class="question__button" data-choice="${escapeHtml(choice.value)}">${escapeHtml(
+                            this.translator.t(choice.label)
+                        )}</button>`
+                )
+                .join('');
+            controls = `<div class="question__choices" role="group" aria-labelledby="${headingId}">${buttons}</div>`;
+        }
+        if (node.type === 'date') {
+            controls = (node.inputs || []).map((input) => this._generateDateInputHTML(node, input)).join('');
+        }
+        if (node.type === 'claims') {
+            controls = `
+                <ol class="claims">${this._generateClaimsHTML(node)}</ol>
+                <button type="button" class="question__button question__button--secondary" data-action="add-claim">${escapeHtml(
+                    this.translator.t('button.addClaim')
+                )}</button>`;
+        }
+        if (node.type === 'date' || node.type === 'claims' || node.type === 'info') {
+            controls += `<button type="button" class="question__button" data-action="next">${escapeHtml(
+                this.translator.t(node.nextLabel || 'button.next')
+            )}</button>`;
+        }
+
+        return `
+            <div id="${escapeHtml(`${this.idPrefix}${node.elementId}`)}" class="question" data-node="${escapeHtml(node.id)}">
+                <h2 id="${headingId}" class="question__text" tabindex="-1">${escapeHtml(this.translator.t(node.text))}</h2>
+                ${controls}
+                <button type="button" class="question__button question__button--back" data-action="back">${escapeHtml(
+                    this.translator.t('button.back')
+                )}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * @brief                                                       Generates the HTML for one date input of a date node,
+     *                                                              in the view's date input mode
+     * @param {import('../model/questionFlow.js').FlowNode} node    The date node
+     * @param {import('../model/questionFlow.js').FlowDateInput} input The input
+     * @returns {string}                                            The HTML string for the input and its error message
+     * @private
+     */
+    _generateDateInputHTML(node, input) {
+        const t = this.translator;
+        const inputId = escapeHtml(`${this.idPrefix}${input.id}`);
+        const name = escapeHtml(input.id);
+        const labelText = escapeHtml(t.t(input.label || node.text));
+        const errorHTML = `<div id="${inputId}Error" class="error-message" data-for-input="${inputId}"></div>`;
+
+        if (this.dateInputMode === 'fields') {
+            const example = WidgetView.EXAMPLE_DATE_UTC;
+            const hint = t.html('hint.dateParts', {
+                day: String(example.getUTCDate()),
+                month: String(example.getUTCMonth() + 1),
+                year: String(example.getUTCFullYear()),
+            });
+            const field = (part, suffix, maxLength) => `
+                        <div class="date-fields__item">
+                            <label for="${inputId}${suffix}" class="date-fields__label">${t.html(`label.${part}`)}</label>
+                            <input type="text" inputmode="numeric" autocomplete="off" id="${inputId}${suffix}" name="${name}-${part}"
+                                class="question__input date-fields__input date-fields__input--${part}" maxlength="${maxLength}"
+                                aria-describedby="${inputId}Error" />
+                        </div>`;
+            // The legend repeats the question for screen readers when the input has no label of its own.
+            return `
+                    <fieldset class="date-fields" role="group" aria-describedby="${inputId}Hint">
+                        <legend class="question__label${input.label ? '' : ' visually-hidden'}">${labelText}</legend>
+                        <p id="${inputId}Hint" class="question__hint">${hint}</p>
+                        <div class="date-fields__items">${field('day', '', 2)}${field('month', 'Month', 2)}${field('year', 'Year', 4)}
+                        </div>
+                    </fieldset>
+                    ${errorHTML}`;
+        }
+
+        const label = input.label ? `<label for="${inputId}" class="question__label">${labelText}</label>` : '';
+        if (this.dateInputMode === 'text') {
+            return `
+                    ${label}
+                    <p id="${inputId}Hint" class="question__hint">${t.html('hint.dateExample', {
+                        example: escapeHtml(t.formatDate(WidgetView.EXAMPLE_DATE_UTC)),
+                    })}</p>
+                    <input type="text" autocomplete="off" id="${inputId}" name="${name}" class="question__input"
+                        aria-describedby="${inputId}Hint ${inputId}Error"${input.label ? '' : ` aria-label="${labelText}"`} />
+                    ${errorHTML}`;
+        }
+        // Browsers without a date picker show a text field; parseDateInput accepts what people type there too.
+        return `
+                    ${label}
+                    <input type="date" id="${inputId}" name="${name}" class="question__input" aria-describedby="${inputId}Error"${
+                        input.label ? '' : ` aria-label="${labelText}"`
+                    } />
+                    ${errorHTML}`;
+    }
+
+    /**
+     * @brief                   Generates the HTML for the claims shown in a claims node: for each one the filing date,
+     *                          the period dates, whether it was an original or amended return and, when there is more
+     *                          than one claim, a Remove button
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @returns {string}        The HTML string for the list items
+     * @private
+     */
+    _generateClaimsHTML(node) {
+        const t = this.translator;
+        const count = this.getClaimCount(node.id);
+        return Array.from({ length: count }, (_, index) => {
+            const number = String(index + 1);
+            const typeId = escapeHtml(this._claimTypeId(node, index));
+            const radios = WidgetView.SUBMISSION_TYPES.map(
+                ({ value, label }) => `
+                            <label class="claims__choice">
+                                <input type="radio" id="${typeId}${escapeHtml(value)}" name="${typeId}" value="${escapeHtml(
+                                    value
+                                )}" aria-describedby="${typeId}Error" />
+                                ${t.html(label)}
+                            </label>`
+            ).join('');
+            const removeHTML =
+                count > 1
+                    ? `<button type="button" class="claims__remove" data-action="remove-claim" data-claim-index="${index}" aria-label="${escapeHtml(
+                          t.t('button.removeClaimLabel', { number })
+                      )}">${t.html('button.removeClaim')}</button>`
+                    : '';
+            return `
+                <li class="claims__item">
+                    <fieldset class="claims__claim">
+                        <legend class="claims__title">${t.html('label.claimNumber', { number })}</legend>
+                        ${this.getClaimInputs(node, index)
+                            .map((input) => this._generateDateInputHTML(node, input))
+                            .join('')}
+                        <fieldset id="${typeId}" class="claims__type">
+                            <legend class="question__label">${t.html('label.submissionType')}</legend>${radios}
+                        </fieldset>
+                        <div id="${typeId}Error" class="error-message" data-for-input="${typeId}"></div>
+                        ${removeHTML}
+                    </fieldset>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * @brief                   Shows a number of claims in a claims node, with the values given. The claims' inputs
+     *                          are rendered again, so values not given are cleared.
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @param {Array<{dates: string[][], type: string | null}>} rows The raw values of each claim, as read by
+     *                          _readClaimRows
+     * @returns {void}
+     * @private
+     */
+    _renderClaims(node, rows) {
+        const list = this.questions[node.id] && this.questions[node.id].querySelector('.claims');
+        if (!list) return;
+
+        this.claimCounts[node.id] = Math.max(1, rows.length);
+        list.innerHTML = this._generateClaimsHTML(node);
+        this._registerClaimInputs(node);
+
+        rows.forEach((row, index) => {
+            this.getClaimInputs(node, index).forEach((input, position) =>
+                this._getInputElements(input.key).forEach(
+                    (element, part) => (element.value = (row.dates[position] || [])[part] ?? '')
+                )
+            );
+            const radio = /** @type {HTMLInputElement | null} */ (
+                row.type ? this.qs(`#${this._claimTypeId(node, index)}${row.type}`) : null
+            );
+            if (radio) radio.checked = true;
+        });
+    }
+
+    /**
+     * @brief                   Reads the raw values of the claims shown in a claims node, so they can be shown again
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @returns {Array<{dates: string[][], type: string | null}>} For each claim, the values of the elements of each
+     *                          date input and the chosen submission type
+     * @private
+     */
+    _readClaimRows(node) {
+        return Array.from({ length: this.getClaimCount(node.id) }, (_, index) => {
+            const checked = /** @type {HTMLInputElement | null} */ (
+                this.qs(`input[name="${this._claimTypeId(node, index)}"]:checked`)
+            );
+            return {
+                dates: this.getClaimInputs(node, index).map((input) =>
+                    this._getInputElements(input.key).map((element) => element.value)
+                ),
+                type: checked ? checked.value : null,
+            };
+        });
+    }
+
+    /**
+     * @brief                   Shows a claim history in a claims node, or one empty claim if there is none
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @param {import('../model/ClaimLogic.js').PriorClaim[]} claims The claims (UTC dates)
+     * @returns {void}
+     */
+    setClaims(node, claims) {
+        this._renderClaims(
+            node,
+            claims.map((claim) => ({ dates: [], type: claim.submissionType || null }))
+        );
+        claims.forEach((claim, index) =>
+            this.getClaimInputs(node, index).forEach((input) => this.setDateInputValue(input.key, claim[input.part] || null))
+        );
+    }
+
+    /**
+     * @brief                   Adds an empty claim to the end of a claims node and moves the focus to it
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @returns {void}
+     */
+    addClaim(node) {
+        const rows = this._readClaimRows(node);
+        this._renderClaims(node, [...rows, { dates: [], type: null }]);
+        const [firstInput] = this.getClaimInputs(node, rows.length);
+        if (this.inputs[firstInput.key]) this.inputs[firstInput.key].focus();
+    }
+
+    /**
+     * @brief                   Removes a claim from a claims node, keeping the values of the others, and moves the
+     *                          focus to the claim that took its place (or the new last claim)
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @param {number} index    The claim's position in the list
+     * @returns {void}
+     */
+    removeClaim(node, index) {
+        const rows = this._readClaimRows(node);
+        if (rows.length <= 1 || !rows[index]) return;
+
+        rows.splice(index, 1);
+        this._renderClaims(node, rows);
+        this.announce(this.translator.t('notice.claimRemoved', { number: String(index + 1) }), 'info');
+        const [firstInput] = this.getClaimInputs(node, Math.min(index, rows.length - 1));
+        if (this.inputs[firstInput.key]) this.inputs[firstInput.key].focus();
+    }
+
+    /**
+     * @brief                   Reads every claim of a claims node, showing an error next to each value that is
+     *                          missing or invalid
+     * @param {import('../model/questionFlow.js').FlowNode} node The claims node
+     * @returns {Array<{filingDate: Date, periodStart: Date, periodEnd: Date, submissionType: string}> | null} The
+     *                          claims with local Dates, or null if any value is missing or invalid
+     */
+    readClaims(node) {
+        const claims = [];
+        let isComplete = true;
+        for (let index = 0; index < this.getClaimCount(node.id); index++) {
+            const claim = {};
+            for (const input of this.getClaimInputs(node, index)) {
+                claim[input.part] = this.requireDateInput(input.key, input.errorMessage);
+                if (!claim[input.part]) isComplete = false;
+            }
+
+            const typeId = this._claimTypeId(node, index);
+            const errorSpan = this._findErrorSpan(typeId);
+            this._clearError(errorSpan);
+            const checked = /** @type {HTMLInputElement | null} */ (this.qs(`input[name="${typeId}"]:checked`));
+            if (checked) {
+                claim.submissionType = checked.value;
+            } else {
+                const message = this.translator.t('error.submissionTypeRequired');
+                this._displayError(errorSpan, message);
+                if (this.onValidationError)
+                    this.onValidationError(claimField(index, 'submissionType'), message, 'error.submissionTypeRequired');
+                isComplete = false;
+            }
+            claims.push(claim);
+        }
+        return isComplete ? claims : null;
+    }
+
+    /**
+     * @brief                       Finds the flow node a question element belongs to
+     * @param {EventTarget | null} target An element inside a rendered question
+     * @returns {string | null}     The node ID, or null if the element is not inside a question
+     */
+    getNodeIdFor(target) {
+        if (!(target instanceof HTMLElement)) return null;
+        const question = /** @type {HTMLElement | null} */ (target.closest('[data-node]'));
+        return question ? question.dataset.node || null : null;
+    }
+
+    /**
+     * @brief                           Query selector helper, scoped to the widget's root
      * @param {string} selector         The CSS selector
      * @returns {HTMLElement | null}    The found element or null
      */
     qs(selector) {
-        return document.querySelector(selector);
+        return this.root.querySelector(selector);
     }
 
     /**
@@ -81,15 +707,17 @@ export class WidgetView {
     }
 
     /**
-     * @brief                   Shows a specific question by index and hides others, including the result panel
-     * @param {number} index    The index of the question to show
+     * @brief                   Shows a specific question and hides others, including the result panel
+     * @param {string} nodeId   The flow node ID of the question to show
      * @returns {void}
      */
-    showQuestion(index) {
+    showQuestion(nodeId) {
         this.hideAllQuestions();
         if (this.resultEl) this.hideElement(this.resultEl);
 
-        const questionElement = this.questions[index];
+        const questionElement = this.questions[nodeId];
+        this.currentPanel = questionElement || null;
+        this.clearNotifications();
         if (questionElement) {
             questionElement.classList.add('active');
             this.showElement(questionElement);
@@ -97,16 +725,138 @@ export class WidgetView {
     }
 
     /**
-     * @brief Hides all question containers
+     * @brief Moves the focus to the heading of the question shown, or to the result panel, so screen readers read the
+     *        new step out after the user has moved on.
+     * @returns {void}
+     */
+    focusCurrentPanel() {
+        if (!this.currentPanel) return;
+        const heading = /** @type {HTMLElement | null} */ (this.currentPanel.querySelector('.question__text'));
+        (heading || this.currentPanel).focus();
+    }
+
+    /**
+     * @brief Hides all question containers and the answer summary
      * @returns {void}
      */
     hideAllQuestions() {
-        this.questions.forEach((q) => {
+        Object.values(this.questions).forEach((q) => {
             if (q) {
                 q.classList.remove('active');
                 this.hideElement(q);
             }
         });
+        this.hideElement(this.summaryEl);
+    }
+
+    /**
+     * @brief                   Shows the "check your answers" summary: each answered question with its answer and a
+     *                          Change button, and a button to go on to the result
+     * @param {string[]} nodeIds The answered nodes to list, in the order they were asked
+     * @param {Object.<string, *>} answers Answers by field name
+     * @returns {void}
+     */
+    showSummary(nodeIds, answers) {
+        if (!this.summaryEl) return;
+        this.hideAllQuestions();
+        if (this.resultEl) this.hideElement(this.resultEl);
+        this.currentPanel = this.summaryEl;
+        this.clearNotifications();
+
+        const t = this.translator;
+        const rows = nodeIds
+            .map((nodeId) => this.flow.nodes.find((node) => node.id === nodeId))
+            .filter(Boolean)
+            .map((node) => {
+                const question = t.t(node.text);
+                return `
+                    <div class="summary__row">
+                        <dt class="summary__question">${escapeHtml(question)}</dt>
+                        <dd class="summary__answer">${this._summaryAnswerHTML(node, answers)}</dd>
+                        <dd class="summary__action">
+                            <button type="button" class="summary__change" data-action="change" data-step="${escapeHtml(
+                                node.id
+                            )}" aria-label="${escapeHtml(t.t('summary.changeLabel', { question }))}">${t.html(
+                                'button.change'
+                            )}</button>
+                        </dd>
+                    </div>`;
+            })
+            .join('');
+
+        this.summaryEl.innerHTML = `
+            <h2 class="question__text summary__title" tabindex="-1">${t.html('summary.title')}</h2>
+            <dl class="summary__list">${rows}
+            </dl>
+            <button type="button" class="question__button" data-action="confirm-answers">${t.html(
+                'button.confirmAnswers'
+            )}</button>
+            <button type="button" class="question__button question__button--back" data-action="back">${t.html(
+                'button.back'
+            )}</button>
+        `;
+        this.showElement(this.summaryEl);
+    }
+
+    /**
+     * @brief                   Gives a node's answer as shown in the summary: the chosen button's label, or the dates
+     * @param {import('../model/questionFlow.js').FlowNode} node The answered node
+     * @param {Object.<string, *>} answers Answers by field name
+     * @returns {string}        The HTML string for the answer
+     * @private
+     */
+    _summaryAnswerHTML(node, answers) {
+        const t = this.translator;
+        if (node.type === 'choice') {
+            const choice = getChosenChoice(node, answers);
+            return choice ? t.html(choice.label) : escapeHtml(answers[node.field]);
+        }
+        if (node.type === 'claims') {
+            const items = (answers[node.field] || []).map((claim) => `<li>${this._claimHTML(claim)}</li>`).join('');
+            return `<ol class="summary__claims">${items}</ol>`;
+        }
+        return (node.inputs || [])
+            .map((input) => {
+                const date = answers[input.field] ? this._dateHTML(answers[input.field]) : '';
+                return input.label ? `${t.html(input.label)}: ${date}` : date;
+            })
+            .join('<br />');
+    }
+
+    /**
+     * @brief                   Describes one claim of a claim history
+     * @param {import('../model/ClaimLogic.js').PriorClaim} claim The claim
+     * @returns {string}        The HTML string for the claim
+     * @private
+     */
+    _claimHTML(claim) {
+        const type = WidgetView.SUBMISSION_TYPES.find(({ value }) => value === claim.submissionType);
+        return this.translator.html('summary.claim', {
+            filingDate: this._dateHTML(claim.filingDate),
+            periodStart: this._dateHTML(claim.periodStart),
+            periodEnd: this._dateHTML(claim.periodEnd),
+            submissionType: type ? this.translator.html(type.label) : escapeHtml(claim.submissionType),
+        });
+    }
+
+    /**
+     * @brief                       Shows where the user is in the flow, as a list of the steps on their path
+     * @param {ProgressItem[]} items The steps, in order
+     * @returns {void}
+     */
+    renderProgress(items) {
+        if (!this.progressEl) return;
+        const t = this.translator;
+
+        this.progressEl.setAttribute('aria-label', t.t('progress.label'));
+        this.progressEl.innerHTML = `<ol class="progress__steps">${items
+            .map(
+                (item) =>
+                    `<li class="progress__step progress__step--${item.state}"${
+                        item.state === 'current' ? ' aria-current="step"' : ''
+                    }>${t.html(item.label)}</li>`
+            )
+            .join('')}</ol>`;
     }
 
     /**
@@ -114,10 +864,25 @@ export class WidgetView {
      * @param {boolean} isPNFRequired           Whether PNF is required.
      * @param {Date | null} [nextClaimPeriod]   (Optional) The start date of the next claim period.
      * @param {Date | null} [endOfCNP]          (Optional) The end date of the Claim Notification Period.
+     * @param {import('../model/ClaimLogic.js').ReasoningTrace | null} [trace] (Optional) Why the outcome was reached.
+     * @param {import('../model/ClaimLogic.js').DeadlineStatus | null} [deadline] (Optional) The notification deadline.
+     * @param {import('../model/ClaimLogic.js').PeriodOutcome[] | null} [periods] (Optional) The accounting periods,
+     *                                          listed when there is more than one.
+     * @param {Date | null} [asOf]              (Optional) The date the result was assessed as of, when it is not today.
      * @returns {void}
      */
-    showResult(isPNFRequired, nextClaimPeriod = null, endOfCNP = null) {
+    showResult(
+        isPNFRequired,
+        nextClaimPeriod = null,
+        endOfCNP = null,
+        trace = null,
+        deadline = null,
+        periods = null,
+        asOf = null
+    ) {
         this.hideAllQuestions();
+        this.currentPanel = this.resultEl;
+        this.clearNotifications();
 
         if (!this.resultTextEl && this.resultEl) {
             console.warn(
@@ -139,40 +904,170 @@ export class WidgetView {
         }
 
         this.resultEl.classList.remove('result-output--danger', 'result-output--success');
+        if (isPNFRequired === true) this.resultEl.classList.add('result-output--danger');
+        if (isPNFRequired === false) this.resultEl.classList.add('result-output--success');
 
-        let html = '';
-        if (isPNFRequired === true) {
-            this.resultEl.classList.add('result-output--danger');
-            html = this._generatePNFRequiredHTML(nextClaimPeriod, endOfCNP);
-        }
-        if (isPNFRequired === false) {
-            this.resultEl.classList.add('result-output--success');
-            html = this._generateNoPNFRequiredHTML();
+        const context = this._buildResultContext(isPNFRequired, nextClaimPeriod, endOfCNP, trace, deadline, periods, asOf);
+        this.announce(this._describeResult(context), 'info');
+        if (this.renderResult && this._renderCustomResult(context)) {
+            this.showElement(this.resultEl);
+            return;
         }
 
+        let html = '';
+        const template = this.resultTemplates[context.outcome];
+        if (template) html = this._generateTemplateHTML(template, context);
+        if (!html && isPNFRequired === true) html = this._generatePNFRequiredHTML(nextClaimPeriod, endOfCNP, deadline);
+        if (!html && isPNFRequired === false) html = this._generateNoPNFRequiredHTML();
+        if (asOf)
+            html += `<p class="result-output__as-of">${this.translator.html('result.asOf', { date: this._dateHTML(asOf) })}</p>`;
+        if (periods && periods.length > 1) html += this._generatePeriodsHTML(periods);
+        if (trace) html += this._generateTraceHTML(trace);
+
         this.resultTextEl.innerHTML = html;
         this.showElement(this.resultEl);
     }
 
+    /**
+     * @brief                                   Collects what a result template or custom renderer needs
+     * @param {boolean} isPNFRequired           Whether PNF is required.
+     * @param {Date | null} cnpStart            The start date of the next claim period.
+     * @param {Date | null} cnpEnd              The end date of the Claim Notification Period.
+     * @param {import('../model/ClaimLogic.js').ReasoningTrace | null} trace Why the outcome was reached.
+     * @param {import('../model/ClaimLogic.js').DeadlineStatus | null} deadline The notification deadline.
+     * @param {import('../model/ClaimLogic.js').PeriodOutcome[] | null} periods The accounting periods.
+     * @param {Date | null} asOf                The date the result was assessed as of.
+     * @returns {ResultContext}                 The context
+     * @private
+     */
+    _buildResultContext(isPNFRequired, cnpStart, cnpEnd, trace, deadline, periods, asOf) {
+        const t = this.translator;
+        /** @type {ResultOutcome} */
+        const outcome = isPNFRequired ? 'pnfRequired' : 'noPnfRequired';
+        const cta = this._resolveCta(outcome);
+        const formatDate = (date) => (date ? t.formatDate(date) : '');
+
+        return {
+            outcome,
+            isPNFRequired: !!isPNFRequired,
+            cnpStart,
+            cnpEnd,
+            deadline,
+            periods: periods || [],
+            asOf,
+            trace,
+            cta,
+            values: {
+                title: t.t(`result.${outcome}.title`),
+                cnpStart: formatDate(cnpStart),
+                cnpEnd: formatDate(cnpEnd),
+                deadline: deadline ? formatDate(deadline.deadline) : '',
+                daysLeft: deadline ? String(deadline.daysLeft) : '',
+                asOf: formatDate(asOf),
+                ctaHref: cta ? cta.href : '',
+                ctaLabel: cta ? cta.label : '',
+            },
+            translator: t,
+            element: /** @type {HTMLElement} */ (this.resultTextEl),
+        };
+    }
+
+    /**
+     * @brief                       Works out an outcome's call-to-action from the cta option and the defaults
+     * @param {ResultOutcome} outcome The outcome
+     * @returns {{href: string, label: string, target: string | null} | null} The link, with its label as text, or
+     *                              null if the outcome has none or its href is not an http(s), mailto or relative URL
+     * @private
+     */
+    _resolveCta(outcome) {
+        const option = this.cta ? this.cta[outcome] : undefined;
+        if (option === false) return null;
+
+        const { href = this.ctaHref, label = `result.${outcome}.cta`, target = null } = option || {};
+        if (!isSafeLinkHref(href)) {
+            console.error('WidgetView: Dropping a call-to-action link that is not an http(s), mailto or relative URL.', {
+                outcome,
+                href,
+            });
+            return null;
+        }
+        return { href, label: this.translator.t(label), target };
+    }
+
+    /**
+     * @brief                   Generates the call-to-action link of a result
+     * @param {ResultContext['cta']} cta The resolved call-to-action
+     * @returns {string}        The HTML string for the link, or an empty string without one
+     * @private
+     */
+    _generateCtaHTML(cta) {
+        if (!cta) return '';
+        // A page opened in another tab must not be able to navigate this one.
+        const target = cta.target ? ` target="${escapeHtml(cta.target)}" rel="noopener noreferrer"` : '';
+        return `<a href="${escapeHtml(cta.href)}" class="container__button"${target}>${escapeHtml(cta.label)}</a>`;
+    }
+
+    /**
+     * @brief                       Generates a result from the host's template for the outcome
+     * @param {ResultTemplate} template The template or render callback
+     * @param {ResultContext} context What the template can show
+     * @returns {string}            The HTML string, or an empty string if the callback failed
+     * @private
+     */
+    _generateTemplateHTML(template, context) {
+        let content;
+        try {
+            content = typeof template === 'function' ? template(context) : fillTemplate(String(template), context.values);
+        } catch (error) {
+            console.error(`WidgetView: The ${context.outcome} result template threw an error. The default is shown.`, error);
+            return '';
+        }
+
+        const cta = context.cta ? `<div class="result-output__cta">${this._generateCtaHTML(context.cta)}</div>` : '';
+        const deadline = context.deadline ? this._generateDeadlineHTML(context.deadline) : '';
+        return `<div class="result-output__content">${content}</div>${cta}${deadline}`;
+    }
+
+    /**
+     * @brief                       Hands the result to the host's renderResult callback
+     * @param {ResultContext} context What the renderer can show
+     * @returns {boolean}           True if the host rendered the result, false if the callback failed
+     * @private
+     */
+    _renderCustomResult(context) {
+        const element = context.element;
+        element.replaceChildren();
+        try {
+            const content = this.renderResult(context);
+            if (typeof content === 'string') element.innerHTML = content;
+            else if (content && typeof Node !== 'undefined' && content instanceof Node) element.replaceChildren(content);
+            return true;
+        } catch (error) {
+            console.error('WidgetView: The renderResult callback threw an error. The default result is shown.', error);
+            return false;
+        }
+    }
+
     /**
      * @brief                               Generates the HTML for the "PNF Required" result.
      * @param {Date | null} nextClaimPeriod The start date of the next claim period.
      * @param {Date | null} endOfCNP        The end date of the Claim Notification Period.
+     * @param {import('../model/ClaimLogic.js').DeadlineStatus | null} deadline The notification deadline, if known.
      * @returns {string}                    The HTML string for the result.
      * @private
      */
-    _generatePNFRequiredHTML(nextClaimPeriod, endOfCNP) {
-        const title = 'PNF Required.';
-        let descContent = 'You will need to prenotify HMRC for your next R&D claim.';
+    _generatePNFRequiredHTML(nextClaimPeriod, endOfCNP, deadline) {
+        const title = this.translator.html('result.pnfRequired.title');
+        let descContent = this.translator.html('result.pnfRequired.desc');
 
         if (nextClaimPeriod && endOfCNP) {
-            descContent += ` For <span class="result-output__date">${formatDate(
-                nextClaimPeriod
-            )}</span>, you need to submit the prenotification form by <span class="result-output__date">${formatDate(
-                endOfCNP
-            )}</span>.`;
+            descContent += ` ${this.translator.html('result.pnfRequired.deadline', {
+                cnpStart: this._dateHTML(nextClaimPeriod),
+                cnpEnd: this._dateHTML(endOfCNP),
+            })}`;
         }
-        descContent += ' <a href="#" class="container__button">Click here to use our handy tool!</a>';
+        const cta = this._generateCtaHTML(this._resolveCta('pnfRequired'));
+        if (cta) descContent += ` ${cta}`;
 
         return `
             <div class="result-output__title-container">
@@ -181,6 +1076,94 @@ export class WidgetView {
             <div class="result-output__desc-container">
                 <span class="result-output__desc">${descContent}</span>
             </div>
+            ${deadline ? this._generateDeadlineHTML(deadline) : ''}
+        `;
+    }
+
+    /**
+     * @brief                   Generates the action plan for the notification deadline: the last day, the days left
+     *                          and, while it has not passed, a button to add it to a calendar.
+     * @param {import('../model/ClaimLogic.js').DeadlineStatus} deadline The notification deadline.
+     * @returns {string}        The HTML string for the deadline.
+     * @private
+     */
+    _generateDeadlineHTML(deadline) {
+        const t = this.translator;
+        const status = this._deadlineStatusHTML(deadline);
+        const calendarButton = deadline.hasPassed
+            ? ''
+            : `<button type="button" class="question__button" data-action="download-calendar">${t.html(
+                  'button.addToCalendar'
+              )}</button>`;
+
+        return `
+            <div class="result-output__deadline${deadline.hasPassed ? ' result-output__deadline--passed' : ''}">
+                <p>${t.html('result.deadline.lastDay', { deadline: this._dateHTML(deadline.deadline) })} ${status}</p>
+                ${calendarButton}
+            </div>
+        `;
+    }
+
+    /**
+     * @brief                   Describes how long is left until a deadline
+     * @param {import('../model/ClaimLogic.js').DeadlineStatus} deadline The notification deadline.
+     * @returns {string}        The HTML string: the days left, or that the deadline is today or has passed.
+     * @private
+     */
+    _deadlineStatusHTML(deadline) {
+        const t = this.translator;
+        if (deadline.hasPassed) return t.html('result.deadline.passed');
+        if (deadline.daysLeft === 0) return t.html('result.deadline.today');
+        return t.html('result.deadline.daysLeft', { days: escapeHtml(deadline.daysLeft) });
+    }
+
+    /**
+     * @brief                   Sums up a result in plain text for the live region: the outcome and, when there is
+     *                          one, the deadline and how long is left
+     * @param {ResultContext} context The result
+     * @returns {string}        The text to announce
+     * @private
+     */
+    _describeResult({ values, deadline }) {
+        const t = this.translator;
+        if (!deadline) return values.title;
+
+        let status = t.t('result.deadline.daysLeft', { days: deadline.daysLeft });
+        if (deadline.hasPassed) status = t.t('result.deadline.passed');
+        else if (deadline.daysLeft === 0) status = t.t('result.deadline.today');
+        return `${values.title} ${t.t('result.deadline.lastDay', { deadline: deadline.deadline })} ${status}`;
+    }
+
+    /**
+     * @brief                           Lists the accounting periods a long period of account is split into, each with its
+     *                                  own outcome and notification window.
+     * @param {import('../model/ClaimLogic.js').PeriodOutcome[]} periods The accounting periods.
+     * @returns {string}                The HTML string for the list.
+     * @private
+     */
+    _generatePeriodsHTML(periods) {
+        const t = this.translator;
+        const items = periods
+            .map((period) => {
+                const outcome = t.html(period.isPNFRequired ? 'batch.outcome.pnfRequired' : 'batch.outcome.noPnfRequired');
+                const window = t.html('result.periods.window', {
+                    cnpStart: this._dateHTML(period.cnpStart),
+                    cnpEnd: this._dateHTML(period.cnpEnd),
+                });
+                const deadline = period.deadline ? ` ${this._deadlineStatusHTML(period.deadline)}` : '';
+                return `<li>${t.html('result.periods.item', {
+                    start: this._dateHTML(period.periodStart),
+                    end: this._dateHTML(period.periodEnd),
+                    outcome,
+                })} ${window}${deadline}</li>`;
+            })
+            .join('');
+
+        return `
+            <div class="result-output__periods">
+                <p>${t.html('result.periods.intro')}</p>
+                <ul>${items}</ul>
+            </div>
         `;
     }
 
@@ -190,9 +1173,9 @@ export class WidgetView {
      * @private
      */
     _generateNoPNFRequiredHTML() {
-        const title = 'No PNF Required.';
-        const descContent =
-            'You do not need to submit a prenotification form to HMRC for your next claim. However, if you would like to anyway <a href="#" class="container__button">you can use our tool here!</a>';
+        const title = this.translator.html('result.noPnfRequired.title');
+        const cta = this._generateCtaHTML(this._resolveCta('noPnfRequired'));
+        const descContent = `${this.translator.html('result.noPnfRequired.desc')}${cta ? ` ${cta}` : ''}`;
 
         return `
             <div class="result-output__title-container">
@@ -204,26 +1187,237 @@ export class WidgetView {
         `;
     }
 
+    /**
+     * @brief                                                       Generates the collapsible "Why?" section for a result.
+     * @param {import('../model/ClaimLogic.js').ReasoningTrace} trace Why the outcome was reached.
+     * @param {boolean} [open=false]                                Whether the section starts expanded.
+     * @returns {string}                                            The HTML string for the reasoning trace.
+     * @private
+     */
+    _generateTraceHTML(trace, open = false) {
+        const t = this.translator;
+        const dateKeys = ['lastFilingDate', 'cnpEnd', 'lookBackStart', 'april2023Cutoff'];
+
+        const dateItems = dateKeys
+            .filter((key) => trace.dates[key])
+            .map((key) => `<li>${t.html(`trace.date.${key}`)}: ${this._dateHTML(trace.dates[key])}</li>`)
+            .join('');
+
+        const comparisonItems = trace.comparisons
+            .map((comparison, index) => {
+                const decisive = index === trace.comparisons.length - 1 ? ' result-output__check--decisive' : '';
+                const checkKey = `trace.check.${comparison.check}`;
+                const description = t.has(checkKey) ? t.html(checkKey) : escapeHtml(comparison.description);
+                const detail =
+                    comparison.left && comparison.right
+                        ? ` (${escapeHtml(t.formatDate(comparison.left))} ${t.html(
+                              `trace.operator.${comparison.operator}`
+                          )} ${escapeHtml(t.formatDate(comparison.right))})`
+                        : '';
+                return `<li class="result-output__check${decisive}">${description}${detail}: ${t.html(
+                    comparison.holds ? 'trace.yes' : 'trace.no'
+                )}</li>`;
+            })
+            .join('');
+
+        const ruleKey = `trace.rule.${trace.rule}`;
+        const claimHTML =
+            trace.claimIndex !== undefined
+                ? `<p>${t.html('trace.decidingClaim', {
+                      number: String(trace.claimIndex + 1),
+                      filingDate: this._dateHTML(trace.dates.lastFilingDate),
+                  })}</p>`
+                : '';
+        return `
+            <details class="result-output__why"${open ? ' open' : ''}>
+                <summary>${t.html('trace.why')}</summary>
+                <p>${t.has(ruleKey) ? t.html(ruleKey) : escapeHtml(trace.summary)}</p>${claimHTML}
+                <ul>${dateItems}</ul>
+                <ul>${comparisonItems}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * @brief                   Generates a print-ready HTML document of a determination report
+     * @param {import('../model/determinationReport.js').DeterminationReport} report The report
+     * @returns {string}        The HTML document
+     */
+    generateReportDocument(report) {
+        const t = this.translator;
+        const { outcome } = report;
+
+        const rows = report.questions
+            .map((item) => `<tr><td>${escapeHtml(item.question)}</td><td>${escapeHtml(item.answer)}</td></tr>`)
+            .join('');
+        const details = [
+            outcome.cnpStart && outcome.cnpEnd
+                ? `${t.html('batch.column.cnp')}: ${t.html('batch.cnpRange', {
+                      cnpStart: this._dateHTML(outcome.cnpStart),
+                      cnpEnd: this._dateHTML(outcome.cnpEnd),
+                  })}`
+                : '',
+            outcome.deadline
+                ? `${t.html('result.deadline.lastDay', { deadline: this._dateHTML(outcome.deadline.deadline) })} ${this._deadlineStatusHTML(outcome.deadline)}`
+                : '',
+            outcome.asOf ? t.html('result.asOf', { date: this._dateHTML(outcome.asOf) }) : '',
+        ]
+            .filter(Boolean)
+            .map((line) => `<p>${line}</p>`)
+            .join('');
+
+        return `<!doctype html>
+<html lang="${escapeHtml(report.locale)}">
+    <head>
+        <meta charset="UTF-8" />
+        <title>${t.html('report.title')}</title>
+        <style>
+            body { font-family: system-ui, sans-serif; font-size: 11pt; color: #000; margin: 2cm; }
+            h1 { font-size: 16pt; } h2 { font-size: 13pt; margin-top: 1.5em; }
+            table { border-collapse: collapse; width: 100%; }
+            th, td { border: 1px solid #666; padding: 4pt 6pt; text-align: left; vertical-align: top; }
+            tr { break-inside: avoid; }
+            summary { font-weight: bold; list-style: none; }
+            @page { margin: 1.5cm; }
+            @media print { body { margin: 0; } }
+        </style>
+    </head>
+    <body>
+        <h1>${t.html('report.title')}</h1>
+        <p>${t.html('report.generatedAt', { timestamp: escapeHtml(report.generatedAt) })}<br />
+            ${t.html('report.engineVersion', { version: escapeHtml(report.engineVersion) })}</p>
+
+        <h2>${t.html('report.outcome')}</h2>
+        <p><strong>${t.html(outcome.isPNFRequired ? 'result.pnfRequired.title' : 'result.noPnfRequired.title')}</strong></p>
+        ${details}
+        ${outcome.periods && outcome.periods.length > 1 ? this._generatePeriodsHTML(outcome.periods) : ''}
+        ${outcome.trace ? this._generateTraceHTML(outcome.trace, true) : ''}
+
+        <h2>${t.html('report.questions')}</h2>
+        <table>
+            <thead><tr><th scope="col">${t.html('report.column.question')}</th><th scope="col">${t.html('report.column.answer')}</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    </body>
+</html>
+`;
+    }
+
+    /**
+     * @brief                   Opens the browser's print dialog for an HTML document, from which it can also be saved
+     *                          as PDF. The document is printed from a hidden frame, so the page itself is not changed.
+     * @param {string} html     The HTML document
+     * @returns {void}
+     */
+    printDocument(html) {
+        const frame = document.createElement('iframe');
+        frame.hidden = true;
+        frame.setAttribute('aria-hidden', 'true');
+        frame.addEventListener('load', () => {
+            const frameWindow = frame.contentWindow;
+            if (!frameWindow) return;
+            frameWindow.addEventListener('afterprint', () => frame.remove());
+            frameWindow.focus();
+            frameWindow.print();
+        });
+        frame.srcdoc = html;
+        (this.resultEl || document.body).appendChild(frame);
+    }
+
+    /**
+     * @brief               Formats a date for the result panel
+     * @param {Date} date   The UTC date
+     * @returns {string}    The HTML for the date
+     * @private
+     */
+    _dateHTML(date) {
+        return `<span class="result-output__date">${escapeHtml(this.translator.formatDate(date))}</span>`;
+    }
+
     /**
      * @brief                       Clears the values of specified input fields
      * @param {string[]} inputKeys  Logical names of the input fields to reset
      * @returns {void}
      */
     resetInputs(inputKeys) {
-        inputKeys.forEach((key) => {
-            const input = this.inputs[key];
-            if (input) input.value = '';
-        });
+        inputKeys.forEach((key) => this._getInputElements(key).forEach((input) => (input.value = '')));
+    }
+
+    /**
+     * @brief                       Gives the elements a date is entered in
+     * @param {string} inputKey     The logical key for the input
+     * @returns {HTMLInputElement[]} The day, month and year fields in 'fields' mode, otherwise the one input (none if
+     *                              it was not found)
+     * @private
+     */
+    _getInputElements(inputKey) {
+        const parts = this.dateParts[inputKey];
+        if (parts) return [parts.day, parts.month, parts.year];
+        return this.inputs[inputKey] ? [this.inputs[inputKey]] : [];
+    }
+
+    /**
+     * @brief                       Sets the value of a date input field
+     * @param {string} inputKey     The logical key for the input
+     * @param {Date | null} utcDate The UTC date to show, or null to clear the field
+     * @returns {void}
+     */
+    setDateInputValue(inputKey, utcDate) {
+        const parts = this.dateParts[inputKey];
+        if (parts) {
+            parts.day.value = utcDate ? String(utcDate.getUTCDate()) : '';
+            parts.month.value = utcDate ? String(utcDate.getUTCMonth() + 1) : '';
+            parts.year.value = utcDate ? String(utcDate.getUTCFullYear()) : '';
+            return;
+        }
+        const inputElement = this.inputs[inputKey];
+        if (!inputElement) return;
+        if (!utcDate) inputElement.value = '';
+        else if (this.dateInputMode === 'text') inputElement.value = this.translator.formatDate(utcDate);
+        else inputElement.value = toISODateString(utcDate);
     }
 
     /**
      * @brief                   Gets the value of a date input field
      * @param {string} inputKey The logical key for the input
-     * @returns {string}        The raw value of the input field
+     * @returns {string}        The raw value of the input field; in 'fields' mode the day, month and year separated by
+     *                          spaces, or an empty string if all three are empty
      */
     getDateInputValue(inputKey) {
-        const inputElement = this.inputs[inputKey];
-        return inputElement ? inputElement.value : '';
+        const values = this._getInputElements(inputKey).map((input) => input.value.trim());
+        return values.some(Boolean) ? values.join(' ') : '';
+    }
+
+    /**
+     * @brief                       Shows a date in the "assess as of" field
+     * @param {Date | null} utcDate The UTC date to show, or null to clear the field
+     * @returns {void}
+     */
+    setAsOfDateValue(utcDate) {
+        if (this.asOfInput) this.asOfInput.value = utcDate ? toISODateString(utcDate) : '';
+    }
+
+    /**
+     * @brief                               Reads the "assess as of" field, showing an error next to it if it is invalid
+     * @returns {Date | null | undefined}   The local Date, null if the field is blank or missing, or undefined if it is
+     *                                      invalid
+     */
+    readAsOfDate() {
+        if (!this.asOfInput) return null;
+
+        const errorSpan = this._findErrorSpan(this.asOfInput.id);
+        this._clearError(errorSpan);
+
+        const inputValue = this.asOfInput.value.trim();
+        if (!inputValue) return null;
+
+        const validationResult = this._validateAndParseDate(inputValue, this.translator.t('error.asOfDateInvalid'));
+        if (validationResult.error) {
+            this._displayError(errorSpan, validationResult.error);
+            if (this.onValidationError) this.onValidationError('asOfDate', validationResult.error, validationResult.key);
+            return undefined;
+        }
+        return validationResult.date;
     }
 
     /**
@@ -244,17 +1438,58 @@ export class WidgetView {
      * @private
      */
     _clearError(errorSpanElement) {
-        if (errorSpanElement) errorSpanElement.textContent = '';
+        if (!errorSpanElement) return;
+        errorSpanElement.replaceChildren();
+        this._setInvalid(errorSpanElement.dataset.forInput, false);
     }
 
     /**
      * @brief                                       Displays an error message in an error span
      * @param {HTMLElement | null} errorSpanElement The error span element
      * @param {string} message                      The error message to display
+     * @param {'warning' | 'error'} [severity='error'] How serious the message is
+     * @private
+     */
+    _displayError(errorSpanElement, message, severity = 'error') {
+        if (!errorSpanElement) return;
+        errorSpanElement.replaceChildren(this._createNotification(message, severity, false));
+        this._setInvalid(errorSpanElement.dataset.forInput, severity === 'error');
+        this.announce(message, severity);
+    }
+
+    /**
+     * @brief                   Marks a date input, and the month and year fields it may be split into, as invalid or not
+     * @param {string | undefined} inputId The ID of the input
+     * @param {boolean} invalid Whether the input holds an error
+     * @returns {void}
      * @private
      */
-    _displayError(errorSpanElement, message) {
-        if (errorSpanElement) errorSpanElement.textContent = message;
+    _setInvalid(inputId, invalid) {
+        if (!inputId) return;
+        [inputId, `${inputId}Month`, `${inputId}Year`].forEach((id) => {
+            const element = this.qs(`#${id}`);
+            if (!element) return;
+            if (invalid) element.setAttribute('aria-invalid', 'true');
+            else element.removeAttribute('aria-invalid');
+        });
+    }
+
+    /**
+     * @brief                   Shows a message under a date input, e.g. for an answer that conflicts with another one
+     * @param {string} inputKey The logical key for the input
+     * @param {string} message  The message to show
+     * @param {'warning' | 'error'} [severity='error'] How serious the message is
+     * @param {boolean} [focus=false] Whether to move the focus to the input
+     * @returns {void}
+     */
+    showInputIssue(inputKey, message, severity = 'error', focus = false) {
+        const inputElement = this.inputs[inputKey];
+        if (!inputElement) {
+            this.showNotification(message, severity);
+            return;
+        }
+        this._displayError(this._findErrorSpan(inputElement.id), message, severity);
+        if (focus) inputElement.focus();
     }
 
     /**
@@ -273,60 +1508,198 @@ export class WidgetView {
      * @brief                           Validates and parses a date input value
      * @param {string} inputValue       The date string
      * @param {string} baseErrorMessage The base error message.
-     * @returns {{date: Date | null, error: string | null}} Result object with either a date or an error message
+     * @param {DatePartInputs} [parts]  The day, month and year fields the date was entered in, in 'fields' mode
+     * @returns {{date: Date | null, error: string | null, key: string | null}} Result object with either a date, or an
+     *                                  error message and the key of the message it was made from
      * @private
      */
-    _validateAndParseDate(inputValue, baseErrorMessage) {
-        const dateValue = parseDate(inputValue);
+    _validateAndParseDate(inputValue, baseErrorMessage, parts) {
+        const result = parts
+            ? parseDateParts(parts.day.value, parts.month.value, parts.year.value, this.locale)
+            : parseDateInput(inputValue, this.locale);
+        if (result.date) return { date: result.date, error: null, key: null };
 
-        if (dateValue) return { date: dateValue, error: null };
+        const { code, params } = result.error;
+        const key = code === 'format' ? 'error.invalidDateFormat' : `error.date.${code}`;
+        if (code !== 'format') return { date: null, error: this.translator.t(key, params), key };
 
+        // Text that is not a date at all gets the field's own message and an example of the expected format.
         const messagePart = this._formatErrorMessagePart(baseErrorMessage);
-        const specificError = `Invalid date format. ${messagePart}`;
-
-        return { date: null, error: specificError };
+        const example = this.translator.t('hint.dateExample', { example: WidgetView.EXAMPLE_DATE_UTC });
+        return { date: null, error: `${this.translator.t(key, { message: messagePart })} ${example}`, key };
     }
 
     /**
      * @brief                       Validates that a date input field is not empty and is a valid date
      * @param {string} inputKey     The logical key for the input (e.g., 'lastFiling')
-     * @param {string} errorMsgText Message to show if input is missing or invalid
+     * @param {string} errorMessage Message (or message key) to show if input is missing or invalid
      * @returns {Date | null}       The local Date object if valid, otherwise null
      */
-    requireDateInput(inputKey, errorMsgText) {
+    requireDateInput(inputKey, errorMessage) {
         const inputElement = this.inputs[inputKey];
         if (!inputElement) {
-            this.showAlert(`Configuration error: Input element for ${inputKey} not found.`);
+            this.showAlert('error.inputNotFound', { inputKey });
             return null;
         }
+        const errorMsgText = this.translator.t(errorMessage);
 
         const errorSpan = this._findErrorSpan(inputElement.id);
         this._clearError(errorSpan);
 
-        const inputValue = inputElement.value.trim();
+        const inputValue = this.getDateInputValue(inputKey);
         if (!inputValue) {
             this._displayError(errorSpan, errorMsgText);
             inputElement.focus();
+            if (this.onValidationError) this.onValidationError(inputKey, errorMsgText, errorMessage);
             return null;
         }
 
-        const validationResult = this._validateAndParseDate(inputValue, errorMsgText);
+        const validationResult = this._validateAndParseDate(inputValue, errorMsgText, this.dateParts[inputKey]);
 
         if (validationResult.error) {
             this._displayError(errorSpan, validationResult.error);
             inputElement.focus();
+            if (this.onValidationError) this.onValidationError(inputKey, validationResult.error, validationResult.key);
             return null;
         }
         return validationResult.date;
     }
 
     /**
-     * @brief                   Shows an alert message to the user
-     * @param {string} message  The message to display
+     * @brief                   Shows or hides the Back buttons, e.g. on the first step where there is nothing to go back to
+     * @param {boolean} visible Whether the Back buttons should be shown
      * @returns {void}
      */
-    showAlert(message) {
-        alert(message);
+    setBackVisible(visible) {
+        const containers = [this.questionContainer, this.summaryEl, this.resultEl].filter(Boolean);
+        containers.forEach((container) =>
+            container.querySelectorAll('button[data-action="back"]').forEach((button) => {
+                button.hidden = !visible;
+            })
+        );
+    }
+
+    /**
+     * @brief Briefly confirms on the copy-link button that the link was copied.
+     * @returns {void}
+     */
+    markLinkCopied() {
+        const button = this.resultEl ? this.resultEl.querySelector('button[data-action="copy-link"]') : null;
+        if (!button) return;
+
+        button.textContent = this.translator.t('button.linkCopied');
+        setTimeout(() => (button.textContent = this.translator.t('button.copyLink')), 2000);
+    }
+
+    /**
+     * @brief                   Offers a file to the user as a download
+     * @param {string} fileName The suggested file name
+     * @param {string} content  The file content
+     * @param {string} mimeType The file's MIME type
+     * @returns {void}
+     */
+    downloadFile(fileName, content, mimeType) {
+        downloadFile(fileName, content, mimeType, this.resultEl || document.body);
+    }
+
+    /**
+     * @brief                   Shows an error message to the user as an inline notification
+     * @param {string} message  The message (or message key) to display
+     * @param {Object.<string, *>} [params] Values for the message's placeholders
+     * @returns {void}
+     */
+    showAlert(message, params = {}) {
+        this.showNotification(message, 'error', params);
+    }
+
+    /**
+     * @brief                   Shows a dismissible notification at the top of the current question or result panel and
+     *                          announces it to screen readers
+     * @param {string} message  The message (or message key) to display
+     * @param {'info' | 'warning' | 'error'} [severity='info'] How serious the message is
+     * @param {Object.<string, *>} [params] Values for the message's placeholders
+     * @returns {void}
+     */
+    showNotification(message, severity = 'info', params = {}) {
+        const level = WidgetView.NOTIFICATION_SEVERITIES.includes(severity) ? severity : 'info';
+        const text = this.translator.t(message, params);
+        this.announce(text, level);
+
+        if (!this.currentPanel) {
+            console.warn(`WidgetView: No question or result is shown. Notification not displayed: ${text}`);
+            return;
+        }
+        const notification = this._createNotification(text, level, true);
+        notification.classList.add('notification--banner');
+        this.currentPanel.insertBefore(notification, this.currentPanel.firstChild);
+    }
+
+    /**
+     * @brief Removes all notification banners (field errors are cleared with their inputs).
+     * @returns {void}
+     */
+    clearNotifications() {
+        [this.questionContainer, this.summaryEl, this.resultEl]
+            .filter(Boolean)
+            .forEach((container) => container.querySelectorAll('.notification--banner').forEach((el) => el.remove()));
+    }
+
+    /**
+     * @brief                   Announces a message through the live region
+     * @param {string} message  The message to announce
+     * @param {'info' | 'warning' | 'error'} severity Errors are announced assertively, everything else politely
+     * @returns {void}
+     */
+    announce(message, severity) {
+        if (!this.liveRegion) return;
+        this.liveRegion.setAttribute('aria-live', severity === 'error' ? 'assertive' : 'polite');
+        this.liveRegion.textContent = message;
+    }
+
+    /**
+     * @brief                   Creates a notification element
+     * @param {string} message  The message to display
+     * @param {'info' | 'warning' | 'error'} severity How serious the message is
+     * @param {boolean} dismissible Whether the notification has a dismiss button
+     * @returns {HTMLElement}   The notification element
+     * @private
+     */
+    _createNotification(message, severity, dismissible) {
+        const notification = document.createElement('div');
+        notification.className = `notification notification--${severity}`;
+
+        const text = document.createElement('span');
+        text.className = 'notification__text';
+        text.textContent = message;
+        notification.appendChild(text);
+
+        if (dismissible) {
+            const dismiss = document.createElement('button');
+            dismiss.type = 'button';
+            dismiss.className = 'notification__dismiss';
+            dismiss.setAttribute('aria-label', this.translator.t('button.dismiss'));
+            dismiss.textContent = '×';
+            dismiss.addEventListener('click', () => notification.remove());
+            notification.appendChild(dismiss);
+        }
+        return notification;
+    }
+
+    /**
+     * @brief                       Creates the visually hidden live region, just before the questions
+     * @returns {HTMLElement | null} The live region, or null if there is nowhere to put it
+     * @private
+     */
+    _createLiveRegion() {
+        const anchor = this.questionContainer || this.resultEl;
+        if (!anchor || !anchor.parentNode) return null;
+
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        anchor.parentNode.insertBefore(region, anchor);
+        return region;
     }
 
     /**
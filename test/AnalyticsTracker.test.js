@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { AnalyticsTracker } from '../src/scripts/analytics/AnalyticsTracker.js';
+import { ClaimLogic } from '../src/scripts/model/ClaimLogic.js';
+import { DEFAULT_FLOW } from '../src/scripts/model/questionFlow.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+/** Pins "today" to 1 June 2024. */
+const clock = () => new Date(2024, 5, 1);
+const PERIOD_NODE = {
+    id: 'claimPeriod',
+    type: 'date',
+    text: 'question.claimPeriod',
+    inputs: [
+        { key: 'cpStart', field: 'cpStart' },
+        { key: 'cpEnd', field: 'cpEnd' },
+    ],
+};
+const CLAIM = {
+    filingDate: D('2024-05-15'),
+    periodStart: D('2023-04-01'),
+    periodEnd: D('2024-03-31'),
+    submissionType: 'original',
+};
+
+/**
+ * @brief                   Makes a tracker that collects its events
+ * @param {Object} [options] Tracker options besides the sink
+ * @returns {{tracker: AnalyticsTracker, events: import('../src/scripts/analytics/AnalyticsTracker.js').AnalyticsEvent[]}}
+ */
+function collect(options = {}) {
+    const events = [];
+    const tracker = new AnalyticsTracker({ sink: (event) => events.push(event), random: () => 0.5, now: () => 0, ...options });
+    return { tracker, events };
+}
+
+describe('AnalyticsTracker consent', () => {
+    it('sends nothing without consent', () => {
+        const { tracker, events } = collect();
+        tracker.stepViewed('claimedBefore', null);
+        tracker.validationFailed('claimHistory', 'claims', 'error.futureDate');
+        assert.equal(tracker.isEnabled(), false);
+        assert.deepEqual(events, []);
+    });
+
+    it('asks a consent function before every event', () => {
+        let granted = false;
+        const { tracker, events } = collect({ consent: () => granted });
+        tracker.stepViewed('claimedBefore', null);
+        granted = true;
+        tracker.stepViewed('claimHistory', 'claimedBefore');
+        assert.deepEqual(
+            events.map((event) => [event.type, event.step]),
+            [
+                [AnalyticsTracker.EVENT_TIME_ON_STEP, 'claimedBefore'],
+                [AnalyticsTracker.EVENT_STEP_VIEWED, 'claimHistory'],
+            ]
+        );
+    });
+
+    it('starts and stops sending as consent is given and withdrawn', () => {
+        const { tracker, events } = collect();
+        tracker.setConsent(true);
+        tracker.validationFailed('claimHistory', 'claims', 'error.futureDate');
+        tracker.setConsent(false);
+        tracker.validationFailed('claimHistory', 'claims', 'error.futureDate');
+        assert.equal(events.length, 1);
+        assert.deepEqual(events[0], {
+            type: AnalyticsTracker.EVENT_VALIDATION_FAILED,
+            session: events[0].session,
+            elapsedMs: 0,
+            step: 'claimHistory',
+            field: 'claims',
+            reason: 'error.futureDate',
+            severity: 'error',
+        });
+    });
+
+    it('sends nothing when the consent function throws', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { tracker, events } = collect({
+            consent: () => {
+                throw new Error('No consent manager');
+            },
+        });
+        tracker.stepViewed('claimedBefore', null);
+        assert.deepEqual(events, []);
+    });
+});
+
+describe('AnalyticsTracker sampling', () => {
+    it('records no visit at a sample rate of 0', () => {
+        const { tracker, events } = collect({ consent: true, sampleRate: 0, random: () => 0 });
+        tracker.stepViewed('claimedBefore', null);
+        assert.equal(tracker.isSampled, false);
+        assert.deepEqual(events, []);
+    });
+
+    it('records every visit at a sample rate of 1', () => {
+        const { tracker, events } = collect({ consent: true, sampleRate: 1, random: () => 0.999999 });
+        tracker.stepViewed('claimedBefore', null);
+        assert.equal(tracker.isSampled, true);
+        assert.equal(events.length, 1);
+    });
+
+    it('records a visit when the random number falls below the rate', () => {
+        assert.equal(collect({ sampleRate: 0.25, random: () => 0.2 }).tracker.isSampled, true);
+        assert.equal(collect({ sampleRate: 0.25, random: () => 0.3 }).tracker.isSampled, false);
+    });
+});
+
+describe('AnalyticsTracker answers', () => {
+    const answers = { claimedBefore: true, cpStart: D('2023-04-01'), cpEnd: D('2024-03-31'), claims: [CLAIM] };
+
+    it('records the chosen button and the number of claims, but no dates', () => {
+        const { tracker, events } = collect({ consent: true });
+        const [claimedBefore, claimHistory] = DEFAULT_FLOW.nodes;
+        tracker.answerChosen(claimedBefore, answers, claimedBefore.choices[0]);
+        tracker.answerChosen(claimHistory, answers);
+        tracker.answerChosen(PERIOD_NODE, answers);
+        tracker.resultReached(ClaimLogic.evaluate({ claimedBefore: true, claims: [CLAIM] }, clock));
+
+        assert.equal(events[0].answer, 'yes');
+        assert.equal(events[1].claims, 1);
+        assert.ok(events.every((event) => !('values' in event)));
+        assert.ok(events.every((event) => !Object.values(event).some((value) => value instanceof Date)));
+        assert.doesNotMatch(JSON.stringify(events), /\d{4}-\d{2}-\d{2}/);
+    });
+
+    it('adds the answers, dates as YYYY-MM-DD, with includeDates', () => {
+        const { tracker, events } = collect({ consent: true, includeDates: true });
+        tracker.answerChosen(PERIOD_NODE, answers);
+        tracker.answerChosen(DEFAULT_FLOW.nodes[1], answers);
+        assert.deepEqual(events[0].values, { cpStart: '2023-04-01', cpEnd: '2024-03-31' });
+        assert.deepEqual(events[1].values, {
+            claims: [
+                { filingDate: '2024-05-15', periodStart: '2023-04-01', periodEnd: '2024-03-31', submissionType: 'original' },
+            ],
+        });
+    });
+});
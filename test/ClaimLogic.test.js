@@ -0,0 +1,257 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ClaimLogic } from '../src/scripts/model/ClaimLogic.js';
+import { toISODateString } from '../src/scripts/utils/dateUtils.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+/** Pins "today" to 1 June 2024. */
+const clock = () => new Date(2024, 5, 1);
+/** A claim for the period of account 1 April 2023 to 31 March 2024, whose CNP ends on 30 September 2024. */
+const claimFiledOn = (lastFilingDate) => ({
+    claimedBefore: true,
+    lastFilingDate: D(lastFilingDate),
+    cpStart: D('2023-04-01'),
+    cpEnd: D('2024-03-31'),
+});
+
+describe('ClaimLogic.evaluate', () => {
+    it('asks the questions in order until it can decide', () => {
+        assert.equal(ClaimLogic.evaluate({}, clock).nextQuestionIndex, ClaimLogic.QUESTION_CLAIMED_BEFORE);
+        assert.equal(ClaimLogic.evaluate({ claimedBefore: true }, clock).nextQuestionIndex, ClaimLogic.QUESTION_LAST_FILING);
+        assert.equal(
+            ClaimLogic.evaluate({ claimedBefore: true, lastFilingDate: D('2024-01-01') }, clock).nextQuestionIndex,
+            ClaimLogic.QUESTION_CLAIM_PERIOD
+        );
+    });
+
+    it('requires PNF for a first claim', () => {
+        const outcome = ClaimLogic.evaluate({ claimedBefore: false }, clock);
+        assert.equal(outcome.result, ClaimLogic.PNF_REQUIRED);
+        assert.equal(outcome.trace.rule, ClaimLogic.RULE_FIRST_CLAIM);
+        assert.equal(outcome.cnpStart, null);
+    });
+
+    it('rejects a claim period that does not start before it ends', () => {
+        const answers = {
+            claimedBefore: true,
+            lastFilingDate: D('2024-01-01'),
+            cpStart: D('2024-03-31'),
+            cpEnd: D('2024-03-31'),
+        };
+        assert.equal(ClaimLogic.evaluate(answers, clock), null);
+    });
+
+    it('treats the first day of the 3-year look-back as within it', () => {
+        const outcome = ClaimLogic.evaluate(claimFiledOn('2021-10-01'), clock);
+        assert.equal(outcome.result, ClaimLogic.NO_PNF_REQUIRED);
+        assert.equal(outcome.trace.rule, ClaimLogic.RULE_FILING_WITHIN_LOOK_BACK);
+        assert.equal(toISODateString(outcome.trace.dates.lookBackStart), '2021-10-01');
+    });
+
+    it('requires PNF for a filing the day before the look-back starts', () => {
+        const outcome = ClaimLogic.evaluate(claimFiledOn('2021-09-30'), clock);
+        assert.equal(outcome.result, ClaimLogic.PNF_REQUIRED);
+        assert.equal(outcome.trace.rule, ClaimLogic.RULE_FILING_OUTSIDE_LOOK_BACK);
+    });
+
+    it('treats a filing on the last day of the CNP as within the look-back', () => {
+        assert.equal(ClaimLogic.evaluate(claimFiledOn('2024-09-30'), clock).result, ClaimLogic.NO_PNF_REQUIRED);
+        assert.equal(ClaimLogic.evaluate(claimFiledOn('2024-10-01'), clock).result, ClaimLogic.PNF_REQUIRED);
+    });
+
+    it('runs the CNP from the start of the period to 6 months after its end', () => {
+        const outcome = ClaimLogic.evaluate(claimFiledOn('2021-09-30'), clock);
+        assert.equal(toISODateString(outcome.cnpStart), '2023-04-01');
+        assert.equal(toISODateString(outcome.cnpEnd), '2024-09-30');
+        assert.deepEqual(outcome.deadline, { deadline: D('2024-09-30'), daysLeft: 121, hasPassed: false });
+    });
+
+    it('judges the deadline as of answers.asOfDate when it is given', () => {
+        const outcome = ClaimLogic.evaluate({ ...claimFiledOn('2021-09-30'), asOfDate: D('2024-10-01') }, clock);
+        assert.deepEqual(outcome.deadline, { deadline: D('2024-09-30'), daysLeft: -1, hasPassed: true });
+        assert.equal(toISODateString(outcome.asOf), '2024-10-01');
+    });
+
+    it('asks how the claim was filed when the period starts before 1 April 2023', () => {
+        const answers = { ...claimFiledOn('2023-06-01'), cpStart: D('2023-03-31'), cpEnd: D('2024-03-30') };
+        assert.equal(ClaimLogic.evaluate(answers, clock).nextQuestionIndex, ClaimLogic.QUESTION_SUBMISSION_TYPE);
+
+        const fromCutoff = { ...claimFiledOn('2023-06-01'), cpStart: D('2023-04-01') };
+        assert.equal(ClaimLogic.evaluate(fromCutoff, clock).result, ClaimLogic.NO_PNF_REQUIRED);
+    });
+
+    describe('a claim whose period starts before 1 April 2023', () => {
+        const answers = {
+            claimedBefore: true,
+            lastFilingDate: D('2022-06-01'),
+            cpStart: D('2022-04-01'),
+            cpEnd: D('2023-03-31'),
+        };
+
+        it('needs no PNF when the last claim was filed with the original return', () => {
+            const outcome = ClaimLogic.evaluate({ ...answers, submissionType: 'original' }, clock);
+            assert.equal(outcome.result, ClaimLogic.NO_PNF_REQUIRED);
+            assert.equal(outcome.trace.rule, ClaimLogic.RULE_ORIGINAL_SUBMISSION);
+        });
+
+        it('asks about earlier claims when the last claim was amended', () => {
+            const outcome = ClaimLogic.evaluate({ ...answers, submissionType: 'amended' }, clock);
+            assert.equal(outcome.nextQuestionIndex, ClaimLogic.QUESTION_EVER_CLAIMED);
+        });
+
+        it('requires PNF when the amended claim was the only one', () => {
+            const outcome = ClaimLogic.evaluate({ ...answers, submissionType: 'amended', everClaimedBefore: false }, clock);
+            assert.equal(outcome.result, ClaimLogic.PNF_REQUIRED);
+            assert.equal(outcome.trace.rule, ClaimLogic.RULE_AMENDED_ONLY);
+        });
+
+        it('asks for the earlier claim when there was one', () => {
+            const outcome = ClaimLogic.evaluate({ ...answers, submissionType: 'amended', everClaimedBefore: true }, clock);
+            assert.equal(outcome.nextQuestionIndex, ClaimLogic.QUESTION_LAST_FILING);
+        });
+
+        it('rejects an unknown submission type', () => {
+            assert.equal(ClaimLogic.evaluate({ ...answers, submissionType: 'late' }, clock), null);
+        });
+    });
+});
+
+describe('ClaimLogic.evaluate with a claim history', () => {
+    /** A claim for the period 1 April 2022 to 31 March 2023, whose CNP ends on 30 September 2023. */
+    const lastClaim = (submissionType) => ({
+        filingDate: D('2023-06-01'),
+        periodStart: D('2022-04-01'),
+        periodEnd: D('2023-03-31'),
+        submissionType,
+    });
+    const earlierClaim = {
+        filingDate: D('2021-05-01'),
+        periodStart: D('2020-04-01'),
+        periodEnd: D('2021-03-31'),
+        submissionType: 'original',
+    };
+    const evaluate = (claims) => ClaimLogic.evaluate({ claimedBefore: true, claims }, clock);
+
+    it('is decided by the latest claim when it was filed with the original return', () => {
+        const outcome = evaluate([earlierClaim, lastClaim('original')]);
+        assert.equal(outcome.result, ClaimLogic.NO_PNF_REQUIRED);
+        assert.equal(outcome.decidingClaimIndex, 1);
+        assert.equal(outcome.trace.claimIndex, 1);
+    });
+
+    it('is decided by the claim before an amended one, whatever order the claims are given in', () => {
+        for (const claims of [
+            [lastClaim('amended'), earlierClaim],
+            [earlierClaim, lastClaim('amended')],
+        ]) {
+            const outcome = evaluate(claims);
+            assert.equal(outcome.result, ClaimLogic.NO_PNF_REQUIRED);
+            assert.equal(outcome.trace.rule, ClaimLogic.RULE_ORIGINAL_SUBMISSION);
+            assert.equal(claims[outcome.decidingClaimIndex], earlierClaim);
+            assert.equal(toISODateString(outcome.trace.dates.lastFilingDate), '2021-05-01');
+        }
+    });
+
+    it('requires PNF when the only claim was amended', () => {
+        const outcome = evaluate([lastClaim('amended')]);
+        assert.equal(outcome.result, ClaimLogic.PNF_REQUIRED);
+        assert.equal(outcome.trace.rule, ClaimLogic.RULE_AMENDED_ONLY);
+    });
+
+    it('judges the age of the last filing by the latest claim, not the deciding one', () => {
+        assert.equal(evaluate([lastClaim('amended'), earlierClaim]).isLastFilingOverThreeYearsOld, false);
+    });
+
+    it('asks for the claims when the list is empty, and rejects an incomplete claim', () => {
+        assert.equal(evaluate([]).nextQuestionIndex, ClaimLogic.QUESTION_CLAIM_HISTORY);
+        assert.equal(evaluate([{ ...earlierClaim, submissionType: null }]), null);
+    });
+});
+
+describe('ClaimLogic.calculateLookBackWindow', () => {
+    const windowFor = (cpEnd) => {
+        const { cnpEnd, lookBackStart } = ClaimLogic.calculateLookBackWindow(D(cpEnd));
+        return [toISODateString(cnpEnd), toISODateString(lookBackStart)];
+    };
+
+    it('ends the CNP on the same day 6 months after the period', () => {
+        assert.deepEqual(windowFor('2023-09-15'), ['2024-03-15', '2021-03-16']);
+        assert.deepEqual(windowFor('2023-06-30'), ['2023-12-30', '2020-12-31']);
+    });
+
+    it('ends the CNP on the last day of the sixth month when that month is shorter', () => {
+        assert.deepEqual(windowFor('2024-03-31'), ['2024-09-30', '2021-10-01']);
+        assert.deepEqual(windowFor('2023-12-31'), ['2024-06-30', '2021-07-01']);
+        assert.deepEqual(windowFor('2023-08-31'), ['2024-02-29', '2021-03-02']);
+    });
+
+    it('returns null for an invalid date', () => {
+        assert.equal(ClaimLogic.calculateLookBackWindow(new Date(NaN)), null);
+    });
+});
+
+describe('ClaimLogic.calculateNotificationPeriod', () => {
+    it('runs from the first day of the period to the end of the CNP', () => {
+        const { cnpStart, cnpEnd } = ClaimLogic.calculateNotificationPeriod(D('2023-04-01'), D('2024-03-31'));
+        assert.deepEqual([toISODateString(cnpStart), toISODateString(cnpEnd)], ['2023-04-01', '2024-09-30']);
+    });
+
+    it('returns null for an invalid date', () => {
+        assert.equal(ClaimLogic.calculateNotificationPeriod(null, D('2024-03-31')), null);
+    });
+});
+
+describe('ClaimLogic.splitIntoAccountingPeriods', () => {
+    const periodsOf = (cpStart, cpEnd) =>
+        ClaimLogic.splitIntoAccountingPeriods(D(cpStart), D(cpEnd)).map(({ start, end }) => [
+            toISODateString(start),
+            toISODateString(end),
+        ]);
+
+    it('keeps a period of up to 12 months whole', () => {
+        assert.deepEqual(periodsOf('2023-04-01', '2024-03-31'), [['2023-04-01', '2024-03-31']]);
+        assert.deepEqual(periodsOf('2024-02-29', '2025-02-28'), [['2024-02-29', '2025-02-28']]);
+    });
+
+    it('splits a longer period after its first 12 months', () => {
+        assert.deepEqual(periodsOf('2023-04-01', '2024-04-01'), [
+            ['2023-04-01', '2024-03-31'],
+            ['2024-04-01', '2024-04-01'],
+        ]);
+        assert.deepEqual(periodsOf('2022-01-01', '2023-06-30'), [
+            ['2022-01-01', '2022-12-31'],
+            ['2023-01-01', '2023-06-30'],
+        ]);
+    });
+
+    it('rejects a period longer than 18 months', () => {
+        assert.equal(ClaimLogic.isWithinMaxPeriodLength(D('2022-01-01'), D('2023-06-30')), true);
+        assert.equal(ClaimLogic.isWithinMaxPeriodLength(D('2022-01-01'), D('2023-07-01')), false);
+        assert.equal(ClaimLogic.splitIntoAccountingPeriods(D('2022-01-01'), D('2023-07-01')), null);
+    });
+
+    it('gives each accounting period its own notification window', () => {
+        const answers = {
+            claimedBefore: true,
+            lastFilingDate: D('2024-01-15'),
+            cpStart: D('2022-01-01'),
+            cpEnd: D('2023-06-30'),
+        };
+        const { periods } = ClaimLogic.evaluate(answers, clock);
+        assert.deepEqual(
+            periods.map((period) => [period.result, toISODateString(period.cnpStart), toISODateString(period.cnpEnd)]),
+            [
+                [ClaimLogic.PNF_REQUIRED, '2022-01-01', '2023-06-30'],
+                [ClaimLogic.PNF_REQUIRED, '2023-01-01', '2023-12-30'],
+            ]
+        );
+    });
+});
+
+describe('ClaimLogic.calculateCNP (deprecated)', () => {
+    it('keeps its original contract: the 18 months up to the end of the period', () => {
+        const { cnpStart, cnpEnd } = ClaimLogic.calculateCNP(D('2024-03-31'));
+        assert.deepEqual([toISODateString(cnpStart), toISODateString(cnpEnd)], ['2022-10-01', '2024-03-31']);
+    });
+});
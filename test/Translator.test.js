@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Translator } from '../src/scripts/i18n/Translator.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('Translator.isValidLocale', () => {
+    it('accepts BCP 47 tags and rejects anything else', () => {
+        assert.equal(Translator.isValidLocale('cy-GB'), true);
+        assert.equal(Translator.isValidLocale('en'), true);
+        assert.equal(Translator.isValidLocale('en_GB'), false);
+        assert.equal(Translator.isValidLocale(''), false);
+        assert.equal(Translator.isValidLocale(null), false);
+        assert.equal(Translator.isValidLocale(['en-GB']), false);
+    });
+});
+
+describe('Translator', () => {
+    it('uses the catalogue of the locale’s language, and English for keys it does not define', () => {
+        const t = new Translator('cy-GB');
+        assert.equal(t.language, 'cy');
+        assert.equal(t.t('trace.why'), 'Pam?');
+        assert.equal(t.t('Literal text'), 'Literal text');
+    });
+
+    it('falls back to the default locale for a tag Intl cannot use', () => {
+        const t = new Translator('en_GB');
+        assert.equal(t.locale, Translator.DEFAULT_LOCALE);
+        assert.equal(t.formatDate(D('2024-03-31')), '31/03/2024');
+        assert.equal(new Translator('').locale, Translator.DEFAULT_LOCALE);
+    });
+
+    it('fills placeholders, formatting dates for the locale', () => {
+        const t = new Translator('en-GB');
+        assert.equal(t.t('batch.cnpRange', { cnpStart: D('2023-04-01'), cnpEnd: D('2024-09-30') }), '01/04/2023 to 30/09/2024');
+    });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkAnswers, claimField } from '../src/scripts/model/answerChecks.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+const TODAY = D('2024-06-01');
+
+/** The message keys of the issues found, in order. */
+const messages = (answers) => checkAnswers(answers, TODAY).map((issue) => issue.message);
+
+describe('checkAnswers', () => {
+    it('finds nothing wrong with consistent answers, or with answers not yet given', () => {
+        assert.deepEqual(checkAnswers({}, TODAY), []);
+        assert.deepEqual(checkAnswers({ cpStart: D('2023-04-01') }, TODAY), []);
+        assert.deepEqual(
+            checkAnswers({ lastFilingDate: D('2024-05-15'), cpStart: D('2023-04-01'), cpEnd: D('2024-03-31') }, TODAY),
+            []
+        );
+    });
+
+    it('rejects a period that ends before it starts', () => {
+        const [issue] = checkAnswers({ cpStart: D('2024-03-31'), cpEnd: D('2023-04-01') }, TODAY);
+        assert.deepEqual(issue, {
+            severity: 'error',
+            message: 'error.claimPeriodOrder',
+            params: {},
+            fields: ['cpEnd', 'cpStart'],
+        });
+    });
+
+    it('rejects a period longer than 18 months, but not one of exactly 18 months', () => {
+        assert.deepEqual(messages({ cpStart: D('2022-04-01'), cpEnd: D('2023-10-01') }), ['error.claimPeriodTooLong']);
+        assert.deepEqual(messages({ cpStart: D('2022-04-01'), cpEnd: D('2023-09-30') }), []);
+    });
+
+    it('rejects dates after the date assessed as of, but not that date itself', () => {
+        const issues = checkAnswers({ lastFilingDate: D('2024-06-02'), cpStart: D('2023-06-01'), cpEnd: TODAY }, TODAY);
+        assert.deepEqual(issues, [
+            {
+                severity: 'error',
+                message: 'error.futureDate',
+                params: { date: D('2024-06-02'), today: TODAY },
+                fields: ['lastFilingDate'],
+            },
+        ]);
+    });
+
+    it('rejects a filing date before the end of the period claimed for', () => {
+        const [issue] = checkAnswers(
+            { lastFilingDate: D('2024-03-30'), cpStart: D('2023-04-01'), cpEnd: D('2024-03-31') },
+            TODAY
+        );
+        assert.equal(issue.severity, 'error');
+        assert.equal(issue.message, 'error.filingBeforePeriodEnd');
+        assert.deepEqual(issue.fields, ['lastFilingDate', 'cpEnd']);
+        assert.deepEqual(messages({ lastFilingDate: D('2024-03-31'), cpEnd: D('2024-03-31') }), []);
+    });
+
+    it('warns about a filing date more than 2 years after the period end, but not one exactly 2 years after', () => {
+        const [issue] = checkAnswers({ lastFilingDate: D('2024-04-01'), cpEnd: D('2022-03-31') }, TODAY);
+        assert.equal(issue.severity, 'warning');
+        assert.equal(issue.message, 'warning.lateFiling');
+        assert.equal(issue.params.years, 2);
+        assert.deepEqual(messages({ lastFilingDate: D('2024-03-31'), cpEnd: D('2022-03-31') }), []);
+    });
+
+    it('checks each claim of a claim history, naming the claim', () => {
+        const claims = [
+            { filingDate: D('2023-05-01'), periodStart: D('2022-04-01'), periodEnd: D('2023-03-31') },
+            { filingDate: D('2024-03-01'), periodStart: D('2023-04-01'), periodEnd: D('2024-03-31') },
+            { filingDate: D('2024-05-01'), periodStart: D('2021-01-01'), periodEnd: D('2022-04-30') },
+        ];
+        const issues = checkAnswers({ claimedBefore: true, claims }, TODAY);
+        assert.deepEqual(
+            issues.map(({ severity, message, params, fields }) => ({ severity, message, claim: params.claim, fields })),
+            [
+                {
+                    severity: 'error',
+                    message: 'error.claimFiledBeforePeriodEnd',
+                    claim: 2,
+                    fields: [claimField(1, 'filingDate'), claimField(1, 'periodEnd')],
+                },
+                {
+                    severity: 'warning',
+                    message: 'warning.claimFiledLate',
+                    claim: 3,
+                    fields: ['claims[2].filingDate', 'claims[2].periodEnd'],
+                },
+            ]
+        );
+    });
+
+    it('lists errors before warnings', () => {
+        const answers = {
+            lastFilingDate: D('2024-04-01'),
+            cpEnd: D('2022-03-31'),
+            claims: [{ filingDate: D('2024-07-01') }],
+        };
+        assert.deepEqual(messages(answers), ['error.futureDate', 'warning.lateFiling']);
+    });
+});
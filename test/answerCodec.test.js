@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildShareUrl, deserializeAnswers, parseShareParams, serializeAnswers } from '../src/scripts/utils/answerCodec.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+
+const answers = {
+    claimedBefore: true,
+    lastFilingDate: D('2024-01-15'),
+    cpStart: D('2022-04-01'),
+    cpEnd: D('2023-03-31'),
+    submissionType: 'amended',
+    everClaimedBefore: false,
+};
+
+describe('serializeAnswers', () => {
+    it('writes dates as YYYY-MM-DD and yes/no answers as yes or no', () => {
+        assert.deepEqual(serializeAnswers(answers), {
+            claimedBefore: 'yes',
+            lastFilingDate: '2024-01-15',
+            cpStart: '2022-04-01',
+            cpEnd: '2023-03-31',
+            submissionType: 'amended',
+            everClaimedBefore: 'no',
+        });
+    });
+
+    it('leaves out unanswered questions', () => {
+        assert.deepEqual(serializeAnswers({ claimedBefore: false, lastFilingDate: null }), { claimedBefore: 'no' });
+        assert.deepEqual(serializeAnswers(null), {});
+    });
+});
+
+describe('deserializeAnswers', () => {
+    it('reads back what serializeAnswers wrote', () => {
+        assert.deepEqual(deserializeAnswers(serializeAnswers(answers)), answers);
+    });
+
+    it('drops values that do not parse', () => {
+        const read = deserializeAnswers({
+            claimedBefore: 'maybe',
+            lastFilingDate: '2023-02-29',
+            cpEnd: '31/03/2023',
+            submissionType: 'late',
+        });
+        assert.deepEqual(read, {});
+    });
+});
+
+describe('claim histories', () => {
+    const history = {
+        claimedBefore: true,
+        claims: [
+            {
+                filingDate: D('2023-06-01'),
+                periodStart: D('2022-04-01'),
+                periodEnd: D('2023-03-31'),
+                submissionType: 'amended',
+            },
+            {
+                filingDate: D('2021-05-01'),
+                periodStart: D('2020-04-01'),
+                periodEnd: D('2021-03-31'),
+                submissionType: 'original',
+            },
+        ],
+    };
+
+    it('writes each claim as its values joined by _, and the claims joined by commas', () => {
+        assert.equal(
+            serializeAnswers(history).claims,
+            '2023-06-01_2022-04-01_2023-03-31_amended,2021-05-01_2020-04-01_2021-03-31_original'
+        );
+    });
+
+    it('reads back what serializeAnswers wrote, and the claims as a list of objects', () => {
+        assert.deepEqual(deserializeAnswers(serializeAnswers(history)), history);
+        const listed = [
+            { filingDate: '2023-06-01', periodStart: '2022-04-01', periodEnd: '2023-03-31', submissionType: 'amended' },
+            { filingDate: '2021-05-01', periodStart: '2020-04-01', periodEnd: '2021-03-31', submissionType: 'original' },
+        ];
+        assert.deepEqual(deserializeAnswers({ claims: listed }).claims, history.claims);
+    });
+
+    it('drops the whole history when any claim does not parse', () => {
+        assert.equal(
+            deserializeAnswers({ claims: '2023-06-01_2022-04-01_2023-03-31_amended,2021-05-01_bad' }).claims,
+            undefined
+        );
+        assert.equal(deserializeAnswers({ claims: '2023-06-01_2022-04-01_2023-03-31_late' }).claims, undefined);
+    });
+
+    it('round-trips through a shareable link', () => {
+        assert.deepEqual(parseShareParams(new URL(buildShareUrl('https://example.com/pnf', history)).search), history);
+    });
+});
+
+describe('shareable links', () => {
+    it('round-trips the answers through the query string', () => {
+        const url = new URL(buildShareUrl('https://example.com/pnf?ref=mail#top', answers));
+        assert.equal(url.searchParams.get('ref'), 'mail');
+        assert.equal(url.searchParams.get('pnfFiled'), '2024-01-15');
+        assert.equal(url.hash, '#top');
+        assert.deepEqual(parseShareParams(url.search), answers);
+    });
+
+    it('finds no answers in a link without any', () => {
+        assert.equal(parseShareParams('?ref=mail'), null);
+    });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { batchResultsToCsv, evaluateBatch, sortByDeadline } from '../src/scripts/model/batchEvaluator.js';
+import { ClaimLogic } from '../src/scripts/model/ClaimLogic.js';
+import { parseCsv } from '../src/scripts/utils/csvUtils.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+/** Pins "today" to 1 June 2024. */
+const clock = () => new Date(2024, 5, 1);
+const HEADER = 'Company,Claimed before,Last filing date,CP start,CP end,Submission type,Earlier claims';
+
+describe('evaluateBatch', () => {
+    it('evaluates each company with the same rules as the widget', () => {
+        const csv = [
+            HEADER,
+            'First Ltd,no,,,,,',
+            'Recent Ltd,yes,2024-05-15,01/04/2023,31 Mar 2024,,',
+            'Late Ltd,Y,2023-07-15,2022-04-01,2022-12-15,original,',
+        ].join('\n');
+        const { rows, errors } = evaluateBatch(csv, clock);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(
+            rows.map((row) => [row.line, row.company, row.result]),
+            [
+                [2, 'First Ltd', ClaimLogic.PNF_REQUIRED],
+                [3, 'Recent Ltd', ClaimLogic.NO_PNF_REQUIRED],
+                [4, 'Late Ltd', ClaimLogic.PNF_REQUIRED],
+            ]
+        );
+        assert.deepEqual(rows[2].deadline, { deadline: D('2023-06-15'), daysLeft: -352, hasPassed: true });
+    });
+
+    it('reports the values it cannot read and the answers it is missing', () => {
+        const csv = [HEADER, ',maybe,2024-02-30,,,late,', 'Half Ltd,yes,2024-01-15,,,,'].join('\n');
+        const [bad, half] = evaluateBatch(csv, clock).rows;
+        assert.deepEqual(
+            bad.errors.map((error) => error.key),
+            ['batch.error.notYesNo', 'batch.error.invalidDate', 'batch.error.submissionType', 'batch.error.noCompany']
+        );
+        assert.equal(bad.result, null);
+        assert.deepEqual(half.errors, [{ key: 'batch.error.missingAnswer', params: { columns: 'cpStart, cpEnd' } }]);
+    });
+
+    it('reports answers the widget would not accept', () => {
+        const [row] = evaluateBatch([HEADER, 'Early Ltd,yes,2024-01-15,2023-04-01,2024-03-31,,'].join('\n'), clock).rows;
+        assert.equal(row.result, null);
+        assert.deepEqual(
+            row.errors.map((error) => error.key),
+            ['error.filingBeforePeriodEnd']
+        );
+    });
+
+    it('needs the company and claimed-before columns', () => {
+        assert.deepEqual(evaluateBatch('Company,Notes\nAcme,x', clock), {
+            rows: [],
+            errors: [{ key: 'batch.error.missingColumns', params: { columns: 'claimedBefore' } }],
+        });
+        assert.deepEqual(evaluateBatch('', clock).errors, [{ key: 'batch.error.emptyFile' }]);
+    });
+});
+
+describe('evaluateBatch with several rows for a company', () => {
+    const csv = [
+        HEADER,
+        'Acme,yes,2023-06-01,2022-04-01,2023-03-31,amended,',
+        'Solo Ltd,yes,2023-06-01,2022-04-01,2023-03-31,amended,yes',
+        'ACME ,yes,01/05/2021,01/04/2020,31/03/2021,original,',
+        'Gap Ltd,yes,2023-06-01,,2023-03-31,amended,',
+        'Gap Ltd,no,2023-02-30,2020-04-01,2021-03-31,,',
+    ].join('\n');
+    const { rows } = evaluateBatch(csv, clock);
+
+    it('evaluates the rows as the claim history of one company', () => {
+        const [acme] = rows;
+        assert.deepEqual([acme.company, acme.line, acme.lines], ['Acme', 2, [2, 4]]);
+        assert.equal(acme.answers.claims.length, 2);
+        assert.equal(acme.result, ClaimLogic.NO_PNF_REQUIRED);
+        assert.deepEqual(acme.errors, []);
+    });
+
+    it('asks for a row for the earlier claim when a single row has one', () => {
+        assert.deepEqual(
+            rows[1].errors.map((error) => error.key),
+            ['batch.error.describeEarlierClaim']
+        );
+    });
+
+    it('reports the problems with each claim', () => {
+        assert.deepEqual(rows[2].lines, [5, 6]);
+        assert.deepEqual(rows[2].errors, [
+            { key: 'batch.error.missingClaimAnswer', params: { claim: 1, columns: 'cpStart' } },
+            { key: 'batch.error.invalidDate', params: { column: 'lastFilingDate', value: '2023-02-30' } },
+            { key: 'batch.error.historyNotClaimedBefore', params: { claim: 2 } },
+            { key: 'batch.error.missingClaimAnswer', params: { claim: 2, columns: 'submissionType' } },
+        ]);
+    });
+
+    it('never groups rows without a company name', () => {
+        const unnamed = evaluateBatch([HEADER, ',no,,,,,', ',no,,,,,'].join('\n'), clock).rows;
+        assert.deepEqual(
+            unnamed.map((row) => row.lines),
+            [[2], [3]]
+        );
+    });
+});
+
+describe('sortByDeadline', () => {
+    it('puts the earliest deadline first and rows without one last', () => {
+        const csv = [
+            HEADER,
+            'No deadline Ltd,yes,2024-05-15,2023-04-01,2024-03-15,,',
+            'Later Ltd,yes,2023-07-15,2022-04-01,2022-12-15,original,',
+            'Sooner Ltd,yes,2023-05-01,2022-01-01,2022-09-15,original,',
+        ].join('\n');
+        const { rows } = evaluateBatch(csv, clock);
+        assert.deepEqual(
+            sortByDeadline(rows).map((row) => row.company),
+            ['Sooner Ltd', 'Later Ltd', 'No deadline Ltd']
+        );
+        assert.deepEqual(
+            sortByDeadline(rows, 'descending').map((row) => row.company),
+            ['Later Ltd', 'Sooner Ltd', 'No deadline Ltd']
+        );
+    });
+});
+
+describe('batchResultsToCsv', () => {
+    it('writes one record per accounting period, with the errors as text', () => {
+        const csv = [HEADER, 'Long Ltd,yes,2024-01-15,2022-01-01,2023-06-15,original,', ',no,,,,,'].join('\n');
+        const { rows } = evaluateBatch(csv, clock);
+        const records = parseCsv(batchResultsToCsv(rows, (message) => message.key));
+        assert.deepEqual(
+            records.map((record) => [...record.slice(0, 5), record[10]]),
+            [
+                ['line', 'company', 'periodStart', 'periodEnd', 'outcome', 'errors'],
+                ['2', 'Long Ltd', '2022-01-01', '2022-12-31', 'PNF Required', ''],
+                ['2', 'Long Ltd', '2023-01-01', '2023-06-15', 'PNF Required', ''],
+                ['3', '', '', '', '', 'batch.error.noCompany'],
+            ]
+        );
+    });
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildCalendar } from '../src/scripts/utils/calendarUtils.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+const now = new Date('2024-06-01T09:30:00Z');
+/** The content lines of a calendar, with folded lines joined up again. */
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildCalendar', () => {
+    const event = {
+        uid: 'pnf-2024-09-30@pnf-widget',
+        date: D('2024-09-30'),
+        summary: 'Claim notification deadline',
+        reminderDays: [7, 0],
+    };
+
+    it('writes an all-day event ending the next day, with a reminder per lead day', () => {
+        const lines = unfold(buildCalendar([event], now));
+        assert.deepEqual(lines.slice(4, 10), [
+            'BEGIN:VEVENT',
+            'UID:pnf-2024-09-30@pnf-widget',
+            'DTSTAMP:20240601T093000Z',
+            'DTSTART;VALUE=DATE:20240930',
+            'DTEND;VALUE=DATE:20241001',
+            'SUMMARY:Claim notification deadline',
+        ]);
+        assert.deepEqual(
+            lines.filter((line) => line.startsWith('TRIGGER:')),
+            ['TRIGGER:-P7D', 'TRIGGER:PT0S']
+        );
+        assert.equal(lines[0], 'BEGIN:VCALENDAR');
+        assert.deepEqual(lines.slice(-2), ['END:VCALENDAR', '']);
+    });
+
+    it('ends every line with CRLF', () => {
+        const ics = buildCalendar([event], now);
+        assert.ok(ics.endsWith('\r\n'));
+        assert.equal(ics.split('\n').length, ics.split('\r\n').length);
+    });
+
+    it('escapes backslashes, semicolons, commas and line breaks in text', () => {
+        const lines = unfold(buildCalendar([{ ...event, summary: 'a\\b; c, d\ne', reminderDays: [] }], now));
+        assert.ok(lines.includes(String.raw`SUMMARY:a\\b\; c\, d\ne`));
+    });
+
+    it('folds lines at 75 octets of UTF-8 without splitting a character', () => {
+        const description = 'Dyddiad cau hysbysiad hawliad ŵ ŷ â ê '.repeat(6);
+        const ics = buildCalendar([{ ...event, description }], now);
+        for (const line of ics.split('\r\n')) assert.ok(new TextEncoder().encode(line).length <= 75, line);
+        assert.ok(unfold(ics).includes(`DESCRIPTION:${description}`));
+    });
+
+    it('returns null for an event with an invalid date', () => {
+        assert.equal(buildCalendar([{ ...event, date: new Date(NaN) }], now), null);
+    });
+});
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseCsv, toCsv } from '../src/scripts/utils/csvUtils.js';
+
+describe('parseCsv', () => {
+    it('splits rows and fields, with CRLF or LF line endings', () => {
+        assert.deepEqual(parseCsv('a,b\r\n1,2\n3,4'), [
+            ['a', 'b'],
+            ['1', '2'],
+            ['3', '4'],
+        ]);
+    });
+
+    it('reads quoted fields with commas, line breaks and doubled quotes', () => {
+        assert.deepEqual(parseCsv('name,note\n"Acme, Ltd","said ""hi""\nthen left"\n'), [
+            ['name', 'note'],
+            ['Acme, Ltd', 'said "hi"\nthen left'],
+        ]);
+    });
+
+    it('skips blank lines and a byte order mark, and keeps empty fields', () => {
+        assert.deepEqual(parseCsv('﻿a,b\n\n1,\n'), [
+            ['a', 'b'],
+            ['1', ''],
+        ]);
+    });
+});
+
+describe('toCsv', () => {
+    it('quotes fields only when they need it', () => {
+        assert.equal(
+            toCsv([['plain', 'a,b', 'say "hi"', 'two\nlines', null, 3]]),
+            'plain,"a,b","say ""hi""","two\nlines",,3\r\n'
+        );
+    });
+
+    it('stops spreadsheets running text as a formula', () => {
+        assert.equal(toCsv([['=SUM(A1)', '+1', '-1', '@cmd', 'a=b']]), "'=SUM(A1),'+1,'-1,'@cmd,a=b\r\n");
+    });
+
+    it('also neutralises text starting with a tab or a carriage return', () => {
+        assert.equal(toCsv([['\t=SUM(A1)', 'a\tb']]), "'\t=SUM(A1),a\tb\r\n");
+        assert.equal(toCsv([['\r=1']]), '"\'\r=1"\r\n');
+    });
+
+    it('leaves numbers alone', () => {
+        assert.equal(toCsv([[-5]]), '-5\r\n');
+    });
+
+    it('is read back by parseCsv', () => {
+        const rows = [
+            ['company', 'note'],
+            ['Acme, Ltd', 'said "hi"'],
+        ];
+        assert.deepEqual(parseCsv(toCsv(rows)), rows);
+    });
+});
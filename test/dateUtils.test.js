@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    addMonthsClampedUTC,
+    addMonthsUTC,
+    parseDateInput,
+    parseDateParts,
+    toISODateString,
+} from '../src/scripts/utils/dateUtils.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+/** The local date a parse gave as [year, month, day], or the code of its error. */
+const read = ({ date, error }) => (date ? [date.getFullYear(), date.getMonth() + 1, date.getDate()] : error.code);
+
+describe('addMonthsUTC', () => {
+    it('keeps the day of the month', () => {
+        assert.equal(toISODateString(addMonthsUTC(D('2024-01-15'), 6)), '2024-07-15');
+        assert.equal(toISODateString(addMonthsUTC(D('2024-01-15'), -18)), '2022-07-15');
+    });
+
+    it('rolls a day the target month does not have over into the next month', () => {
+        assert.equal(toISODateString(addMonthsUTC(D('2024-03-31'), 6)), '2024-10-01');
+        assert.equal(toISODateString(addMonthsUTC(D('2023-08-31'), 6)), '2024-03-02');
+    });
+
+    it('returns null for an invalid date', () => {
+        assert.equal(addMonthsUTC(new Date(NaN), 6), null);
+    });
+});
+
+describe('addMonthsClampedUTC', () => {
+    it('keeps the day of the month', () => {
+        assert.equal(toISODateString(addMonthsClampedUTC(D('2023-06-30'), 6)), '2023-12-30');
+        assert.equal(toISODateString(addMonthsClampedUTC(D('2024-01-15'), -18)), '2022-07-15');
+    });
+
+    it('ends on the last day of a target month that does not have the day', () => {
+        assert.equal(toISODateString(addMonthsClampedUTC(D('2024-03-31'), 6)), '2024-09-30');
+        assert.equal(toISODateString(addMonthsClampedUTC(D('2023-08-31'), 6)), '2024-02-29');
+        assert.equal(toISODateString(addMonthsClampedUTC(D('2024-08-31'), 6)), '2025-02-28');
+    });
+
+    it('returns null for an invalid date', () => {
+        assert.equal(addMonthsClampedUTC(new Date(NaN), 6), null);
+    });
+});
+
+describe('parseDateInput', () => {
+    it('reads ISO dates, numeric dates in the locale order and written months', () => {
+        assert.deepEqual(read(parseDateInput('2024-03-31')), [2024, 3, 31]);
+        assert.deepEqual(read(parseDateInput('31/03/2024')), [2024, 3, 31]);
+        assert.deepEqual(read(parseDateInput(' 31.3.2024 ')), [2024, 3, 31]);
+        assert.deepEqual(read(parseDateInput('31 Mar 2024')), [2024, 3, 31]);
+        assert.deepEqual(read(parseDateInput('1st Sept, 2024')), [2024, 9, 1]);
+        assert.deepEqual(read(parseDateInput('31 Mawrth 2024', 'cy-GB')), [2024, 3, 31]);
+    });
+
+    it('reads numeric dates month first in en-US', () => {
+        assert.deepEqual(read(parseDateInput('03/31/2024', 'en-US')), [2024, 3, 31]);
+        assert.equal(read(parseDateInput('03/31/2024', 'en-GB')), 'monthOutOfRange');
+        assert.deepEqual(read(parseDateInput('2024-03-31', 'en-US')), [2024, 3, 31]);
+    });
+
+    it('says exactly what is wrong with a date that does not exist', () => {
+        assert.equal(read(parseDateInput('29/02/2023')), 'notLeapYear');
+        assert.deepEqual(read(parseDateInput('29/02/2024')), [2024, 2, 29]);
+        assert.equal(read(parseDateInput('31/04/2024')), 'dayNotInMonth');
+        assert.equal(read(parseDateInput('32/01/2024')), 'dayOutOfRange');
+        assert.equal(read(parseDateInput('31/03/24')), 'yearFormat');
+        assert.equal(read(parseDateInput('31 Foo 2024')), 'format');
+        assert.equal(read(parseDateInput('')), 'format');
+    });
+
+    it('gives the parts it read and the month name with the error', () => {
+        assert.deepEqual(parseDateInput('29/02/2023').error.params, { day: 29, month: 2, year: 2023, monthName: 'February' });
+    });
+});
+
+describe('parseDateParts', () => {
+    it('reads separate day, month and year fields', () => {
+        assert.deepEqual(read(parseDateParts('31', '3', '2024')), [2024, 3, 31]);
+        assert.deepEqual(read(parseDateParts(' 01 ', '04', '2023')), [2023, 4, 1]);
+    });
+
+    it('names the first missing field and rejects fields that are not numbers', () => {
+        assert.equal(read(parseDateParts('', '', '2024')), 'missingDay');
+        assert.equal(read(parseDateParts('31', '3', null)), 'missingYear');
+        assert.equal(read(parseDateParts('31', 'Mar', '2024')), 'format');
+    });
+
+    it('checks the date the same way as parseDateInput', () => {
+        assert.equal(read(parseDateParts('29', '2', '2023')), 'notLeapYear');
+        assert.equal(read(parseDateParts('1', '13', '2024')), 'monthOutOfRange');
+    });
+});
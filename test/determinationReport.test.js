@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { WidgetController } from '../src/scripts/controller/WidgetController.js';
+import { Translator } from '../src/scripts/i18n/Translator.js';
+import { ClaimLogic } from '../src/scripts/model/ClaimLogic.js';
+import {
+    buildDeterminationReport,
+    REPORT_FORMAT,
+    REPORT_FORMAT_VERSION,
+    reportToJson,
+} from '../src/scripts/model/determinationReport.js';
+import { DEFAULT_FLOW } from '../src/scripts/model/questionFlow.js';
+
+/** A UTC date from YYYY-MM-DD. */
+const D = (iso) => new Date(`${iso}T00:00:00Z`);
+/** Pins "today" to 1 June 2024. */
+const clock = () => new Date(2024, 5, 1);
+const CLAIM = {
+    filingDate: D('2024-05-15'),
+    periodStart: D('2023-04-01'),
+    periodEnd: D('2024-03-31'),
+    submissionType: 'original',
+};
+const GENERATED_AT = new Date('2024-06-01T09:30:00Z');
+
+/**
+ * @brief               Builds the report for a set of answers, as the widget does once they reach a result
+ * @param {Object} answers The answers
+ * @param {Date | null} [asOfDate] The date to assess as of
+ * @returns {import('../src/scripts/model/determinationReport.js').DeterminationReport} The report
+ */
+function reportFor(answers, asOfDate = null) {
+    const steps = answers.claimedBefore
+        ? [
+              { step: 'claimedBefore', after: answers },
+              { step: 'claimHistory', after: answers },
+          ]
+        : [{ step: 'claimedBefore', after: answers }];
+    return buildDeterminationReport(
+        {
+            flow: DEFAULT_FLOW,
+            steps,
+            answers,
+            outcome: ClaimLogic.evaluate({ ...answers, asOfDate }, clock),
+            generatedAt: GENERATED_AT,
+        },
+        new Translator('en-GB')
+    );
+}
+
+describe('buildDeterminationReport', () => {
+    it('records the format, the rules version and when it was generated', () => {
+        const report = reportFor({ claimedBefore: false });
+        assert.equal(report.format, REPORT_FORMAT);
+        assert.equal(report.formatVersion, REPORT_FORMAT_VERSION);
+        assert.equal(report.engineVersion, ClaimLogic.ENGINE_VERSION);
+        assert.equal(report.generatedAt, '2024-06-01T09:30:00.000Z');
+        assert.equal(report.locale, 'en-GB');
+        assert.equal(report.outcome.result, ClaimLogic.PNF_REQUIRED);
+    });
+
+    it('lists each question with the answer given and the values it set', () => {
+        const { questions } = reportFor({ claimedBefore: true, claims: [CLAIM] });
+        assert.deepEqual(
+            questions.map(({ step, question, answer }) => ({ step, question, answer })),
+            [
+                { step: 'claimedBefore', question: 'Have you claimed for R&D relief before?', answer: 'Yes' },
+                {
+                    step: 'claimHistory',
+                    question: 'Tell us about each R&D claim you have made before, including any made by amended return.',
+                    answer: 'Filed on 15/05/2024 for 01/04/2023 to 31/03/2024, Original Submission',
+                },
+            ]
+        );
+        assert.deepEqual(questions[0].values, { claimedBefore: true });
+        assert.deepEqual(questions[1].values, { claims: [CLAIM] });
+    });
+
+    it('skips steps that were not left with an answer', () => {
+        const report = buildDeterminationReport(
+            {
+                flow: DEFAULT_FLOW,
+                steps: [
+                    { step: 'claimedBefore', after: { claimedBefore: false } },
+                    { step: WidgetController.SUMMARY_STEP, after: { claimedBefore: false } },
+                    { step: 'claimHistory', after: null },
+                ],
+                answers: { claimedBefore: false },
+                outcome: ClaimLogic.evaluate({ claimedBefore: false }, clock),
+                generatedAt: GENERATED_AT,
+            },
+            new Translator('en-GB')
+        );
+        assert.deepEqual(
+            report.questions.map((question) => question.step),
+            ['claimedBefore']
+        );
+    });
+
+    it('writes JSON with dates as YYYY-MM-DD, including the date assessed as of', () => {
+        const json = JSON.parse(reportToJson(reportFor({ claimedBefore: true, claims: [CLAIM] }, D('2024-04-30'))));
+        assert.equal(json.format, REPORT_FORMAT);
+        assert.equal(json.engineVersion, ClaimLogic.ENGINE_VERSION);
+        assert.equal(json.generatedAt, '2024-06-01T09:30:00.000Z');
+        assert.equal(json.outcome.asOf, '2024-04-30');
+        assert.deepEqual(json.answers.claims, [
+            { filingDate: '2024-05-15', periodStart: '2023-04-01', periodEnd: '2024-03-31', submissionType: 'original' },
+        ]);
+        assert.equal(json.questions[1].values.claims[0].filingDate, '2024-05-15');
+    });
+});
+
+describe('WidgetController.buildReport', () => {
+    it('leaves out answers replaced through a Change button on the summary', () => {
+        const controller = new WidgetController(
+            { flow: DEFAULT_FLOW, translator: new Translator('en-GB') },
+            { useHistoryApi: false, clock }
+        );
+        const first = { claimedBefore: true, claims: [CLAIM] };
+        const changed = { ...first, claimedBefore: false };
+        // Yes and a claim history, then the first answer changed to No from the summary.
+        controller.history = [
+            { step: 'claimedBefore', before: {}, after: { claimedBefore: true } },
+            { step: 'claimHistory', before: { claimedBefore: true }, after: first },
+            { step: WidgetController.SUMMARY_STEP, before: first, after: first },
+            { step: 'claimedBefore', before: first, after: changed },
+            { step: WidgetController.SUMMARY_STEP, before: changed, after: changed },
+            { step: WidgetController.RESULT_STEP, before: changed, after: null },
+        ];
+        controller.historyPosition = 5;
+        controller.answers = changed;
+        controller.outcome = controller.evaluate();
+
+        const report = controller.buildReport();
+        assert.deepEqual(
+            report.questions.map(({ step, answer }) => ({ step, answer })),
+            [{ step: 'claimedBefore', answer: 'No' }]
+        );
+        assert.equal(report.outcome.result, ClaimLogic.PNF_REQUIRED);
+    });
+});